@@ -14,15 +14,68 @@ CREATE TABLE IF NOT EXISTS bookshelf_sites (
     site_url TEXT NOT NULL UNIQUE,
     site_name TEXT NOT NULL,
     active BOOLEAN DEFAULT true,
+    verified BOOLEAN DEFAULT false,
+    verification_token TEXT,
+    verified_at TIMESTAMPTZ,
+    deregistered_at TIMESTAMPTZ,
+    plugin_version TEXT,
+    wp_version TEXT,
+    payload_schemas JSONB DEFAULT '[1]'::jsonb,
+    payload_schema INTEGER DEFAULT 1,
+    handshake_at TIMESTAMPTZ,
+    last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    health_status TEXT DEFAULT 'healthy' CHECK (health_status IN ('healthy', 'stale', 'dead')),
     registered_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Table: bookshelf_site_secrets
+-- Per-site HMAC signing secrets (never exposed through public policies)
+CREATE TABLE IF NOT EXISTS bookshelf_site_secrets (
+    site_url TEXT PRIMARY KEY REFERENCES bookshelf_sites(site_url) ON DELETE CASCADE,
+    secret TEXT NOT NULL,
+    previous_secret TEXT,
+    rotated_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table: bookshelf_secret_claims
+-- Pending signing secrets for sites registered before request signing. A claim
+-- becomes the site's secret once /api/bookshelf/verify finds its token on the site.
+CREATE TABLE IF NOT EXISTS bookshelf_secret_claims (
+    verification_token TEXT PRIMARY KEY,
+    site_url TEXT NOT NULL REFERENCES bookshelf_sites(site_url) ON DELETE CASCADE,
+    secret TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table: bookshelf_request_signatures
+-- Recently accepted request signatures (replay protection)
+CREATE TABLE IF NOT EXISTS bookshelf_request_signatures (
+    signature TEXT PRIMARY KEY,
+    site_url TEXT NOT NULL,
+    received_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table: bookshelf_idempotency_keys
+-- First responses of write requests, replayed for retried Idempotency-Keys
+-- Signing secrets in stored responses are kept as their SHA-256 only
+CREATE TABLE IF NOT EXISTS bookshelf_idempotency_keys (
+    site_url TEXT NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (site_url, idempotency_key)
+);
+
 -- Table: bookshelf_books
 -- Stores all books synced from WordPress sites
 CREATE TABLE IF NOT EXISTS bookshelf_books (
     id BIGSERIAL PRIMARY KEY,
-    site_url TEXT NOT NULL,
+    site_url TEXT NOT NULL REFERENCES bookshelf_sites(site_url) ON DELETE CASCADE,
     book_post_id BIGINT NOT NULL,
     title TEXT NOT NULL,
     slug TEXT,
@@ -45,6 +98,14 @@ CREATE TABLE IF NOT EXISTS bookshelf_books (
     rating NUMERIC(3,2),
     review_count INTEGER,
     publication_date DATE,
+    series_name TEXT,
+    series_position NUMERIC,
+    language TEXT,
+    -- Genres inferred from local_categories, not picked by the author
+    genres_inferred BOOLEAN NOT NULL DEFAULT false,
+    source_modified_at TIMESTAMPTZ,
+    deleted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
     synced_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     UNIQUE(site_url, book_post_id)
@@ -70,6 +131,24 @@ CREATE TABLE IF NOT EXISTS bookshelf_book_views (
     user_agent TEXT
 );
 
+-- Table: bookshelf_sync_failures
+-- Failed sync transactions, counted by /api/bookshelf/health
+CREATE TABLE IF NOT EXISTS bookshelf_sync_failures (
+    id BIGSERIAL PRIMARY KEY,
+    site_url TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    books_count INTEGER NOT NULL DEFAULT 1,
+    error_code TEXT,
+    failed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table: bookshelf_view_refreshes
+-- Last refresh of each materialized view (PostgreSQL does not record it)
+CREATE TABLE IF NOT EXISTS bookshelf_view_refreshes (
+    view_name TEXT PRIMARY KEY,
+    refreshed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
 -- ============================================================================
 -- STEP 2: Create Indexes for Performance
 -- ============================================================================
@@ -80,6 +159,12 @@ CREATE INDEX IF NOT EXISTS idx_books_title_lower ON bookshelf_books(LOWER(title)
 CREATE INDEX IF NOT EXISTS idx_books_author_name_lower ON bookshelf_books(LOWER(author_name));
 CREATE INDEX IF NOT EXISTS idx_books_publication_date ON bookshelf_books(publication_date DESC NULLS LAST);
 CREATE INDEX IF NOT EXISTS idx_books_synced_at ON bookshelf_books(synced_at DESC);
+CREATE INDEX IF NOT EXISTS idx_books_created_at ON bookshelf_books(created_at);
+CREATE INDEX IF NOT EXISTS idx_books_deleted_at ON bookshelf_books(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Indexes for bookshelf_sites
+CREATE INDEX IF NOT EXISTS idx_sites_verified ON bookshelf_sites(verified) WHERE verified = true;
+CREATE INDEX IF NOT EXISTS idx_sites_last_seen_at ON bookshelf_sites(last_seen_at);
 
 -- Indexes for bookshelf_book_genres
 CREATE INDEX IF NOT EXISTS idx_book_genres_book_id ON bookshelf_book_genres(book_id);
@@ -89,6 +174,18 @@ CREATE INDEX IF NOT EXISTS idx_book_genres_genre_slug ON bookshelf_book_genres(g
 CREATE INDEX IF NOT EXISTS idx_book_views_book_id ON bookshelf_book_views(book_id);
 CREATE INDEX IF NOT EXISTS idx_book_views_viewed_at ON bookshelf_book_views(viewed_at DESC);
 
+-- Indexes for bookshelf_secret_claims
+CREATE INDEX IF NOT EXISTS idx_secret_claims_site_created ON bookshelf_secret_claims(site_url, created_at);
+
+-- Indexes for bookshelf_request_signatures
+CREATE INDEX IF NOT EXISTS idx_request_signatures_site_received ON bookshelf_request_signatures(site_url, received_at);
+
+-- Indexes for bookshelf_idempotency_keys
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_site_created ON bookshelf_idempotency_keys(site_url, created_at);
+
+-- Indexes for bookshelf_sync_failures
+CREATE INDEX IF NOT EXISTS idx_sync_failures_failed_at ON bookshelf_sync_failures(failed_at);
+
 -- ============================================================================
 -- STEP 3: Create Materialized Views
 -- ============================================================================
@@ -101,17 +198,67 @@ SELECT
 FROM bookshelf_book_views
 GROUP BY book_id;
 
--- Index on materialized view
-CREATE INDEX IF NOT EXISTS idx_book_view_counts_book_id
+-- Unique index on materialized view (required by REFRESH ... CONCURRENTLY)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_book_view_counts_book_id
 ON bookshelf_book_view_counts(book_id);
 
+-- View: Books listed on the bookshelf
+-- Books of verified sites that are not soft-deleted and whose site is not dead,
+-- as listed by /api/bookshelf/books. The stats views below count only these.
+CREATE OR REPLACE VIEW bookshelf_listed_books AS
+SELECT b.id, b.site_url, b.author_name, b.created_at
+FROM bookshelf_books b
+JOIN bookshelf_sites s ON s.site_url = b.site_url
+WHERE s.verified = true
+  AND s.health_status <> 'dead'
+  AND b.deleted_at IS NULL;
+
 -- Materialized view: Global statistics
 CREATE MATERIALIZED VIEW IF NOT EXISTS bookshelf_stats AS
 SELECT
-    COUNT(*) as total_books,
-    COUNT(DISTINCT site_url) as total_authors,
-    (SELECT COUNT(DISTINCT genre_slug) FROM bookshelf_book_genres) as total_genres
-FROM bookshelf_books;
+    1 as id,
+    (SELECT COUNT(*) FROM bookshelf_listed_books) as total_books,
+    (SELECT COUNT(DISTINCT LOWER(author_name)) FROM bookshelf_listed_books) as total_authors,
+    (SELECT COUNT(DISTINCT site_url) FROM bookshelf_listed_books) as total_sites,
+    (SELECT COUNT(DISTINCT g.genre_slug)
+       FROM bookshelf_book_genres g
+       JOIN bookshelf_listed_books lb ON lb.id = g.book_id) as total_genres,
+    (SELECT COUNT(*)
+       FROM bookshelf_book_views v
+       JOIN bookshelf_listed_books lb ON lb.id = v.book_id) as total_views;
+
+-- Unique index on the single stats row (required by REFRESH ... CONCURRENTLY)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookshelf_stats_id ON bookshelf_stats(id);
+
+-- Materialized view: Listed books added per week and per month
+-- The last 12 weeks and 12 months, including periods with no new books
+CREATE MATERIALIZED VIEW IF NOT EXISTS bookshelf_book_growth AS
+WITH periods AS (
+    SELECT 'week' as period, period_start, period_start + INTERVAL '1 week' as period_end
+    FROM generate_series(
+        date_trunc('week', NOW()) - INTERVAL '11 weeks',
+        date_trunc('week', NOW()),
+        INTERVAL '1 week'
+    ) AS period_start
+    UNION ALL
+    SELECT 'month', period_start, period_start + INTERVAL '1 month'
+    FROM generate_series(
+        date_trunc('month', NOW()) - INTERVAL '11 months',
+        date_trunc('month', NOW()),
+        INTERVAL '1 month'
+    ) AS period_start
+)
+SELECT
+    p.period,
+    p.period_start::date as period_start,
+    COUNT(lb.id) as books_added
+FROM periods p
+LEFT JOIN bookshelf_listed_books lb
+    ON lb.created_at >= p.period_start AND lb.created_at < p.period_end
+GROUP BY p.period, p.period_start;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_book_growth_period
+ON bookshelf_book_growth(period, period_start);
 
 -- ============================================================================
 -- STEP 4: Set Up Row Level Security (RLS)
@@ -122,6 +269,12 @@ ALTER TABLE bookshelf_sites ENABLE ROW LEVEL SECURITY;
 ALTER TABLE bookshelf_books ENABLE ROW LEVEL SECURITY;
 ALTER TABLE bookshelf_book_genres ENABLE ROW LEVEL SECURITY;
 ALTER TABLE bookshelf_book_views ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bookshelf_site_secrets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bookshelf_secret_claims ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bookshelf_request_signatures ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bookshelf_idempotency_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bookshelf_sync_failures ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bookshelf_view_refreshes ENABLE ROW LEVEL SECURITY;
 
 -- Create policies for public read access
 CREATE POLICY "Public read access" ON bookshelf_sites FOR SELECT USING (active = true);
@@ -137,6 +290,16 @@ CREATE POLICY "Service role full access sites" ON bookshelf_sites FOR ALL USING
 CREATE POLICY "Service role full access books" ON bookshelf_books FOR ALL USING (auth.role() = 'service_role');
 CREATE POLICY "Service role full access genres" ON bookshelf_book_genres FOR ALL USING (auth.role() = 'service_role');
 
+-- Signing secrets, replay records and idempotency keys are service role only (no public policies)
+CREATE POLICY "Service role full access site secrets" ON bookshelf_site_secrets FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service role full access secret claims" ON bookshelf_secret_claims FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service role full access request signatures" ON bookshelf_request_signatures FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service role full access idempotency keys" ON bookshelf_idempotency_keys FOR ALL USING (auth.role() = 'service_role');
+
+-- Health check data is service role only
+CREATE POLICY "Service role full access sync failures" ON bookshelf_sync_failures FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service role full access view refreshes" ON bookshelf_view_refreshes FOR ALL USING (auth.role() = 'service_role');
+
 -- ============================================================================
 -- STEP 5: Grant Permissions
 -- ============================================================================
@@ -144,28 +307,201 @@ CREATE POLICY "Service role full access genres" ON bookshelf_book_genres FOR ALL
 -- Grant permissions on materialized views (not controlled by RLS)
 GRANT SELECT ON bookshelf_book_view_counts TO anon, authenticated;
 GRANT SELECT ON bookshelf_stats TO anon, authenticated;
+GRANT SELECT ON bookshelf_book_growth TO anon, authenticated;
+
+-- The listed books view is only read by the materialized views
+REVOKE ALL ON bookshelf_listed_books FROM anon, authenticated;
 
 -- Grant sequence usage for INSERT operations
 GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO anon, authenticated;
 
 -- ============================================================================
--- STEP 6: Create Function to Refresh Materialized Views
+-- STEP 6: Create Functions
 -- ============================================================================
 
 -- Function to refresh all materialized views
+-- Records each refresh in bookshelf_view_refreshes, so their age can be reported
 CREATE OR REPLACE FUNCTION refresh_bookshelf_views()
 RETURNS void
 LANGUAGE plpgsql
 SECURITY DEFINER
+SET search_path = public
 AS $$
 BEGIN
     REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_book_view_counts;
     REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_stats;
+    REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_book_growth;
+
+    INSERT INTO bookshelf_view_refreshes (view_name, refreshed_at)
+    VALUES
+        ('bookshelf_book_view_counts', NOW()),
+        ('bookshelf_stats', NOW()),
+        ('bookshelf_book_growth', NOW())
+    ON CONFLICT (view_name) DO UPDATE SET refreshed_at = EXCLUDED.refreshed_at;
+END;
+$$;
+
+-- Only the API (service role) may refresh the views, from /api/bookshelf/refresh-views
+REVOKE ALL ON FUNCTION refresh_bookshelf_views() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION refresh_bookshelf_views() TO service_role;
+
+-- Function to count listed books per genre family
+-- p_families maps each genre slug to the slugs of its family (the genre and
+-- its subgenres, see api/_lib/genres.js). A book in several genres of one
+-- family is counted once. Used by /api/bookshelf/genres and /api/bookshelf/stats.
+CREATE OR REPLACE FUNCTION bookshelf_genre_family_counts(p_families JSONB)
+RETURNS TABLE (genre_slug TEXT, book_count BIGINT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT family.key, COUNT(DISTINCT g.book_id)
+    FROM jsonb_each(p_families) AS family
+    CROSS JOIN LATERAL jsonb_array_elements_text(family.value) AS member(slug)
+    JOIN bookshelf_book_genres g ON g.genre_slug = member.slug
+    JOIN bookshelf_listed_books lb ON lb.id = g.book_id
+    GROUP BY family.key;
+$$;
+
+-- Only the API (service role) may count genres
+REVOKE ALL ON FUNCTION bookshelf_genre_family_counts(JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION bookshelf_genre_family_counts(JSONB) TO service_role;
+
+-- Function to sync books atomically
+-- Upserts the site, the books and their genre associations in one transaction,
+-- so a failure anywhere rolls everything back. Called by /api/bookshelf/sync and
+-- /api/bookshelf/sync-batch through supabase.rpc().
+--
+-- p_books is a JSON array of bookshelf_books rows (keys match column names) with
+-- an extra "genres" array of genre slugs (inferred ones have genres_inferred set).
+-- Returns [{ book_post_id, book_id }, ...].
+--
+-- A book whose source_modified_at is older than the stored one is left untouched
+-- and reported as { book_post_id, conflict: true, stored: {...} } instead.
+CREATE OR REPLACE FUNCTION bookshelf_sync_books(
+    p_site_url TEXT,
+    p_site_name TEXT,
+    p_books JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_book JSONB;
+    v_row bookshelf_books;
+    v_book_id BIGINT;
+    v_stored RECORD;
+    v_results JSONB := '[]'::jsonb;
+BEGIN
+    -- A sync counts as contact from the site (see /api/bookshelf/site-health)
+    INSERT INTO bookshelf_sites (site_url, site_name, active, last_seen_at, health_status)
+    VALUES (p_site_url, p_site_name, true, NOW(), 'healthy')
+    ON CONFLICT (site_url) DO UPDATE
+        SET site_name = EXCLUDED.site_name,
+            active = true,
+            last_seen_at = NOW(),
+            health_status = 'healthy';
+
+    FOR v_book IN SELECT * FROM jsonb_array_elements(p_books)
+    LOOP
+        -- Cast every field to its column type
+        v_row := jsonb_populate_record(NULL::bookshelf_books, v_book);
+
+        INSERT INTO bookshelf_books (
+            site_url, book_post_id, title, slug, description,
+            cover_thumbnail, cover_medium, cover_large, cover_full,
+            author_name, author_bio, author_website, author_twitter, author_instagram,
+            purchase_amazon_in, purchase_amazon_com, purchase_other,
+            local_categories, formats, isbn, rating, review_count, publication_date,
+            series_name, series_position, language, genres_inferred,
+            source_modified_at, synced_at
+        )
+        VALUES (
+            p_site_url, v_row.book_post_id, v_row.title, v_row.slug, v_row.description,
+            v_row.cover_thumbnail, v_row.cover_medium, v_row.cover_large, v_row.cover_full,
+            v_row.author_name, v_row.author_bio, v_row.author_website, v_row.author_twitter, v_row.author_instagram,
+            v_row.purchase_amazon_in, v_row.purchase_amazon_com, v_row.purchase_other,
+            v_row.local_categories, v_row.formats, v_row.isbn, v_row.rating, v_row.review_count, v_row.publication_date,
+            v_row.series_name, v_row.series_position, v_row.language, COALESCE(v_row.genres_inferred, false),
+            v_row.source_modified_at, COALESCE(v_row.synced_at, NOW())
+        )
+        ON CONFLICT (site_url, book_post_id) DO UPDATE SET
+            title = EXCLUDED.title,
+            slug = EXCLUDED.slug,
+            description = EXCLUDED.description,
+            cover_thumbnail = EXCLUDED.cover_thumbnail,
+            cover_medium = EXCLUDED.cover_medium,
+            cover_large = EXCLUDED.cover_large,
+            cover_full = EXCLUDED.cover_full,
+            author_name = EXCLUDED.author_name,
+            author_bio = EXCLUDED.author_bio,
+            author_website = EXCLUDED.author_website,
+            author_twitter = EXCLUDED.author_twitter,
+            author_instagram = EXCLUDED.author_instagram,
+            purchase_amazon_in = EXCLUDED.purchase_amazon_in,
+            purchase_amazon_com = EXCLUDED.purchase_amazon_com,
+            purchase_other = EXCLUDED.purchase_other,
+            local_categories = EXCLUDED.local_categories,
+            formats = EXCLUDED.formats,
+            isbn = EXCLUDED.isbn,
+            rating = EXCLUDED.rating,
+            review_count = EXCLUDED.review_count,
+            publication_date = EXCLUDED.publication_date,
+            series_name = EXCLUDED.series_name,
+            series_position = EXCLUDED.series_position,
+            language = EXCLUDED.language,
+            genres_inferred = EXCLUDED.genres_inferred,
+            source_modified_at = COALESCE(EXCLUDED.source_modified_at, bookshelf_books.source_modified_at),
+            synced_at = EXCLUDED.synced_at,
+            -- A synced book is live again, even if its site was deregistered
+            deleted_at = NULL
+        -- Skip payloads older than what is stored (out-of-order retries)
+        WHERE bookshelf_books.source_modified_at IS NULL
+            OR EXCLUDED.source_modified_at IS NULL
+            OR EXCLUDED.source_modified_at >= bookshelf_books.source_modified_at
+        RETURNING id INTO v_book_id;
+
+        IF v_book_id IS NULL THEN
+            SELECT id, source_modified_at, synced_at INTO v_stored
+            FROM bookshelf_books
+            WHERE site_url = p_site_url AND book_post_id = v_row.book_post_id;
+
+            v_results := v_results || jsonb_build_object(
+                'book_post_id', v_row.book_post_id,
+                'conflict', true,
+                'stored', jsonb_build_object(
+                    'book_id', v_stored.id,
+                    'source_modified_at', v_stored.source_modified_at,
+                    'synced_at', v_stored.synced_at
+                )
+            );
+            CONTINUE;
+        END IF;
+
+        -- Replace genre associations
+        DELETE FROM bookshelf_book_genres WHERE book_id = v_book_id;
+
+        INSERT INTO bookshelf_book_genres (book_id, genre_slug)
+        SELECT DISTINCT v_book_id, genre
+        FROM jsonb_array_elements_text(COALESCE(v_book->'genres', '[]'::jsonb)) AS genre
+        WHERE genre <> '';
+
+        v_results := v_results || jsonb_build_object(
+            'book_post_id', v_row.book_post_id,
+            'book_id', v_book_id
+        );
+    END LOOP;
+
+    RETURN v_results;
 END;
 $$;
 
--- Grant execute permission
-GRANT EXECUTE ON FUNCTION refresh_bookshelf_views() TO anon, authenticated;
+-- Only the API (service role) may sync books
+REVOKE ALL ON FUNCTION bookshelf_sync_books(TEXT, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION bookshelf_sync_books(TEXT, TEXT, JSONB) TO service_role;
 
 -- ============================================================================
 -- STEP 7: Set Up Automatic Updates (Optional - if pg_cron is available)
@@ -174,22 +510,18 @@ GRANT EXECUTE ON FUNCTION refresh_bookshelf_views() TO anon, authenticated;
 -- Check if pg_cron is available first:
 -- SELECT * FROM pg_available_extensions WHERE name = 'pg_cron';
 
--- If pg_cron is available, uncomment these:
+-- The /api/bookshelf/refresh-views cron (vercel.json) refreshes the views hourly.
+-- To refresh them more often from the database, uncomment these if pg_cron is
+-- available. Call refresh_bookshelf_views() so each refresh is recorded in
+-- bookshelf_view_refreshes.
 
 -- CREATE EXTENSION IF NOT EXISTS pg_cron;
 
--- Schedule view count refresh every 5 minutes
--- SELECT cron.schedule(
---     'refresh-book-view-counts',
---     '*/5 * * * *',
---     'REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_book_view_counts;'
--- );
-
--- Schedule stats refresh every 10 minutes
+-- Schedule view refresh every 10 minutes
 -- SELECT cron.schedule(
---     'refresh-bookshelf-stats',
+--     'refresh-bookshelf-views',
 --     '*/10 * * * *',
---     'REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_stats;'
+--     'SELECT refresh_bookshelf_views();'
 -- );
 
 -- ============================================================================
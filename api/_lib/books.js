@@ -0,0 +1,294 @@
+/**
+ * Book payload helpers
+ * Turns plugin sync payloads into database records, shared by the sync endpoints
+ *
+ * Books are written through the bookshelf_sync_books database function, which
+ * upserts the site, the books and their genres in a single transaction.
+ *
+ * Payloads passed to these helpers must be in the current schema shape; older
+ * versions are upgraded first by resolveBookPayload() (see payload-schemas.js).
+ */
+
+import { sanitizeHtml, sanitizeHtmlWithReport, sanitizeUrl, truncateText } from './sanitize.js';
+import { resolveGenre } from './genres.js';
+import { inferGenres } from './genre-inference.js';
+import config from './config.js';
+
+/**
+ * Maximum number of bookshelf genres stored per book
+ */
+export const MAX_GENRES_PER_BOOK = 2;
+
+/**
+ * Maximum stored title length (longer titles are truncated)
+ */
+export const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Days soft-deleted books are kept before the purge job removes them
+ * @returns {number}
+ */
+export function getDeleteGraceDays() {
+  return config.sites.deleteGraceDays;
+}
+
+/**
+ * Oldest deleted_at that can still be restored
+ * Books soft-deleted before this are due for purging.
+ *
+ * @returns {string} ISO timestamp
+ */
+export function getDeleteCutoff() {
+  return new Date(Date.now() - getDeleteGraceDays() * 86400000).toISOString();
+}
+
+/**
+ * Last moment a soft-deleted book can be restored
+ *
+ * @param {string} deletedAt - ISO timestamp of the soft delete
+ * @returns {string} ISO timestamp
+ */
+export function getRestoreDeadline(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + getDeleteGraceDays() * 86400000).toISOString();
+}
+
+/**
+ * Parse the WordPress modification time sent with a payload
+ * Accepts ISO 8601 or WordPress GMT format ("2026-02-22 12:00:00", treated as UTC).
+ *
+ * @param {string} value - Timestamp from the payload
+ * @returns {string|null} ISO timestamp, or null if missing or invalid
+ */
+export function parseSourceTimestamp(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(trimmed)
+    ? `${trimmed.replace(' ', 'T')}Z`
+    : trimmed;
+
+  const date = new Date(normalized);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Prepare a bookshelf_books row from a sync payload with sanitization
+ *
+ * @param {Object} payload - Book payload sent by the plugin
+ * @returns {Object} Row ready to upsert
+ */
+export function buildBookRecord(payload) {
+  return {
+    site_url: payload.site_url,
+    book_post_id: payload.book_post_id,
+    title: truncateText(payload.title, MAX_TITLE_LENGTH),
+    slug: payload.slug || '',
+    description: sanitizeHtml(payload.description || ''),
+    cover_thumbnail: sanitizeUrl(payload.cover?.thumbnail || ''),
+    cover_medium: sanitizeUrl(payload.cover?.medium || ''),
+    cover_large: sanitizeUrl(payload.cover?.large || ''),
+    cover_full: sanitizeUrl(payload.cover?.full || ''),
+    author_name: truncateText(payload.author?.name || '', 100),
+    author_bio: sanitizeHtml(payload.author?.bio || ''),
+    author_website: sanitizeUrl(payload.author?.website || ''),
+    author_twitter: sanitizeUrl(payload.author?.twitter || ''),
+    author_instagram: sanitizeUrl(payload.author?.instagram || ''),
+    series_name: truncateText(payload.series?.name || '', MAX_TITLE_LENGTH) || null,
+    series_position: payload.series?.position ?? null,
+    language: payload.language || null,
+    purchase_amazon_in: sanitizeUrl(payload.purchase_links?.amazon_in || ''),
+    purchase_amazon_com: sanitizeUrl(payload.purchase_links?.amazon_com || ''),
+    purchase_other: sanitizeUrl(payload.purchase_links?.other || ''),
+    local_categories: JSON.stringify(payload.local_categories || []),
+    formats: JSON.stringify(payload.formats || []),
+    isbn: payload.isbn || '',
+    rating: payload.rating || null,
+    review_count: payload.review_count || null,
+    publication_date: payload.publication_date || null,
+    source_modified_at: parseSourceTimestamp(payload.modified_at),
+    synced_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Normalize the bookshelf genres of a payload
+ * Aliases are replaced by their canonical slug (see genres.js).
+ *
+ * @param {Array<string>} genres - Genre slugs or aliases from the payload
+ * @returns {Array<string>} Distinct known slugs, capped at MAX_GENRES_PER_BOOK
+ */
+export function normalizeGenres(genres) {
+  if (!Array.isArray(genres)) {
+    return [];
+  }
+
+  const slugs = genres
+    .map(resolveGenre)
+    .filter(slug => slug); // Unknown slugs are rejected by validation
+
+  return [...new Set(slugs)].slice(0, MAX_GENRES_PER_BOOK);
+}
+
+/**
+ * Decide which genres are stored for a payload
+ * The author's bookshelf genres win. Without any, genres are inferred from the
+ * WordPress categories (see genre-inference.js) and flagged as inferred.
+ *
+ * @param {Object} payload - Book payload sent by the plugin
+ * @returns {{genres: Array<string>, inferred: boolean, suggestion: Object|null}}
+ *   suggestion holds the inferred genres and the categories they came from
+ */
+export function resolveBookGenres(payload) {
+  const genres = normalizeGenres(payload.bookshelf_genres);
+  if (genres.length > 0) {
+    return { genres, inferred: false, suggestion: null };
+  }
+
+  const { genres: inferred, matches } = inferGenres(payload.local_categories);
+  if (inferred.length === 0) {
+    return { genres: [], inferred: false, suggestion: null };
+  }
+
+  const kept = inferred.slice(0, MAX_GENRES_PER_BOOK);
+  return {
+    genres: kept,
+    inferred: true,
+    suggestion: {
+      genres: kept,
+      matches: matches.filter(match => kept.includes(match.genre))
+    }
+  };
+}
+
+/**
+ * Prepare the p_books entry for the bookshelf_sync_books database function
+ *
+ * @param {Object} payload - Book payload sent by the plugin
+ * @returns {Object} Book row plus its "genres" slugs
+ */
+export function buildSyncEntry(payload) {
+  const { genres, inferred } = resolveBookGenres(payload);
+  return {
+    ...buildBookRecord(payload),
+    genres_inferred: inferred,
+    genres
+  };
+}
+
+/**
+ * Format a bookshelf_books row the way /api/bookshelf/books serves it
+ *
+ * @param {Object} book - Row, optionally with embedded bookshelf_book_genres
+ * @param {number} [viewCount] - Number of views
+ * @returns {Object} Public book object
+ */
+export function formatBook(book, viewCount = 0) {
+  return {
+    id: book.id,
+    title: book.title,
+    slug: book.slug,
+    description: book.description,
+    cover: {
+      medium: book.cover_medium,
+      large: book.cover_large
+    },
+    author: {
+      name: book.author_name,
+      bio: book.author_bio,
+      site_url: book.site_url
+    },
+    series: book.series_name
+      ? { name: book.series_name, position: book.series_position }
+      : null,
+    language: book.language,
+    source_post_id: book.book_post_id,
+    genres: book.bookshelf_book_genres?.map(g => g.genre_slug) || [],
+    genres_inferred: Boolean(book.genres_inferred),
+    purchase_links: {
+      amazon_in: book.purchase_amazon_in,
+      amazon_com: book.purchase_amazon_com,
+      other: book.purchase_other
+    },
+    formats: book.formats ? JSON.parse(book.formats) : [],
+    rating: book.rating,
+    review_count: book.review_count,
+    publication_date: book.publication_date,
+    synced_at: book.synced_at,
+    view_count: viewCount
+  };
+}
+
+/**
+ * Build a listing preview for a sync payload without writing anything
+ * Runs the same sanitization as a real sync and reports what it changed.
+ *
+ * @param {Object} payload - Book payload sent by the plugin
+ * @param {Array<Object>} [rejected] - Values dropped by resolveBookPayload() in
+ *   preview mode ({ field, value, message }); a real sync rejects them
+ * @returns {{book: Object, warnings: Array<Object>, genreSuggestion: Object|null}}
+ */
+export function previewListing(payload, rejected = []) {
+  const record = buildBookRecord(payload);
+  const { genres, inferred, suggestion } = resolveBookGenres(payload);
+  const warnings = [];
+
+  const warn = (field, code, message) => warnings.push({ field, code, message });
+
+  if (!record.cover_medium && !record.cover_large) {
+    warn('cover', 'MISSING_COVER', 'No usable medium or large cover image; a placeholder will be shown.');
+  }
+
+  // Compare by what the sanitizer dropped, not by text: entity and
+  // whitespace normalization alone should not raise a warning
+  const description = typeof payload.description === 'string' ? payload.description.trim() : '';
+  const { removed } = sanitizeHtmlWithReport(description);
+  if (description && !record.description) {
+    warn('description', 'DESCRIPTION_REMOVED', 'The description was removed entirely by the HTML sanitizer.');
+  } else if (removed > 0) {
+    warn('description', 'DESCRIPTION_SANITIZED', 'Some HTML in the description was stripped by the sanitizer.');
+  }
+
+  if (typeof payload.title === 'string' && payload.title.length > MAX_TITLE_LENGTH) {
+    warn('title', 'TITLE_TRUNCATED', `The title is longer than ${MAX_TITLE_LENGTH} characters and was truncated.`);
+  }
+
+  rejected
+    .filter(({ field }) => field.startsWith('purchase_links.'))
+    .forEach(({ field }) => {
+      warn(field, 'PURCHASE_URL_REJECTED', 'Purchase links must be absolute http(s) URLs; a sync is rejected until this one is fixed.');
+    });
+
+  rejected
+    .filter(({ field }) => field.startsWith('bookshelf_genres['))
+    .forEach(({ value }) => {
+      warn('bookshelf_genres', 'UNKNOWN_GENRE', `"${value}" is not a bookshelf genre; a sync is rejected until it is removed.`);
+    });
+
+  const requested = Array.isArray(payload.bookshelf_genres) ? payload.bookshelf_genres : [];
+
+  requested
+    .filter(slug => resolveGenre(slug) && resolveGenre(slug) !== slug)
+    .forEach(slug => {
+      warn('bookshelf_genres', 'GENRE_ALIASED', `"${slug}" is stored as "${resolveGenre(slug)}".`);
+    });
+
+  if (new Set(requested.map(resolveGenre).filter(slug => slug)).size > MAX_GENRES_PER_BOOK) {
+    warn('bookshelf_genres', 'GENRES_DROPPED', `Only the first ${MAX_GENRES_PER_BOOK} genres are kept.`);
+  }
+
+  if (inferred) {
+    const names = suggestion.matches.map(match => `"${match.category}" as "${match.genre}"`).join(', ');
+    warn('bookshelf_genres', 'GENRES_INFERRED', `No bookshelf genres were picked; inferred ${names} from the categories.`);
+  }
+
+  const book = formatBook({
+    ...record,
+    genres_inferred: inferred,
+    id: null,
+    bookshelf_book_genres: genres.map(genre_slug => ({ genre_slug }))
+  });
+
+  return { book, warnings, genreSuggestion: suggestion };
+}
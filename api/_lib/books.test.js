@@ -0,0 +1,204 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_TITLE_LENGTH,
+  getDeleteGraceDays,
+  getDeleteCutoff,
+  getRestoreDeadline,
+  MAX_GENRES_PER_BOOK,
+  buildBookRecord,
+  normalizeGenres,
+  parseSourceTimestamp,
+  buildSyncEntry,
+  previewListing
+} from './books.js';
+import { resolveBookPayload } from './payload-schemas.js';
+import { stubSupabase } from '../../test/supabase-stub.js';
+import { createResponse, createSignedRequest } from '../../test/http-stub.js';
+import registerHandler from '../bookshelf/register.js';
+
+const SITE = 'https://author.example';
+
+/**
+ * Minimal valid book payload
+ */
+function bookPayload(fields = {}) {
+  return {
+    site_url: SITE,
+    site_name: 'Author Site',
+    book_post_id: 42,
+    title: 'The Long Night',
+    ...fields
+  };
+}
+
+test('buildBookRecord sanitizes the description and drops unsafe URLs', () => {
+  const record = buildBookRecord(bookPayload({
+    description: '<p onclick="x()">Hello<script>alert(1)</script></p>',
+    cover: { medium: 'javascript:alert(1)', large: `${SITE}/cover.jpg` },
+    purchase_links: { other: 'data:text/html,<b>x</b>' }
+  }));
+
+  assert.equal(record.description, '<p>Hello</p>');
+  assert.equal(record.cover_medium, '');
+  assert.equal(record.cover_large, `${SITE}/cover.jpg`);
+  assert.equal(record.purchase_other, '');
+});
+
+test('buildBookRecord truncates long titles', () => {
+  const record = buildBookRecord(bookPayload({ title: 'x'.repeat(MAX_TITLE_LENGTH + 50) }));
+  assert.equal(record.title, `${'x'.repeat(MAX_TITLE_LENGTH)}...`);
+});
+
+test('buildBookRecord stores categories and formats as JSON', () => {
+  const record = buildBookRecord(bookPayload({ local_categories: ['Thrillers'], formats: ['ebook'] }));
+
+  assert.equal(record.local_categories, '["Thrillers"]');
+  assert.equal(record.formats, '["ebook"]');
+  assert.equal(record.site_url, SITE);
+  assert.equal(record.book_post_id, 42);
+});
+
+test('buildSyncEntry attaches the normalized genres', () => {
+  const entry = buildSyncEntry(bookPayload({ bookshelf_genres: ['sci-fi', 'fantasy', 'horror'] }));
+
+  assert.deepEqual(entry.genres, ['science-fiction', 'fantasy']);
+  assert.equal(entry.genres_inferred, false);
+  assert.equal(entry.title, 'The Long Night');
+});
+
+test('buildSyncEntry infers genres from categories when none were picked', () => {
+  const entry = buildSyncEntry(bookPayload({ bookshelf_genres: [''], local_categories: ['Cozy Romance', 'Ghost Stories', 'Poems'] }));
+
+  assert.deepEqual(entry.genres, ['romance', 'horror']);
+  assert.equal(entry.genres_inferred, true);
+});
+
+test('normalizeGenres drops empty entries and duplicates and caps the count', () => {
+  assert.deepEqual(normalizeGenres(['', 'fantasy', 'fantasy', 'horror', 'romance']), ['fantasy', 'horror']);
+  assert.equal(normalizeGenres(['fantasy', 'horror', 'romance']).length, MAX_GENRES_PER_BOOK);
+  assert.deepEqual(normalizeGenres(null), []);
+});
+
+test('parseSourceTimestamp reads ISO 8601 and WordPress GMT times', () => {
+  assert.equal(parseSourceTimestamp('2026-02-22T12:00:00+02:00'), '2026-02-22T10:00:00.000Z');
+  assert.equal(parseSourceTimestamp(' 2026-02-22 12:00:00 '), '2026-02-22T12:00:00.000Z');
+});
+
+test('parseSourceTimestamp rejects missing and invalid times', () => {
+  assert.equal(parseSourceTimestamp(''), null);
+  assert.equal(parseSourceTimestamp(1771761600), null);
+  assert.equal(parseSourceTimestamp('yesterday'), null);
+});
+
+test('buildBookRecord stores the source modification time', () => {
+  const record = buildBookRecord(bookPayload({ modified_at: '2026-02-22 12:00:00' }));
+  assert.equal(record.source_modified_at, '2026-02-22T12:00:00.000Z');
+});
+
+/**
+ * Warning codes of a preview
+ */
+function warningCodes(preview) {
+  return preview.warnings.map(warning => warning.code);
+}
+
+test('previewListing returns the book as the books endpoint serves it', () => {
+  const { book } = previewListing(bookPayload({
+    cover: { medium: `${SITE}/m.jpg`, large: `${SITE}/l.jpg` },
+    bookshelf_genres: ['fantasy']
+  }));
+
+  assert.equal(book.id, null);
+  assert.equal(book.title, 'The Long Night');
+  assert.deepEqual(book.cover, { medium: `${SITE}/m.jpg`, large: `${SITE}/l.jpg` });
+  assert.deepEqual(book.genres, ['fantasy']);
+});
+
+test('previewListing warns about listing problems', () => {
+  const preview = previewListing(bookPayload({
+    title: 'x'.repeat(MAX_TITLE_LENGTH + 1),
+    description: '<p>Hi<script>alert(1)</script></p>',
+    bookshelf_genres: ['sci-fi']
+  }));
+
+  assert.deepEqual(warningCodes(preview), ['MISSING_COVER', 'DESCRIPTION_SANITIZED', 'TITLE_TRUNCATED', 'GENRE_ALIASED']);
+});
+
+test('previewListing does not warn about entity-only description changes', () => {
+  const preview = previewListing(bookPayload({
+    cover: { medium: `${SITE}/m.jpg` },
+    description: '<p>Tom &amp; Jerry</p>'
+  }));
+
+  assert.deepEqual(preview.warnings, []);
+});
+
+test('a dry run reports rejected purchase links and unknown genres as warnings', () => {
+  const resolved = resolveBookPayload(bookPayload({
+    schema_version: 2,
+    cover: { medium: `${SITE}/m.jpg` },
+    purchase_links: { amazon_com: 'javascript:alert(1)', other: `${SITE}/buy` },
+    bookshelf_genres: ['fantasy', 'steampunk-noir']
+  }), { preview: true });
+
+  assert.equal(resolved.valid, true);
+  const preview = previewListing(resolved.book, resolved.rejected);
+  assert.deepEqual(warningCodes(preview), ['PURCHASE_URL_REJECTED', 'UNKNOWN_GENRE']);
+  assert.equal(preview.warnings[0].field, 'purchase_links.amazon_com');
+  assert.match(preview.warnings[1].message, /steampunk-noir/);
+  assert.deepEqual(preview.book.purchase_links, { amazon_in: '', amazon_com: '', other: `${SITE}/buy` });
+  assert.deepEqual(preview.book.genres, ['fantasy']);
+});
+
+test('a real sync still rejects invalid purchase links and unknown genres', () => {
+  const resolved = resolveBookPayload(bookPayload({
+    purchase_links: { amazon_com: 'javascript:alert(1)' },
+    bookshelf_genres: ['steampunk-noir']
+  }));
+
+  assert.equal(resolved.valid, false);
+  assert.deepEqual(Object.keys(resolved.error.errors), ['purchase_links.amazon_com', 'bookshelf_genres[0]']);
+});
+
+test('soft-deleted books can be restored for the grace period', () => {
+  assert.equal(getDeleteGraceDays(), 30);
+  assert.equal(getRestoreDeadline('2026-02-22T12:00:00.000Z'), '2026-03-24T12:00:00.000Z');
+
+  const cutoffAge = Date.now() - new Date(getDeleteCutoff()).getTime();
+  assert.ok(Math.abs(cutoffAge - 30 * 86400000) < 1000);
+});
+
+/**
+ * Re-register a signed site deregistered at the given time and return the restore query
+ */
+async function reregister(t, deregisteredAt) {
+  const secret = 'a'.repeat(64);
+  const queries = stubSupabase(t, (query) => {
+    if (query.table === 'bookshelf_site_secrets') {
+      return { data: { secret } };
+    }
+    if (query.table === 'bookshelf_sites') {
+      return { data: query.has('upsert') ? { id: 1, verified: true } : { deregistered_at: deregisteredAt } };
+    }
+    return { data: [{ id: 7 }] };
+  });
+  const res = createResponse();
+  await registerHandler(createSignedRequest({ body: { site_url: SITE, site_name: 'Author Site' }, secret }), res);
+
+  assert.equal(res.statusCode, 200);
+  return queries.find(query => query.table === 'bookshelf_books');
+}
+
+test('re-registering restores only the books deleted by the deregistration', async (t) => {
+  const deregisteredAt = new Date(Date.now() - 86400000).toISOString();
+
+  const restore = await reregister(t, deregisteredAt.replace('Z', '+00:00'));
+
+  assert.deepEqual(restore.args('update'), [{ deleted_at: null }]);
+  assert.deepEqual(restore.calls.filter(([method]) => method === 'eq'), [['eq', 'site_url', SITE], ['eq', 'deleted_at', deregisteredAt]]);
+  assert.equal(restore.has('gte'), false);
+
+  const expired = await reregister(t, new Date(Date.now() - 31 * 86400000).toISOString());
+  assert.equal(expired, undefined);
+});
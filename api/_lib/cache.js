@@ -0,0 +1,41 @@
+/**
+ * HTTP caching for public read endpoints
+ * Sends JSON with Cache-Control and an ETag, and answers a matching
+ * If-None-Match with 304 Not Modified
+ *
+ * vercel.json marks /api responses as no-store; endpoints using this helper
+ * are excluded from that rule.
+ */
+
+import crypto from 'crypto';
+import { HTTP_STATUS } from './errors.js';
+
+/**
+ * Browsers keep responses for 5 minutes, the CDN for 15 (the materialized
+ * views behind them refresh hourly)
+ */
+export const CACHE_CONTROL = 'public, max-age=300, s-maxage=900, stale-while-revalidate=3600';
+
+/**
+ * Send a cacheable JSON response
+ *
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} body - Response body
+ * @param {string} [cacheControl] - Cache-Control header value
+ */
+export function sendCachedJson(req, res, body, cacheControl = CACHE_CONTROL) {
+  const etag = `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+  res.setHeader('Cache-Control', cacheControl);
+  res.setHeader('ETag', etag);
+
+  // The cached copy is still current (weak validators compare equal too)
+  const cached = String(req.headers['if-none-match'] || '')
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''));
+  if (cached.includes(etag)) {
+    return res.status(HTTP_STATUS.NOT_MODIFIED).end();
+  }
+
+  return res.status(HTTP_STATUS.OK).json(body);
+}
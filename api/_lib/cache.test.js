@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubSupabase } from '../../test/supabase-stub.js';
+import { createRequest, createResponse } from '../../test/http-stub.js';
+import { CACHE_CONTROL, sendCachedJson } from './cache.js';
+import { MATERIALIZED_VIEWS } from './views.js';
+import statsHandler from '../bookshelf/stats.js';
+
+const BODY = { success: true, totals: { books: 3 } };
+
+/**
+ * Send BODY and return the response
+ */
+function send(headers = {}, body = BODY) {
+  const res = createResponse();
+  sendCachedJson(createRequest({ headers }), res, body);
+  return res;
+}
+
+test('sendCachedJson sends the body with Cache-Control and a stable ETag', () => {
+  const res = send();
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, BODY);
+  assert.equal(res.headers['cache-control'], CACHE_CONTROL);
+  assert.match(res.headers.etag, /^"[\w-]+"$/);
+  assert.equal(send().headers.etag, res.headers.etag);
+  assert.notEqual(send({}, { ...BODY, totals: { books: 4 } }).headers.etag, res.headers.etag);
+});
+
+test('sendCachedJson answers a matching If-None-Match with 304', () => {
+  const { etag } = send().headers;
+
+  for (const ifNoneMatch of [etag, `W/${etag}`, `"other", ${etag}`]) {
+    const res = send({ 'if-none-match': ifNoneMatch });
+    assert.equal(res.statusCode, 304, ifNoneMatch);
+    assert.equal(res.body, undefined);
+    assert.equal(res.headers.etag, etag);
+  }
+
+  assert.equal(send({ 'if-none-match': '"other"' }).statusCode, 200);
+});
+
+test('the stats endpoint reports counts and its oldest view refresh', async (t) => {
+  let refreshes = MATERIALIZED_VIEWS.map((view, i) => ({ view_name: view, refreshed_at: `2026-03-01T12:0${i}:00.000Z` }));
+  const queries = stubSupabase(t, (query) => (query.rpc ? {
+    data: [
+      { genre_slug: 'epic-fantasy', book_count: 12 },
+      { genre_slug: 'horror', book_count: '42' },
+      { genre_slug: 'fantasy', book_count: '42' },
+      { genre_slug: 'poetry', book_count: 0 }
+    ]
+  } : ({
+    bookshelf_stats: { data: { total_books: '120', total_authors: 35, total_sites: 33, total_genres: 14, total_views: '5210' } },
+    bookshelf_book_growth: {
+      data: [
+        { period: 'week', period_start: '2026-02-23', books_added: '4' },
+        { period: 'month', period_start: '2026-02-01', books_added: 17 }
+      ]
+    },
+    bookshelf_view_refreshes: { data: refreshes }
+  })[query.table]));
+
+  const res = createResponse();
+  await statsHandler(createRequest(), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.totals, { books: 120, authors: 35, sites: 33, genres: 14, views: 5210 });
+  assert.equal(queries.find(query => query.rpc).rpc, 'bookshelf_genre_family_counts');
+  assert.deepEqual(res.body.genres, [
+    { slug: 'fantasy', book_count: 42 },
+    { slug: 'horror', book_count: 42 },
+    { slug: 'epic-fantasy', book_count: 12 }
+  ]);
+  assert.deepEqual(res.body.growth, {
+    weekly: [{ period_start: '2026-02-23', books_added: 4 }],
+    monthly: [{ period_start: '2026-02-01', books_added: 17 }]
+  });
+  assert.equal(res.body.refreshed_at, '2026-03-01T12:00:00.000Z');
+  assert.equal(res.headers['cache-control'], CACHE_CONTROL);
+
+  // One view never refreshed: the age of the numbers is unknown
+  refreshes = refreshes.slice(1);
+  const partial = createResponse();
+  await statsHandler(createRequest(), partial);
+  assert.equal(partial.body.refreshed_at, null);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig, ConfigError } from './config.js';
+
+const REQUIRED = {
+  SUPABASE_URL: 'https://project.supabase.co',
+  SUPABASE_SERVICE_KEY: 'service-key-0123456789abcdef'
+};
+
+test('loadConfig applies defaults and parses typed settings', () => {
+  const { config, errors } = loadConfig({
+    ...REQUIRED,
+    BOOKSHELF_STALE_AFTER_DAYS: '7',
+    BOOKSHELF_RATE_LIMIT_ENABLED: 'off',
+    BOOKSHELF_CORS_PUBLIC_ORIGINS: 'https://a.example, https://*.b.example,'
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(config.env, 'production');
+  assert.equal(config.sites.staleAfterDays, 7);
+  assert.equal(config.sites.deleteGraceDays, 30);
+  assert.equal(config.rateLimit.enabled, false);
+  assert.deepEqual(config.cors.publicOrigins, ['https://a.example', 'https://*.b.example']);
+  assert.equal(config.cron.secret, null);
+});
+
+test('loadConfig lists every missing and invalid setting', () => {
+  const { errors } = loadConfig({
+    BOOKSHELF_DEAD_AFTER_DAYS: '0',
+    REDIS_URL: 'http://cache.example',
+    BOOKSHELF_MIN_PLUGIN_VERSION: 'latest'
+  });
+
+  assert.equal(errors.length, 5);
+  assert.match(errors[0], /^SUPABASE_URL is required/);
+  assert.match(errors[1], /^SUPABASE_SERVICE_KEY is required/);
+  assert.ok(errors.some(error => error.startsWith('REDIS_URL must be a redis or rediss URL')));
+  assert.ok(errors.some(error => error.startsWith('BOOKSHELF_DEAD_AFTER_DAYS must be an integer of at least 1')));
+  assert.ok(errors.some(error => error.startsWith('BOOKSHELF_MIN_PLUGIN_VERSION must be a version')));
+});
+
+test('loadConfig never reports sensitive values in clear', () => {
+  const { errors, settings } = loadConfig({ ...REQUIRED, BOOKSHELF_ADMIN_TOKEN: 'short-admin-token' });
+
+  assert.match(errors[0], /BOOKSHELF_ADMIN_TOKEN must be at least 32 characters \(got "\*\*\*\*oken"\)/);
+  const serviceKey = settings.find(setting => setting.env === 'SUPABASE_SERVICE_KEY');
+  assert.equal(serviceKey.value, '****cdef');
+  assert.equal(serviceKey.source, 'env');
+});
+
+test('loadConfig warns about risky combinations', () => {
+  const { warnings } = loadConfig({ ...REQUIRED, BOOKSHELF_STALE_AFTER_DAYS: '30', BOOKSHELF_DEAD_AFTER_DAYS: '10' });
+
+  assert.equal(warnings.length, 3);
+  assert.match(warnings[0], /BOOKSHELF_DEAD_AFTER_DAYS is shorter/);
+  assert.match(warnings[1], /REDIS_URL is not set/);
+  assert.match(warnings[2], /CRON_SECRET is not set/);
+});
+
+test('ConfigError lists every problem', () => {
+  const error = new ConfigError(['A is required', 'B must be true or false']);
+  assert.match(error.message, /Invalid configuration:\n {2}- A is required\n {2}- B must be true or false/);
+});
@@ -0,0 +1,157 @@
+/**
+ * CORS policy
+ * Origin allowlists read from the environment and per-route access rules
+ *
+ * Allowlists are comma-separated origins (see config.js). An entry is either an exact origin
+ * ("https://authorkit.pro", "http://localhost:3000"), a wildcard subdomain
+ * ("https://*.authorkit.pro", which does not match the bare domain) or "*".
+ *
+ * Routes declare their access level and methods:
+ * - PUBLIC: read endpoints used by the bookshelf pages and embeds, open to
+ *   BOOKSHELF_CORS_PUBLIC_ORIGINS (default "*")
+ * - PRIVATE: write and cron endpoints, called server-to-server by the plugin
+ *   and Vercel. Browsers are only allowed from BOOKSHELF_CORS_PRIVATE_ORIGINS
+ *   (default: none).
+ *
+ * Server-to-server requests send no Origin header and are not affected by CORS.
+ */
+
+import config from './config.js';
+import logger from './logger.js';
+
+/**
+ * Route access levels
+ */
+export const CORS_ACCESS = {
+  PUBLIC: 'public',
+  PRIVATE: 'private'
+};
+
+/**
+ * Request headers each access level accepts
+ */
+const ALLOWED_HEADERS = {
+  [CORS_ACCESS.PUBLIC]: 'Content-Type',
+  [CORS_ACCESS.PRIVATE]: 'Content-Type, Authorization, X-Bookshelf-Signature, Idempotency-Key'
+};
+
+/**
+ * Parse one allowlist entry into a matcher
+ * @returns {{any: boolean, protocol: string, host: string, wildcard: boolean}|null} null if invalid
+ */
+function parseOriginEntry(entry) {
+  if (entry === '*') {
+    return { any: true };
+  }
+
+  const wildcard = /^(https?:\/\/)\*\.(.+)$/i.exec(entry);
+
+  try {
+    // Parse "https://*.example.com" as "https://example.com" and keep the flag
+    const url = new URL(wildcard ? `${wildcard[1]}${wildcard[2]}` : entry);
+
+    if ((url.protocol !== 'http:' && url.protocol !== 'https:') ||
+        url.pathname !== '/' || url.search || url.hash || url.username) {
+      return null;
+    }
+
+    return { any: false, protocol: url.protocol, host: url.host, wildcard: Boolean(wildcard) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a comma-separated origin allowlist
+ * Invalid entries are skipped with a warning.
+ *
+ * @param {string} value - e.g. "https://authorkit.pro, https://*.authorkit.pro"
+ * @returns {Array<Object>} Origin matchers
+ */
+export function parseOriginList(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry)
+    .map(entry => {
+      const matcher = parseOriginEntry(entry);
+      if (!matcher) {
+        logger.warn('Ignoring invalid origin in CORS allowlist', { origin: entry });
+      }
+      return matcher;
+    })
+    .filter(matcher => matcher);
+}
+
+/**
+ * Check an Origin header against an allowlist
+ *
+ * @param {string} origin - Origin request header
+ * @param {Array<Object>} allowlist - Matchers from parseOriginList()
+ * @returns {boolean}
+ */
+export function isOriginAllowed(origin, allowlist) {
+  let url;
+  try {
+    url = new URL(origin);
+  } catch {
+    return false;
+  }
+
+  // Only a bare origin is valid ("null" and full URLs are not)
+  if (url.origin !== origin) {
+    return false;
+  }
+
+  return allowlist.some(matcher => {
+    if (matcher.any) {
+      return true;
+    }
+    if (matcher.protocol !== url.protocol) {
+      return false;
+    }
+    return matcher.wildcard
+      ? url.host.endsWith(`.${matcher.host}`)
+      : url.host === matcher.host;
+  });
+}
+
+/**
+ * Allowlists per access level
+ */
+const ALLOWLISTS = {
+  [CORS_ACCESS.PUBLIC]: parseOriginList(config.cors.publicOrigins.join(',')),
+  [CORS_ACCESS.PRIVATE]: parseOriginList(config.cors.privateOrigins.join(','))
+};
+
+/**
+ * Build the CORS response headers for a request
+ *
+ * @param {string|undefined} origin - Origin request header
+ * @param {{access: string, methods: Array<string>}} route - Route policy
+ * @returns {Object<string, string>} Headers to set
+ */
+export function getCorsHeaders(origin, route) {
+  const allowlist = ALLOWLISTS[route.access];
+  const openToAll = allowlist.some(matcher => matcher.any);
+
+  const headers = {
+    'Access-Control-Allow-Methods': [...route.methods, 'OPTIONS'].join(', '),
+    'Access-Control-Allow-Headers': ALLOWED_HEADERS[route.access],
+    // Let browser clients read the request ID and rate limit state
+    'Access-Control-Expose-Headers': 'X-Request-Id, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After',
+    'Access-Control-Max-Age': '86400' // 24 hours
+  };
+
+  if (openToAll) {
+    headers['Access-Control-Allow-Origin'] = '*';
+  } else {
+    // The response depends on the Origin header, so caches must key on it
+    headers.Vary = 'Origin';
+    if (origin && isOriginAllowed(origin, allowlist)) {
+      headers['Access-Control-Allow-Origin'] = origin;
+    }
+  }
+
+  return headers;
+}
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CORS_ACCESS, parseOriginList, isOriginAllowed, getCorsHeaders } from './cors.js';
+
+const ALLOWLIST = parseOriginList('https://authorkit.pro, https://*.authorkit.pro, http://localhost:3000, ftp://x.example, nonsense');
+
+test('parseOriginList skips invalid entries', () => {
+  assert.equal(ALLOWLIST.length, 3);
+});
+
+test('isOriginAllowed matches exact origins and wildcard subdomains', () => {
+  assert.equal(isOriginAllowed('https://authorkit.pro', ALLOWLIST), true);
+  assert.equal(isOriginAllowed('https://blog.authorkit.pro', ALLOWLIST), true);
+  assert.equal(isOriginAllowed('http://localhost:3000', ALLOWLIST), true);
+});
+
+test('isOriginAllowed rejects look-alike and malformed origins', () => {
+  for (const origin of [
+    'https://authorkit.pro.evil.example',
+    'https://evilauthorkit.pro',
+    'http://authorkit.pro',
+    'https://authorkit.pro/path',
+    'http://localhost:3001',
+    'null'
+  ]) {
+    assert.equal(isOriginAllowed(origin, ALLOWLIST), false, origin);
+  }
+});
+
+test('public routes are open to every origin by default', () => {
+  const headers = getCorsHeaders('https://reader.example', { access: CORS_ACCESS.PUBLIC, methods: ['GET'] });
+
+  assert.equal(headers['Access-Control-Allow-Origin'], '*');
+  assert.equal(headers['Access-Control-Allow-Methods'], 'GET, OPTIONS');
+  assert.equal(headers['Access-Control-Allow-Headers'], 'Content-Type');
+});
+
+test('private routes allow no browser origin by default', () => {
+  const headers = getCorsHeaders('https://authorkit.pro', { access: CORS_ACCESS.PRIVATE, methods: ['POST'] });
+
+  assert.equal(headers['Access-Control-Allow-Origin'], undefined);
+  assert.equal(headers.Vary, 'Origin');
+  assert.match(headers['Access-Control-Allow-Headers'], /X-Bookshelf-Signature/);
+});
@@ -11,6 +11,7 @@
  * @property {string} error - Human-readable error message
  * @property {string} [code] - Machine-readable error code (optional)
  * @property {Array<string>} [details] - Additional error details (optional)
+ * @property {Object<string, string>} [errors] - Validation messages keyed by field path (optional)
  * @property {number} [retryAfter] - Seconds until retry allowed (rate limiting)
  */
 
@@ -26,11 +27,25 @@ export const ERROR_CODES = {
   // Authentication/Authorization errors (401/403)
   UNAUTHORIZED: 'UNAUTHORIZED',
   FORBIDDEN: 'FORBIDDEN',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  SIGNATURE_EXPIRED: 'SIGNATURE_EXPIRED',
+  REPLAYED_REQUEST: 'REPLAYED_REQUEST',
 
   // Not found errors (404)
   NOT_FOUND: 'NOT_FOUND',
   RESOURCE_NOT_FOUND: 'RESOURCE_NOT_FOUND',
 
+  // Conflict / unprocessable errors (409/422)
+  CONFLICT: 'CONFLICT',
+  VERIFICATION_FAILED: 'VERIFICATION_FAILED',
+  STALE_UPDATE: 'STALE_UPDATE',
+  IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+  IDEMPOTENCY_KEY_IN_PROGRESS: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+  UNSUPPORTED_PAYLOAD_SCHEMA: 'UNSUPPORTED_PAYLOAD_SCHEMA',
+
+  // Plugin too old (426)
+  UPGRADE_REQUIRED: 'UPGRADE_REQUIRED',
+
   // Method errors (405)
   METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
 
@@ -43,7 +58,8 @@ export const ERROR_CODES = {
   EXTERNAL_API_ERROR: 'EXTERNAL_API_ERROR',
 
   // Service errors (503)
-  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE'
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  SYNC_FAILED: 'SYNC_FAILED'
 };
 
 /**
@@ -80,6 +96,7 @@ export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
   NO_CONTENT: 204,
+  NOT_MODIFIED: 304,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
@@ -87,6 +104,7 @@ export const HTTP_STATUS = {
   METHOD_NOT_ALLOWED: 405,
   CONFLICT: 409,
   UNPROCESSABLE_ENTITY: 422,
+  UPGRADE_REQUIRED: 426,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_ERROR: 500,
   SERVICE_UNAVAILABLE: 503
@@ -96,11 +114,21 @@ export const HTTP_STATUS = {
  * Common error response generators
  */
 
-export function validationError(message, details = null) {
+/**
+ * @param {string} [message] - Summary; defaults to the first field error
+ * @param {Object<string, string>} [errors] - Messages keyed by field path, e.g. { "cover.medium": "must be an absolute http(s) URL" }
+ */
+export function validationError(message, errors = null) {
+  const entries = Object.entries(errors || {});
+  const summary = entries.length > 0
+    ? `${entries[0][0]} ${entries[0][1]}`
+    : 'Validation failed';
+
   return createErrorResponse(
-    message || 'Validation failed',
+    message || summary,
     ERROR_CODES.VALIDATION_ERROR,
-    details
+    null,
+    entries.length > 0 ? { errors } : {}
   );
 }
 
@@ -124,6 +152,34 @@ export function methodNotAllowedError(allowed = null) {
   );
 }
 
+export function unauthorizedError(message = null, code = ERROR_CODES.UNAUTHORIZED) {
+  return createErrorResponse(
+    message || 'Unauthorized',
+    code
+  );
+}
+
+export function staleUpdateError(stored = null) {
+  return createErrorResponse(
+    'A newer version of this book is already stored',
+    ERROR_CODES.STALE_UPDATE,
+    null,
+    stored ? { stored } : {}
+  );
+}
+
+export function upgradeRequiredError(pluginVersion, minVersion) {
+  return createErrorResponse(
+    `AuthorKit ${pluginVersion} is no longer supported by the Bookshelf. Please update to ${minVersion} or later.`,
+    ERROR_CODES.UPGRADE_REQUIRED,
+    null,
+    {
+      plugin_version: pluginVersion,
+      min_plugin_version: minVersion
+    }
+  );
+}
+
 export function rateLimitError(retryAfter = null) {
   return createErrorResponse(
     'Too many requests. Please try again later.',
@@ -173,6 +229,152 @@ export function databaseError(isDevelopment = false, error = null) {
   return response;
 }
 
+export function syncFailedError(isDevelopment = false, error = null, retryAfter = 30) {
+  const response = createErrorResponse(
+    'Sync failed and no changes were saved. Please retry.',
+    ERROR_CODES.SYNC_FAILED,
+    null,
+    { retryable: true, retryAfter }
+  );
+
+  // In development, include error details
+  if (isDevelopment && error) {
+    response.message = error.message;
+  }
+
+  return response;
+}
+
+/**
+ * Error thrown by a handler to end the request with a specific error response
+ * (see api/_lib/handler.js)
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {ErrorResponse} response - Error response body
+   */
+  constructor(status, response) {
+    super(response.error);
+    this.name = 'ApiError';
+    this.status = status;
+    this.response = response;
+  }
+}
+
+/**
+ * Error thrown by a handler when a Supabase query fails
+ * The handler pipeline maps it onto an error code and status by its
+ * PostgreSQL / PostgREST error code.
+ */
+export class DatabaseError extends Error {
+  /**
+   * @param {Object} error - Supabase error ({ message, code, details, hint })
+   * @param {string} operation - What failed, for logs, e.g. "Book sync"
+   */
+  constructor(error, operation) {
+    super(`${operation} failed: ${error?.message || 'unknown error'}`);
+    this.name = 'DatabaseError';
+    this.operation = operation;
+    this.dbError = error;
+  }
+}
+
+/**
+ * Error responses for PostgreSQL (SQLSTATE) and PostgREST error codes
+ * Exact codes are checked first, then the two-character SQLSTATE class.
+ */
+const DATABASE_ERROR_MAP = {
+  exact: {
+    '23505': [HTTP_STATUS.CONFLICT, ERROR_CODES.CONFLICT, 'Resource already exists'],
+    '23503': [HTTP_STATUS.CONFLICT, ERROR_CODES.CONFLICT, 'Referenced resource does not exist'],
+    '57014': [HTTP_STATUS.SERVICE_UNAVAILABLE, ERROR_CODES.SERVICE_UNAVAILABLE, 'Database query timed out'],
+    'PGRST116': [HTTP_STATUS.NOT_FOUND, ERROR_CODES.NOT_FOUND, 'Resource not found'],
+    'PGRST000': [HTTP_STATUS.SERVICE_UNAVAILABLE, ERROR_CODES.SERVICE_UNAVAILABLE, 'Database unavailable'],
+    'PGRST001': [HTTP_STATUS.SERVICE_UNAVAILABLE, ERROR_CODES.SERVICE_UNAVAILABLE, 'Database unavailable'],
+    'PGRST002': [HTTP_STATUS.SERVICE_UNAVAILABLE, ERROR_CODES.SERVICE_UNAVAILABLE, 'Database unavailable']
+  },
+  classes: {
+    '08': [HTTP_STATUS.SERVICE_UNAVAILABLE, ERROR_CODES.SERVICE_UNAVAILABLE, 'Database unavailable'],
+    '22': [HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_INPUT, 'Invalid data'],
+    '23': [HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_INPUT, 'Invalid data'],
+    '53': [HTTP_STATUS.SERVICE_UNAVAILABLE, ERROR_CODES.SERVICE_UNAVAILABLE, 'Database unavailable']
+  }
+};
+
+/**
+ * Database errors worth retrying: the statement failed for reasons unrelated
+ * to the data (connection lost, timeout, serialization failure, deadlock,
+ * lock not available), so the same request can succeed later
+ */
+const RETRYABLE_DATABASE_ERRORS = {
+  exact: ['57014', '40001', '40P01', '55P03', 'PGRST000', 'PGRST001', 'PGRST002'],
+  classes: ['08']
+};
+
+/**
+ * Check whether a failed query can succeed if retried unchanged
+ * Errors without a code never got an answer from the database (network
+ * failure) and are retryable too. Constraint violations, invalid data and
+ * other errors would fail again.
+ *
+ * @param {Object} error - Supabase error ({ message, code, details, hint })
+ * @returns {boolean}
+ */
+export function isRetryableDatabaseError(error) {
+  const code = String(error?.code || '');
+  return code === '' ||
+    RETRYABLE_DATABASE_ERRORS.exact.includes(code) ||
+    RETRYABLE_DATABASE_ERRORS.classes.includes(code.slice(0, 2));
+}
+
+/**
+ * Map a Supabase error onto an error response
+ *
+ * @param {Object} error - Supabase error ({ message, code, details, hint })
+ * @param {boolean} [isDevelopment] - Include the database message, details and hint
+ * @returns {{status: number, response: ErrorResponse}}
+ */
+export function mapDatabaseError(error, isDevelopment = false) {
+  const code = String(error?.code || '');
+  const [status, errorCode, message] = DATABASE_ERROR_MAP.exact[code] ||
+    DATABASE_ERROR_MAP.classes[code.slice(0, 2)] ||
+    [HTTP_STATUS.INTERNAL_ERROR, ERROR_CODES.DATABASE_ERROR, 'Database error occurred'];
+
+  const response = createErrorResponse(message, errorCode);
+
+  // In development, include error details
+  if (isDevelopment && error) {
+    response.message = error.message;
+    response.db_code = error.code;
+    response.db_details = error.details;
+    response.db_hint = error.hint;
+  }
+
+  return { status, response };
+}
+
+/**
+ * Map anything a handler threw onto an error response
+ * ApiError keeps its status and body, DatabaseError is mapped by code and
+ * everything else is a 500.
+ *
+ * @param {Error} error - Thrown error
+ * @param {boolean} [isDevelopment] - Include internal details
+ * @returns {{status: number, response: ErrorResponse}}
+ */
+export function toErrorResponse(error, isDevelopment = false) {
+  if (error instanceof ApiError) {
+    return { status: error.status, response: error.response };
+  }
+
+  if (error instanceof DatabaseError) {
+    return mapDatabaseError(error.dbError, isDevelopment);
+  }
+
+  return { status: HTTP_STATUS.INTERNAL_ERROR, response: internalError(isDevelopment, error) };
+}
+
 /**
  * Send standardized error response
  *
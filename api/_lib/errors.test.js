@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubSupabase } from '../../test/supabase-stub.js';
+import { createResponse, createSignedRequest } from '../../test/http-stub.js';
+import {
+  ERROR_CODES,
+  syncFailedError,
+  staleUpdateError,
+  mapDatabaseError,
+  isRetryableDatabaseError
+} from './errors.js';
+import syncHandler from '../bookshelf/sync.js';
+import syncBatchHandler from '../bookshelf/sync-batch.js';
+
+const SECRET = 'a'.repeat(64);
+const BOOK = { site_url: 'https://author.example', site_name: 'Author Site', book_post_id: 42, title: 'The Long Night' };
+
+/**
+ * Stub a signed site whose sync transaction fails with a database error
+ */
+function stubFailingSync(t, code) {
+  return stubSupabase(t, (query) => {
+    if (query.table === 'bookshelf_site_secrets') {
+      return { data: { secret: SECRET } };
+    }
+    if (query.rpc === 'bookshelf_sync_books') {
+      return { error: { code, message: 'sync failed' } };
+    }
+    return {};
+  });
+}
+
+test('syncFailedError marks the failed sync as retryable', () => {
+  assert.deepEqual(syncFailedError(), {
+    success: false,
+    error: 'Sync failed and no changes were saved. Please retry.',
+    code: ERROR_CODES.SYNC_FAILED,
+    retryable: true,
+    retryAfter: 30
+  });
+});
+
+test('syncFailedError only includes the database message in development', () => {
+  const error = { message: 'deadlock detected' };
+
+  assert.equal(syncFailedError(false, error).message, undefined);
+  assert.equal(syncFailedError(true, error).message, 'deadlock detected');
+});
+
+test('staleUpdateError carries the stored version', () => {
+  const stored = { book_id: 456, source_modified_at: '2026-02-22T12:00:00.000Z' };
+
+  assert.equal(staleUpdateError(stored).code, ERROR_CODES.STALE_UPDATE);
+  assert.deepEqual(staleUpdateError(stored).stored, stored);
+  assert.equal('stored' in staleUpdateError(), false);
+});
+
+test('mapDatabaseError maps exact codes, then SQLSTATE classes', () => {
+  assert.equal(mapDatabaseError({ code: '23505' }).status, 409);
+  assert.equal(mapDatabaseError({ code: '23502' }).response.code, ERROR_CODES.INVALID_INPUT);
+  assert.equal(mapDatabaseError({ code: '08006' }).status, 503);
+  assert.equal(mapDatabaseError({ code: 'PGRST116' }).status, 404);
+  assert.equal(mapDatabaseError({ code: 'XX000' }).response.code, ERROR_CODES.DATABASE_ERROR);
+});
+
+test('mapDatabaseError only includes database details in development', () => {
+  const error = { code: '23505', message: 'duplicate key', details: 'Key (id)=(1)', hint: null };
+
+  assert.equal(mapDatabaseError(error).response.db_details, undefined);
+  assert.equal(mapDatabaseError(error, true).response.db_details, 'Key (id)=(1)');
+});
+
+test('isRetryableDatabaseError accepts only connection, timeout and lock failures', () => {
+  for (const code of ['08006', '57014', '40001', '40P01', '55P03', 'PGRST001', undefined]) {
+    assert.equal(isRetryableDatabaseError({ code, message: 'x' }), true, code);
+  }
+  for (const code of ['23505', '23502', '22001', '42883', 'XX000', 'PGRST116']) {
+    assert.equal(isRetryableDatabaseError({ code, message: 'x' }), false, code);
+  }
+});
+
+test('a sync that failed on a lock is retryable', async (t) => {
+  stubFailingSync(t, '40P01');
+  const res = createResponse();
+
+  await syncHandler(createSignedRequest({ body: BOOK, secret: SECRET }), res);
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.retryable, true);
+  assert.equal(res.headers['retry-after'], 30);
+});
+
+test('a sync that violated a constraint is not retryable', async (t) => {
+  const queries = stubFailingSync(t, '23514');
+  const res = createResponse();
+
+  await syncHandler(createSignedRequest({ body: BOOK, secret: SECRET }), res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, ERROR_CODES.INVALID_INPUT);
+  assert.equal(res.body.retryable, undefined);
+  assert.equal(res.headers['retry-after'], undefined);
+  assert.ok(queries.some(query => query.table === 'bookshelf_sync_failures'));
+});
+
+test('a batch rejected for bad data reports every book as not retryable', async (t) => {
+  stubFailingSync(t, '22001');
+  const res = createResponse();
+  const { site_url: siteUrl, site_name: siteName, ...book } = BOOK;
+
+  await syncBatchHandler(createSignedRequest({
+    body: { site_url: siteUrl, site_name: siteName, books: [book, { ...book, book_post_id: 43 }] },
+    secret: SECRET
+  }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.summary.synced, 0);
+  assert.ok(res.body.results.every(result => result.retryable === false && result.code === ERROR_CODES.INVALID_INPUT));
+});
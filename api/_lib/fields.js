@@ -0,0 +1,37 @@
+/**
+ * Shared field rules
+ * Building blocks for the request schemas of the endpoints (see validation.js)
+ */
+
+import { parseSourceTimestamp } from './books.js';
+
+/**
+ * Site URL, the key every plugin request is scoped by
+ */
+export const SITE_URL = { type: 'string', required: true, format: 'url', maxLength: 500 };
+
+/**
+ * Site display name
+ */
+export const SITE_NAME = { type: 'string', required: true, maxLength: 200 };
+
+/**
+ * WordPress post ID of a book (0 is a valid ID)
+ */
+export const BOOK_POST_ID = { type: 'integer', required: true, min: 0 };
+
+/**
+ * Optional absolute http(s) URL
+ */
+export const OPTIONAL_URL = { type: 'string', format: 'url', maxLength: 2000 };
+
+/**
+ * WordPress modification time, ISO 8601 or "YYYY-MM-DD HH:MM:SS" GMT
+ */
+export const SOURCE_TIMESTAMP = {
+  type: 'string',
+  maxLength: 40,
+  check: value => parseSourceTimestamp(value)
+    ? null
+    : 'must be an ISO 8601 or "YYYY-MM-DD HH:MM:SS" GMT timestamp'
+};
@@ -0,0 +1,119 @@
+/**
+ * Genre inference
+ * Suggests bookshelf genres from a book's WordPress categories
+ * (local_categories) for authors who did not pick any bookshelf genres
+ *
+ * A category matches a genre when its slug or name is a genre slug or alias
+ * (see genres.js), otherwise when its name contains one of the genre's
+ * keywords. Categories are read in the order the plugin sends them, so the
+ * author's first category yields the first genre.
+ */
+
+import { resolveGenre } from './genres.js';
+
+/**
+ * Keywords per genre, matched against whole words of a category name
+ * The keyword with the most words wins ("true crime" over "crime"); on a tie
+ * the rule listed first wins, so subgenres come before their parents.
+ */
+const KEYWORD_RULES = [
+  // "Cozy" alone is not a mystery ("Cozy Romance", "Cozy Fantasy")
+  { genre: 'cozy-mystery', keywords: ['cozy mystery', 'cozy mysteries', 'cosy mystery', 'cosy mysteries', 'cozy crime', 'cosy crime'] },
+  { genre: 'epic-fantasy', keywords: ['epic fantasy', 'high fantasy', 'sword and sorcery'] },
+  { genre: 'urban-fantasy', keywords: ['urban fantasy'] },
+  { genre: 'romantasy', keywords: ['romantasy', 'fae romance'] },
+  { genre: 'dystopian', keywords: ['dystopia', 'dystopian', 'apocalypse', 'apocalyptic'] },
+  { genre: 'memoir-biography', keywords: ['memoir', 'memoirs', 'biography', 'biographies', 'autobiography'] },
+  { genre: 'young-adult', keywords: ['young adult', 'ya', 'teen', 'teens', 'teenage'] },
+  { genre: 'childrens', keywords: ['children', 'childrens', 'kids', 'picture book', 'picture books', 'middle grade'] },
+  { genre: 'science-fiction', keywords: ['science fiction', 'sci fi', 'scifi', 'space opera', 'cyberpunk', 'time travel', 'alternate history'] },
+  { genre: 'fantasy', keywords: ['fantasy', 'magic', 'dragons', 'fairy tale', 'fairy tales'] },
+  { genre: 'romance', keywords: ['romance', 'romantic', 'love story', 'love stories'] },
+  { genre: 'mystery-crime', keywords: ['mystery', 'mysteries', 'crime', 'detective', 'whodunit', 'noir', 'police procedural'] },
+  { genre: 'thriller-suspense', keywords: ['thriller', 'thrillers', 'suspense', 'espionage', 'spy'] },
+  { genre: 'horror', keywords: ['horror', 'ghost', 'ghosts', 'haunted', 'supernatural'] },
+  { genre: 'historical-fiction', keywords: ['historical', 'regency', 'victorian', 'medieval'] },
+  { genre: 'action-adventure', keywords: ['action', 'adventure', 'adventures'] },
+  { genre: 'poetry', keywords: ['poetry', 'poems', 'poem', 'verse'] },
+  { genre: 'self-help', keywords: ['self help', 'personal development', 'self improvement', 'productivity', 'mindfulness'] },
+  { genre: 'literary-fiction', keywords: ['literary', 'general fiction'] },
+  { genre: 'non-fiction', keywords: ['non fiction', 'nonfiction', 'true crime', 'history', 'essays'] }
+];
+
+/**
+ * Split a category name or slug into lowercase words
+ * WordPress sends names HTML-escaped ("Action &amp; Adventure").
+ *
+ * @param {string} text - Category name or slug
+ * @returns {Array<string>} Words, e.g. ["action", "and", "adventure"]
+ */
+function toWords(text) {
+  return text
+    .toLowerCase()
+    .replace(/&amp;|&/g, ' and ')
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word);
+}
+
+/**
+ * Match one category against the taxonomy
+ *
+ * @param {string|Object} category - Category name or term object ({ name, slug })
+ * @returns {{category: string, genre: string, matched_by: string, keyword?: string}|null}
+ */
+function matchCategory(category) {
+  const name = typeof category === 'string' ? category : category?.name;
+  const slug = typeof category === 'string' ? null : category?.slug;
+  const label = typeof name === 'string' && name.trim() ? name.trim() : slug;
+
+  if (typeof label !== 'string' || !label.trim()) {
+    return null;
+  }
+
+  // The category is itself a genre or alias ("Sci-Fi", "mystery-crime")
+  for (const text of [slug, name]) {
+    const genre = typeof text === 'string' ? resolveGenre(toWords(text).join('-')) : null;
+    if (genre) {
+      return { category: label, genre, matched_by: 'alias' };
+    }
+  }
+
+  const words = ` ${toWords(typeof name === 'string' ? name : slug).join(' ')} `;
+  let best = null;
+  let bestLength = 0;
+
+  for (const rule of KEYWORD_RULES) {
+    for (const keyword of rule.keywords) {
+      const length = keyword.split(' ').length;
+      if (length > bestLength && words.includes(` ${keyword} `)) {
+        best = { category: label, genre: rule.genre, matched_by: 'keyword', keyword };
+        bestLength = length;
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Infer bookshelf genres from WordPress categories
+ *
+ * @param {Array<string|Object>} categories - local_categories from the payload
+ * @returns {{genres: Array<string>, matches: Array<Object>}} Distinct genre slugs
+ *   in category order, and the category that produced each of them
+ */
+export function inferGenres(categories) {
+  const genres = [];
+  const matches = [];
+
+  for (const category of Array.isArray(categories) ? categories : []) {
+    const match = matchCategory(category);
+    if (match && !genres.includes(match.genre)) {
+      genres.push(match.genre);
+      matches.push(match);
+    }
+  }
+
+  return { genres, matches };
+}
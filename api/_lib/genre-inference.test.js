@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inferGenres } from './genre-inference.js';
+
+test('categories named after a genre or alias match it directly', () => {
+  assert.deepEqual(inferGenres(['Sci-Fi', { name: 'Whatever', slug: 'mystery-crime' }]), {
+    genres: ['science-fiction', 'mystery-crime'],
+    matches: [
+      { category: 'Sci-Fi', genre: 'science-fiction', matched_by: 'alias' },
+      { category: 'Whatever', genre: 'mystery-crime', matched_by: 'alias' }
+    ]
+  });
+});
+
+test('other categories match by whole-word keywords', () => {
+  const { genres, matches } = inferGenres(['Detective Stories', 'Action &amp; Adventure', 'Spying']);
+
+  assert.deepEqual(genres, ['mystery-crime', 'action-adventure']);
+  assert.deepEqual(matches[0], { category: 'Detective Stories', genre: 'mystery-crime', matched_by: 'keyword', keyword: 'detective' });
+});
+
+test('the longest keyword wins', () => {
+  assert.deepEqual(inferGenres(['True Crime']).genres, ['non-fiction']);
+  assert.deepEqual(inferGenres(['Epic Fantasy Sagas']).genres, ['epic-fantasy']);
+});
+
+test('cozy mysteries need a mystery keyword, not just "cozy"', () => {
+  assert.deepEqual(inferGenres(['Cozy Mysteries']).genres, ['cozy-mystery']);
+  assert.deepEqual(inferGenres(['Cosy Crime Novels']).genres, ['cozy-mystery']);
+  assert.deepEqual(inferGenres(['Cozy Romance']).genres, ['romance']);
+  assert.deepEqual(inferGenres(['Cozy Fantasy']).genres, ['fantasy']);
+  assert.deepEqual(inferGenres(['Cozy Reads']).genres, []);
+});
+
+test('genres keep category order without duplicates and skip blank categories', () => {
+  assert.deepEqual(inferGenres(['Romance', '', null, { slug: '' }, 'Romantic Comedy', 'Horror']).genres, ['romance', 'horror']);
+  assert.deepEqual(inferGenres(undefined), { genres: [], matches: [] });
+});
@@ -0,0 +1,267 @@
+/**
+ * Bookshelf genre taxonomy
+ * The genres authors can pick in the plugin's "Bookshelf genres" setting
+ *
+ * Each genre has a slug, a display name, a description, an optional parent
+ * genre and aliases. Aliases are other slugs plugins or authors commonly send
+ * for the same genre ("sci-fi", "ya"); they are stored as the canonical slug.
+ * Filtering by a genre also matches its subgenres.
+ *
+ * Served to the bookshelf pages by /api/bookshelf/genres.
+ */
+
+import supabase from './supabase.js';
+
+/**
+ * Genres, in display order (subgenres follow their parent)
+ */
+export const GENRES = [
+  {
+    slug: 'action-adventure',
+    name: 'Action & Adventure',
+    description: 'Quests, heists, survival and high-stakes journeys.',
+    parent: null,
+    aliases: ['action', 'adventure', 'action-and-adventure']
+  },
+  {
+    slug: 'childrens',
+    name: "Children's Books",
+    description: 'Picture books, early readers and middle grade.',
+    parent: null,
+    aliases: ['children', 'childrens-books', 'kids', 'middle-grade']
+  },
+  {
+    slug: 'fantasy',
+    name: 'Fantasy',
+    description: 'Magic, mythical creatures and invented worlds.',
+    parent: null,
+    aliases: []
+  },
+  {
+    slug: 'epic-fantasy',
+    name: 'Epic Fantasy',
+    description: 'Sweeping stories of kingdoms, wars and chosen heroes.',
+    parent: 'fantasy',
+    aliases: ['high-fantasy']
+  },
+  {
+    slug: 'urban-fantasy',
+    name: 'Urban Fantasy',
+    description: 'Magic and the supernatural in the modern world.',
+    parent: 'fantasy',
+    aliases: []
+  },
+  {
+    slug: 'historical-fiction',
+    name: 'Historical Fiction',
+    description: 'Stories set in, and shaped by, the past.',
+    parent: null,
+    aliases: ['historical']
+  },
+  {
+    slug: 'horror',
+    name: 'Horror',
+    description: 'Fear, dread and the things that go bump in the night.',
+    parent: null,
+    aliases: []
+  },
+  {
+    slug: 'literary-fiction',
+    name: 'Literary Fiction',
+    description: 'Character-driven fiction with a focus on style.',
+    parent: null,
+    aliases: ['literary', 'general-fiction']
+  },
+  {
+    slug: 'mystery-crime',
+    name: 'Mystery & Crime',
+    description: 'Detectives, whodunits and crimes to solve.',
+    parent: null,
+    aliases: ['mystery', 'crime', 'mystery-and-crime', 'detective']
+  },
+  {
+    slug: 'cozy-mystery',
+    name: 'Cozy Mystery',
+    description: 'Gentle whodunits with amateur sleuths and small towns.',
+    parent: 'mystery-crime',
+    aliases: ['cosy-mystery']
+  },
+  {
+    slug: 'non-fiction',
+    name: 'Non-Fiction',
+    description: 'True stories, ideas and information.',
+    parent: null,
+    aliases: ['nonfiction']
+  },
+  {
+    slug: 'memoir-biography',
+    name: 'Memoir & Biography',
+    description: 'Life stories, told by their subjects or by others.',
+    parent: 'non-fiction',
+    aliases: ['memoir', 'biography', 'autobiography']
+  },
+  {
+    slug: 'poetry',
+    name: 'Poetry',
+    description: 'Collections of poems and verse.',
+    parent: null,
+    aliases: ['poems']
+  },
+  {
+    slug: 'romance',
+    name: 'Romance',
+    description: 'Love stories with a satisfying ending.',
+    parent: null,
+    aliases: ['romantic-fiction']
+  },
+  {
+    slug: 'romantasy',
+    name: 'Romantasy',
+    description: 'Romance at the heart of a fantasy world.',
+    parent: 'romance',
+    aliases: ['fantasy-romance']
+  },
+  {
+    slug: 'science-fiction',
+    name: 'Science Fiction',
+    description: 'Futures, technology, space and other worlds.',
+    parent: null,
+    aliases: ['sci-fi', 'scifi', 'sf']
+  },
+  {
+    slug: 'dystopian',
+    name: 'Dystopian',
+    description: 'Broken societies and the people who resist them.',
+    parent: 'science-fiction',
+    aliases: ['post-apocalyptic']
+  },
+  {
+    slug: 'self-help',
+    name: 'Self-Help',
+    description: 'Guides to personal growth, habits and wellbeing.',
+    parent: null,
+    aliases: ['personal-development', 'self-improvement']
+  },
+  {
+    slug: 'thriller-suspense',
+    name: 'Thriller & Suspense',
+    description: 'Page-turners full of danger and tension.',
+    parent: null,
+    aliases: ['thriller', 'suspense', 'thriller-and-suspense', 'thrillers']
+  },
+  {
+    slug: 'young-adult',
+    name: 'Young Adult',
+    description: 'Stories for and about teenagers.',
+    parent: null,
+    aliases: ['ya', 'teen']
+  },
+  {
+    slug: 'other',
+    name: 'Other',
+    description: 'Books that do not fit the genres above.',
+    parent: null,
+    aliases: []
+  }
+];
+
+/**
+ * Known genre slugs
+ */
+export const GENRE_SLUGS = GENRES.map(genre => genre.slug);
+
+/**
+ * Canonical slug for every slug and alias
+ */
+const SLUG_LOOKUP = new Map(GENRES.flatMap(genre => [
+  [genre.slug, genre.slug],
+  ...genre.aliases.map(alias => [alias, genre.slug])
+]));
+
+/**
+ * Resolve a genre slug or alias to its canonical slug
+ * Case and surrounding whitespace are ignored.
+ *
+ * @param {string} slug - Genre slug or alias, e.g. "Sci-Fi"
+ * @returns {string|null} Canonical slug, e.g. "science-fiction", or null if unknown
+ */
+export function resolveGenre(slug) {
+  if (typeof slug !== 'string') {
+    return null;
+  }
+  return SLUG_LOOKUP.get(slug.trim().toLowerCase()) || null;
+}
+
+/**
+ * Check whether a genre slug is known
+ *
+ * @param {string} slug - Genre slug
+ * @returns {boolean}
+ */
+export function isKnownGenre(slug) {
+  return GENRE_SLUGS.includes(slug);
+}
+
+/**
+ * Get a genre and all its subgenres
+ * Used for filtering: a book in "epic-fantasy" is also a "fantasy" book.
+ *
+ * @param {string} slug - Canonical genre slug
+ * @returns {Array<string>} The slug followed by its descendants' slugs
+ */
+export function getGenreFamily(slug) {
+  const family = [slug];
+  for (let i = 0; i < family.length; i++) {
+    GENRES
+      .filter(genre => genre.parent === family[i])
+      .forEach(genre => family.push(genre.slug));
+  }
+  return family;
+}
+
+/**
+ * Build the genre filters of a book listing
+ * Each filter is a set of slugs a book needs at least one of. "any" merges the
+ * genres' families into one filter; "all" keeps one filter per genre, so a
+ * book must match each of them.
+ *
+ * @param {Array<string>} genres - Genre slugs or aliases (known ones)
+ * @param {string} [match] - "any" or "all"
+ * @returns {Array<Array<string>>} Slugs per filter, empty for no genre filter
+ */
+export function buildGenreFilters(genres, match = 'any') {
+  const families = [...new Set(genres.map(resolveGenre))].map(getGenreFamily);
+  return match === 'all' || families.length === 0
+    ? families
+    : [[...new Set(families.flat())]];
+}
+
+/**
+ * Get the family of every genre
+ * Book counts use these, so a parent genre counts the books of its subgenres
+ * the same way filtering by it lists them.
+ *
+ * @returns {Object<string, Array<string>>} Families by genre slug,
+ *   e.g. { "fantasy": ["fantasy", "epic-fantasy", "urban-fantasy"], ... }
+ */
+export function getGenreFamilies() {
+  return Object.fromEntries(GENRE_SLUGS.map(slug => [slug, getGenreFamily(slug)]));
+}
+
+/**
+ * Count the listed books of every genre family (each book once per family)
+ *
+ * @returns {Promise<{counts: Map<string, number>|null, error: Object|null}>}
+ *   Counts by genre slug, missing for genres without books; null on error
+ */
+export async function countGenreBooks() {
+  const { data, error } = await supabase.rpc('bookshelf_genre_family_counts', {
+    p_families: getGenreFamilies()
+  });
+
+  if (error) {
+    return { counts: null, error };
+  }
+
+  return { counts: new Map((data || []).map(row => [row.genre_slug, Number(row.book_count)])), error: null };
+}
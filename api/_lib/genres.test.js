@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubSupabase } from '../../test/supabase-stub.js';
+import { createRequest, createResponse } from '../../test/http-stub.js';
+import {
+  GENRES,
+  GENRE_SLUGS,
+  resolveGenre,
+  isKnownGenre,
+  getGenreFamily,
+  getGenreFamilies,
+  buildGenreFilters
+} from './genres.js';
+import genresHandler from '../bookshelf/genres.js';
+import booksHandler from '../bookshelf/books.js';
+
+test('every parent genre exists and comes before its subgenres', () => {
+  GENRES.filter(genre => genre.parent).forEach(genre => {
+    assert.ok(GENRE_SLUGS.indexOf(genre.parent) > -1, genre.slug);
+    assert.ok(GENRE_SLUGS.indexOf(genre.parent) < GENRE_SLUGS.indexOf(genre.slug), genre.slug);
+  });
+});
+
+test('slugs and aliases are unique', () => {
+  const names = GENRES.flatMap(genre => [genre.slug, ...genre.aliases]);
+  assert.equal(new Set(names).size, names.length);
+});
+
+test('resolveGenre maps aliases to canonical slugs and ignores case', () => {
+  assert.equal(resolveGenre(' Sci-Fi '), 'science-fiction');
+  assert.equal(resolveGenre('fantasy'), 'fantasy');
+  assert.equal(resolveGenre('cosy-mystery'), 'cozy-mystery');
+  assert.equal(resolveGenre('westerns'), null);
+  assert.equal(resolveGenre(42), null);
+});
+
+test('isKnownGenre accepts canonical slugs only', () => {
+  assert.equal(isKnownGenre('science-fiction'), true);
+  assert.equal(isKnownGenre('sci-fi'), false);
+});
+
+test('getGenreFamily lists a genre and its subgenres', () => {
+  assert.deepEqual(getGenreFamily('fantasy'), ['fantasy', 'epic-fantasy', 'urban-fantasy']);
+  assert.deepEqual(getGenreFamily('epic-fantasy'), ['epic-fantasy']);
+});
+
+test('buildGenreFilters merges families for "any" and keeps one filter per genre for "all"', () => {
+  assert.deepEqual(buildGenreFilters(['fantasy', 'sci-fi']), [
+    ['fantasy', 'epic-fantasy', 'urban-fantasy', 'science-fiction', 'dystopian']
+  ]);
+  assert.deepEqual(buildGenreFilters(['romance', 'ya'], 'all'), [['romance', 'romantasy'], ['young-adult']]);
+  assert.deepEqual(buildGenreFilters(['fantasy', 'epic-fantasy']), [['fantasy', 'epic-fantasy', 'urban-fantasy']]);
+  assert.deepEqual(buildGenreFilters(['sci-fi', 'science-fiction'], 'all'), [['science-fiction', 'dystopian']]);
+  assert.deepEqual(buildGenreFilters([], 'all'), []);
+});
+
+test('getGenreFamilies has a family for every genre', () => {
+  const families = getGenreFamilies();
+
+  assert.deepEqual(Object.keys(families), GENRE_SLUGS);
+  assert.deepEqual(families['mystery-crime'], ['mystery-crime', 'cozy-mystery']);
+  assert.deepEqual(families.poetry, ['poetry']);
+});
+
+test('the genres endpoint counts each genre with its family', async (t) => {
+  const queries = stubSupabase(t, () => ({
+    data: [
+      { genre_slug: 'fantasy', book_count: '7' },
+      { genre_slug: 'epic-fantasy', book_count: 3 }
+    ]
+  }));
+  const res = createResponse();
+
+  await genresHandler(createRequest(), res);
+
+  assert.equal(queries[0].rpc, 'bookshelf_genre_family_counts');
+  assert.deepEqual(queries[0].params, { p_families: getGenreFamilies() });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.genres.length, GENRES.length);
+  assert.equal(res.body.genres.find(genre => genre.slug === 'fantasy').book_count, 7);
+  assert.equal(res.body.genres.find(genre => genre.slug === 'epic-fantasy').book_count, 3);
+  assert.equal(res.body.genres.find(genre => genre.slug === 'poetry').book_count, 0);
+  assert.match(res.headers['cache-control'], /s-maxage=300/);
+});
+
+test('the genres endpoint answers a revalidation with 304 while the counts are unchanged', async (t) => {
+  let fantasy = 7;
+  stubSupabase(t, () => ({ data: [{ genre_slug: 'fantasy', book_count: fantasy }] }));
+  const get = async (headers = {}) => {
+    const res = createResponse();
+    await genresHandler(createRequest({ headers }), res);
+    return res;
+  };
+
+  const { etag } = (await get()).headers;
+  assert.equal((await get({ 'if-none-match': etag })).statusCode, 304);
+
+  fantasy = 8;
+  const changed = await get({ 'if-none-match': etag });
+  assert.equal(changed.statusCode, 200);
+  assert.notEqual(changed.headers.etag, etag);
+});
+
+test('the genres endpoint still returns the taxonomy when counting fails', async (t) => {
+  stubSupabase(t, () => ({ error: { code: '42883', message: 'function does not exist' } }));
+  const res = createResponse();
+
+  await genresHandler(createRequest(), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.genres.every(genre => genre.book_count === null));
+});
+
+/**
+ * List books with the given query and return the response and the book query
+ */
+async function listBooks(t, query) {
+  const queries = stubSupabase(t, () => ({ data: [], count: 0 }));
+  const res = createResponse();
+  await booksHandler(createRequest({ query }), res);
+  return { res, bookQuery: queries.find(recorded => recorded.table === 'bookshelf_books') };
+}
+
+/**
+ * Genre filters applied to a recorded book query
+ */
+function genreFiltersOf(bookQuery) {
+  return bookQuery.calls
+    .filter(([method, column]) => method === 'in' && column.startsWith('genre_filter_'))
+    .map(([, column, slugs]) => [column, slugs]);
+}
+
+test('the books endpoint joins the genres once per filter', async (t) => {
+  const any = await listBooks(t, { genre: 'romance, ya' });
+  assert.equal(any.res.statusCode, 200);
+  assert.deepEqual(genreFiltersOf(any.bookQuery), [['genre_filter_0.genre_slug', ['romance', 'romantasy', 'young-adult']]]);
+
+  const all = await listBooks(t, { genre: 'romance,ya', genre_match: 'all' });
+  assert.deepEqual(genreFiltersOf(all.bookQuery), [
+    ['genre_filter_0.genre_slug', ['romance', 'romantasy']],
+    ['genre_filter_1.genre_slug', ['young-adult']]
+  ]);
+  assert.match(all.bookQuery.args('select')[0], /genre_filter_1:bookshelf_book_genres!inner/);
+
+  const none = await listBooks(t, {});
+  assert.deepEqual(genreFiltersOf(none.bookQuery), []);
+});
+
+test('the books endpoint rejects unknown genres, too many genres and bad match modes', async (t) => {
+  const unknown = await listBooks(t, { genre: 'fantasy,westerns' });
+  assert.equal(unknown.res.statusCode, 400);
+  assert.match(unknown.res.body.errors.genre, /unknown genres: westerns/);
+
+  const tooMany = await listBooks(t, { genre: 'fantasy,horror,romance,poetry,ya,sci-fi' });
+  assert.equal(tooMany.res.body.errors.genre, 'must list at most 5 genres');
+
+  const badMatch = await listBooks(t, { genre: 'fantasy', genre_match: 'some' });
+  assert.equal(badMatch.res.body.errors.genre_match, 'must be one of: any, all');
+  assert.equal(badMatch.bookQuery, undefined);
+});
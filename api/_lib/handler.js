@@ -0,0 +1,258 @@
+/**
+ * Handler pipeline
+ * Runs the steps every endpoint shares, so handlers only contain their own logic
+ *
+ * Steps, in order:
+ * 1. CORS and security headers; OPTIONS preflight is answered with 200
+ * 2. Method check (405 with an Allow header)
+ * 3. JSON body parsing for POST requests (400 on invalid JSON)
+ * 4. Rate limiting for routes limited per IP (see rate-limit.js)
+ * 5. Cron or admin token authorization for cron and admin endpoints (401)
+ * 6. Validation of the body (POST) or query (GET) against the route schema (400)
+ * 7. Signature verification for signed endpoints (401), then rate limiting per site
+ * 8. The handler
+ *
+ * Anything the handler throws becomes an error response (see toErrorResponse()
+ * in errors.js). Internal details are only included when isDevelopment().
+ *
+ * Every request gets an ID (the incoming X-Request-Id if well-formed, or a new
+ * UUID), returned in the X-Request-Id response header. req.log is a logger
+ * bound to the request ID, route and site_url; one line with the status and
+ * latency is logged when the request completes.
+ *
+ * Usage:
+ *
+ *   export default createHandler({
+ *     route: 'sync',
+ *     methods: ['POST'],
+ *     access: CORS_ACCESS.PRIVATE,
+ *     schema: REQUEST_SCHEMA,
+ *     signed: true
+ *   }, async (req, res) => { ... });
+ */
+
+import crypto from 'crypto';
+import {
+  setCorsHeaders,
+  setSecurityHeaders,
+  isAuthorizedCronRequest,
+  isAuthorizedAdminRequest
+} from './security.js';
+import { applyRateLimit, RATE_LIMIT_POLICIES, RATE_LIMIT_KEYS } from './rate-limit.js';
+import { validatePayload } from './validation.js';
+import { verifySignedRequest } from './signature.js';
+import { isDevelopment, getConfigReport } from './config.js';
+import {
+  createErrorResponse,
+  methodNotAllowedError,
+  unauthorizedError,
+  toErrorResponse,
+  ApiError,
+  DatabaseError,
+  ERROR_CODES,
+  HTTP_STATUS
+} from './errors.js';
+import logger from './logger.js';
+
+// Report risky settings once per cold start
+for (const warning of getConfigReport().warnings) {
+  logger.warn('Configuration warning', { warning });
+}
+
+/**
+ * Accepted format for a caller-supplied X-Request-Id
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * Use the caller's request ID if it is well-formed, otherwise generate one
+ */
+function getRequestId(req) {
+  const incoming = req.headers['x-request-id'];
+  return typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+}
+
+/**
+ * Read the request body bytes as sent
+ * Vercel also parses JSON bodies into req.body, but signatures cover the exact
+ * bytes the plugin sent, and re-serializing req.body does not reproduce them
+ * (PHP escapes "/" as "\/" and non-ASCII characters as "\uXXXX").
+ *
+ * @returns {Promise<string|null>} Null if the stream was already consumed
+ */
+async function readRawBody(req) {
+  if (typeof req.rawBody === 'string' || Buffer.isBuffer(req.rawBody)) {
+    return req.rawBody.toString('utf8');
+  }
+
+  if (typeof req[Symbol.asyncIterator] !== 'function' || req.readableEnded) {
+    return null;
+  }
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Parse a JSON request body
+ * Reads the raw bytes when available and keeps them in req.rawBody for
+ * signature checks; otherwise parses what Vercel left in req.body.
+ *
+ * @returns {Promise<boolean>} False if the body is not valid JSON
+ */
+async function parseJsonBody(req) {
+  const raw = await readRawBody(req);
+  if (raw !== null) {
+    try {
+      req.body = raw.trim() === '' ? {} : JSON.parse(raw);
+      req.rawBody = raw;
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  let body;
+  try {
+    // Vercel parses JSON lazily and throws on invalid input
+    body = req.body;
+  } catch {
+    return false;
+  }
+
+  if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
+    return true;
+  }
+
+  const text = body.toString('utf8');
+  try {
+    req.body = text.trim() === '' ? {} : JSON.parse(text);
+    req.rawBody = req.rawBody ?? text;
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create an endpoint handler
+ *
+ * @param {Object} options
+ * @param {string} options.route - Route name, e.g. "sync" (selects the rate limit policy)
+ * @param {Array<string>} options.methods - Supported methods, e.g. ['POST']
+ * @param {string} options.access - CORS access level (CORS_ACCESS)
+ * @param {Object} [options.schema] - Request schema for the body or query (see validation.js)
+ * @param {boolean} [options.signed] - Require an X-Bookshelf-Signature for body.site_url
+ * @param {boolean} [options.cron] - Only allow the Vercel cron scheduler
+ * @param {boolean} [options.admin] - Require the admin token
+ * @param {function(Object, Object): Promise<*>} handle - Endpoint logic
+ * @returns {function(Object, Object): Promise<*>} Vercel handler
+ */
+export function createHandler(options, handle) {
+  const { route, methods, access, schema = null, signed = false, cron = false, admin = false } = options;
+  const corsPolicy = { access, methods };
+  const rateLimitPolicy = RATE_LIMIT_POLICIES[route];
+
+  return async function handler(req, res) {
+    const startedAt = Date.now();
+    const requestId = getRequestId(req);
+    res.setHeader('X-Request-Id', requestId);
+    req.log = logger.child({ request_id: requestId, route });
+
+    // Set CORS and security headers
+    setCorsHeaders(req, res, corsPolicy);
+    setSecurityHeaders(res);
+
+    try {
+      // Handle OPTIONS request for CORS preflight
+      if (req.method === 'OPTIONS') {
+        return res.status(HTTP_STATUS.OK).end();
+      }
+
+      if (!methods.includes(req.method)) {
+        res.setHeader('Allow', [...methods, 'OPTIONS'].join(', '));
+        return res.status(HTTP_STATUS.METHOD_NOT_ALLOWED).json(
+          methodNotAllowedError(methods.join(', '))
+        );
+      }
+
+      if (req.method === 'POST' && !await parseJsonBody(req)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(createErrorResponse(
+          'Request body must be valid JSON',
+          ERROR_CODES.INVALID_INPUT
+        ));
+      }
+
+      // Tie every line of a plugin request to its site
+      if (typeof req.body?.site_url === 'string') {
+        req.log = req.log.child({ site_url: req.body.site_url });
+      }
+
+      if (rateLimitPolicy.key === RATE_LIMIT_KEYS.IP && await applyRateLimit(req, res, route)) {
+        return;
+      }
+
+      // Only the cron scheduler may run cron endpoints
+      if (cron && !isAuthorizedCronRequest(req)) {
+        req.log.security('Cron authorization failed');
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json(unauthorizedError());
+      }
+
+      if (admin && !isAuthorizedAdminRequest(req)) {
+        req.log.security('Admin authorization failed');
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json(unauthorizedError());
+      }
+
+      // Validate request body (or query string for GET)
+      if (schema) {
+        const input = req.method === 'GET' ? req.query : req.body;
+        const validationError = validatePayload(input, schema);
+        if (validationError) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json(validationError);
+        }
+      }
+
+      if (signed) {
+        // Verify the request was signed with the site's secret
+        const auth = await verifySignedRequest(req, req.body.site_url);
+        if (!auth.valid) {
+          req.log.security('Signature rejected', { code: auth.error.code });
+          return res.status(HTTP_STATUS.UNAUTHORIZED).json(auth.error);
+        }
+
+        // Rate limit per site (after the signature check, so other callers
+        // cannot use up the site's quota)
+        if (await applyRateLimit(req, res, route, req.body.site_url)) {
+          return;
+        }
+      }
+
+      return await handle(req, res);
+
+    } catch (error) {
+      if (error instanceof DatabaseError) {
+        req.log.error(`${error.operation} error`, error.dbError);
+      } else if (!(error instanceof ApiError)) {
+        req.log.error('Unexpected error', error);
+      }
+
+      const { status, response } = toErrorResponse(error, isDevelopment());
+      if (!res.headersSent) {
+        return res.status(status).json(response);
+      }
+
+    } finally {
+      const status = res.statusCode;
+      req.log.log(status >= 500 ? 'error' : 'info', 'Request completed', {
+        method: req.method,
+        status,
+        latency_ms: Date.now() - startedAt
+      });
+    }
+  };
+}
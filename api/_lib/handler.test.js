@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubSupabase } from '../../test/supabase-stub.js';
+import { createRequest, createResponse, createSignedRequest } from '../../test/http-stub.js';
+import { createHandler } from './handler.js';
+import { CORS_ACCESS } from './cors.js';
+import { ApiError, DatabaseError, ERROR_CODES, createErrorResponse } from './errors.js';
+
+/**
+ * Handler for the "sync" route that records whether it ran
+ */
+function syncHandler(handle = async (req, res) => res.status(200).json({ success: true }), options = {}) {
+  return createHandler({
+    route: 'sync',
+    methods: ['POST'],
+    access: CORS_ACCESS.PRIVATE,
+    schema: { site_url: { type: 'string', required: true, format: 'url' } },
+    ...options
+  }, handle);
+}
+
+async function call(handler, request) {
+  const res = createResponse();
+  await handler(createRequest(request), res);
+  return res;
+}
+
+test('OPTIONS preflight is answered without running the handler', async () => {
+  let ran = false;
+  const res = await call(syncHandler(async () => {
+    ran = true;
+  }), { method: 'OPTIONS' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(ran, false);
+  assert.equal(res.headers['access-control-allow-methods'], 'POST, OPTIONS');
+  assert.equal(res.headers['x-content-type-options'], 'nosniff');
+});
+
+test('unsupported methods get a 405 with an Allow header', async () => {
+  const res = await call(syncHandler(), { method: 'GET' });
+
+  assert.equal(res.statusCode, 405);
+  assert.equal(res.headers.allow, 'POST, OPTIONS');
+});
+
+test('string bodies are parsed and invalid JSON is rejected', async () => {
+  const ok = await call(syncHandler(async (req, res) => res.status(200).json({ body: req.body, raw: req.rawBody })), {
+    method: 'POST',
+    body: '{"site_url":"https://author.example"}'
+  });
+  assert.deepEqual(ok.body, { body: { site_url: 'https://author.example' }, raw: '{"site_url":"https://author.example"}' });
+
+  const bad = await call(syncHandler(), { method: 'POST', body: '{"site_url":' });
+  assert.equal(bad.statusCode, 400);
+  assert.equal(bad.body.code, ERROR_CODES.INVALID_INPUT);
+});
+
+test('bodies are validated against the route schema', async () => {
+  const res = await call(syncHandler(), { method: 'POST', body: { site_url: 'not a url' } });
+
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.errors, { site_url: 'must be an absolute http(s) URL' });
+});
+
+test('signed routes reject unsigned requests', async (t) => {
+  stubSupabase(t, () => ({ data: { secret: 'a'.repeat(64) } }));
+  const res = await call(syncHandler(undefined, { signed: true }), {
+    method: 'POST',
+    body: { site_url: 'https://author.example' }
+  });
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, ERROR_CODES.UNAUTHORIZED);
+});
+
+test('signatures are checked against the body bytes as sent, not a re-serialization', async (t) => {
+  const secret = 'a'.repeat(64);
+  stubSupabase(t, () => ({ data: { secret } }));
+  // wp_json_encode output: escaped slashes and non-ASCII, pretty-printed
+  const raw = '{\n    "site_url": "https:\\/\\/author.example",\n    "title": "Caf\\u00e9 \\u2014 Nights"\n}';
+  assert.notEqual(raw, JSON.stringify(JSON.parse(raw)));
+
+  const res = createResponse();
+  await syncHandler(async (req, res) => res.status(200).json({ body: req.body }), { signed: true })(
+    createSignedRequest({ body: raw, secret }),
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.body, { site_url: 'https://author.example', title: 'Café — Nights' });
+});
+
+test('cron routes need the cron secret', async () => {
+  const handler = createHandler({ route: 'purge', methods: ['GET'], access: CORS_ACCESS.PRIVATE, cron: true },
+    async (req, res) => res.status(200).json({ success: true }));
+
+  assert.equal((await call(handler, {})).statusCode, 401);
+  assert.equal((await call(handler, { headers: { authorization: 'Bearer test-cron-secret' } })).statusCode, 200);
+});
+
+test('thrown database errors are mapped by their code', async () => {
+  const res = await call(syncHandler(async () => {
+    throw new DatabaseError({ code: '57014', message: 'canceling statement due to statement timeout' }, 'Book sync');
+  }), { method: 'POST', body: { site_url: 'https://author.example' } });
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.code, ERROR_CODES.SERVICE_UNAVAILABLE);
+  assert.equal(res.body.message, undefined);
+});
+
+test('thrown API errors keep their status and body', async () => {
+  const res = await call(syncHandler(async () => {
+    throw new ApiError(404, createErrorResponse('Book not found', ERROR_CODES.NOT_FOUND));
+  }), { method: 'POST', body: { site_url: 'https://author.example' } });
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.error, 'Book not found');
+});
+
+test('unexpected errors become a 500 without internal details', async () => {
+  const res = await call(syncHandler(async () => {
+    throw new Error('secret internals');
+  }), { method: 'POST', body: { site_url: 'https://author.example' } });
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.code, ERROR_CODES.INTERNAL_ERROR);
+  assert.ok(!JSON.stringify(res.body).includes('secret internals'));
+});
+
+test('well-formed request IDs are echoed, others replaced', async () => {
+  const echoed = await call(syncHandler(), { method: 'POST', headers: { 'x-request-id': 'req-12345678' }, body: { site_url: 'https://author.example' } });
+  assert.equal(echoed.headers['x-request-id'], 'req-12345678');
+
+  const replaced = await call(syncHandler(), { method: 'POST', headers: { 'x-request-id': 'bad id' }, body: { site_url: 'https://author.example' } });
+  assert.match(replaced.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+});
@@ -0,0 +1,149 @@
+/**
+ * Plugin handshake utilities
+ * Negotiates plugin version, payload schema and features with the WordPress plugin
+ *
+ * The plugin reports its own version, the WordPress version and the payload
+ * schema versions it can produce when it registers and on every heartbeat.
+ * The API answers with the minimum plugin version it still accepts, the payload
+ * schema the plugin should send and the features enabled for it.
+ */
+
+import config, { VERSION_PATTERN } from './config.js';
+import { createErrorResponse, upgradeRequiredError, ERROR_CODES, HTTP_STATUS } from './errors.js';
+import { SUPPORTED_SCHEMA_VERSIONS, LEGACY_SCHEMA_VERSION } from './payload-schemas.js';
+
+/**
+ * Payload schema versions this API accepts, oldest first
+ */
+export const SUPPORTED_PAYLOAD_SCHEMAS = SUPPORTED_SCHEMA_VERSIONS;
+
+/**
+ * Schema assumed for plugins that do not report their supported schemas
+ */
+export const DEFAULT_PAYLOAD_SCHEMA = LEGACY_SCHEMA_VERSION;
+
+/**
+ * Features the API offers to plugins
+ */
+export const FEATURES = [
+  'signed_requests',
+  'idempotency_keys',
+  'site_verification',
+  'sync_batch',
+  'reconcile',
+  'dry_run',
+  'soft_delete'
+];
+
+/**
+ * Maximum stored length of a version string
+ */
+const MAX_VERSION_LENGTH = 50;
+
+/**
+ * Minimum plugin version the API accepts
+ * @returns {string}
+ */
+export function getMinPluginVersion() {
+  return config.sites.minPluginVersion;
+}
+
+/**
+ * Compare two version strings by their numeric parts
+ * Pre-release and build suffixes are ignored, so 1.2.0-beta equals 1.2.0.
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const parts = (version) => version.split(/[-+]/)[0].split('.').map(Number);
+  const left = parts(a);
+  const right = parts(b);
+
+  for (let i = 0; i < 3; i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Handshake fields of register and heartbeat payloads (see validation.js)
+ */
+export const HANDSHAKE_FIELDS = {
+  plugin_version: { type: 'string', maxLength: MAX_VERSION_LENGTH, pattern: VERSION_PATTERN },
+  wp_version: { type: 'string', maxLength: MAX_VERSION_LENGTH, pattern: VERSION_PATTERN },
+  payload_schemas: { type: 'array', minItems: 1, maxItems: 20, items: { type: 'integer', required: true, min: 1 } }
+};
+
+/**
+ * Read the handshake fields of a validated register or heartbeat payload
+ *
+ * @param {Object} payload - Request body, validated against HANDSHAKE_FIELDS
+ * @returns {Object} Handshake info
+ */
+export function readHandshake(payload) {
+  const schemas = Array.isArray(payload.payload_schemas)
+    ? [...new Set(payload.payload_schemas.map(Number))].sort((a, b) => a - b)
+    : [DEFAULT_PAYLOAD_SCHEMA];
+
+  return {
+    plugin_version: payload.plugin_version || null,
+    wp_version: payload.wp_version || null,
+    payload_schemas: schemas
+  };
+}
+
+/**
+ * Negotiate the handshake for a plugin
+ *
+ * Plugins that do not report a version (releases before the handshake existed)
+ * are accepted with the default payload schema.
+ *
+ * @param {Object} info - Handshake info from readHandshake()
+ * @returns {{compatible: boolean, status: number, error: Object|null, handshake: Object|null}}
+ */
+export function negotiateHandshake(info) {
+  const minVersion = getMinPluginVersion();
+
+  if (info.plugin_version && compareVersions(info.plugin_version, minVersion) < 0) {
+    return {
+      compatible: false,
+      status: HTTP_STATUS.UPGRADE_REQUIRED,
+      error: upgradeRequiredError(info.plugin_version, minVersion),
+      handshake: null
+    };
+  }
+
+  const common = info.payload_schemas.filter(schema => SUPPORTED_PAYLOAD_SCHEMAS.includes(schema));
+
+  if (common.length === 0) {
+    return {
+      compatible: false,
+      status: HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      error: createErrorResponse(
+        'None of the payload schemas supported by the plugin are accepted by the API',
+        ERROR_CODES.UNSUPPORTED_PAYLOAD_SCHEMA,
+        null,
+        { supported_payload_schemas: SUPPORTED_PAYLOAD_SCHEMAS }
+      ),
+      handshake: null
+    };
+  }
+
+  return {
+    compatible: true,
+    status: HTTP_STATUS.OK,
+    error: null,
+    handshake: {
+      min_plugin_version: minVersion,
+      payload_schema: Math.max(...common),
+      supported_payload_schemas: SUPPORTED_PAYLOAD_SCHEMAS,
+      features: FEATURES
+    }
+  };
+}
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PAYLOAD_SCHEMA,
+  SUPPORTED_PAYLOAD_SCHEMAS,
+  compareVersions,
+  readHandshake,
+  negotiateHandshake,
+  getMinPluginVersion
+} from './handshake.js';
+import { ERROR_CODES } from './errors.js';
+
+test('compareVersions compares numeric parts and ignores suffixes', () => {
+  assert.ok(compareVersions('1.10.0', '1.9.3') > 0);
+  assert.ok(compareVersions('1.2', '1.2.1') < 0);
+  assert.equal(compareVersions('1.2.0-beta', '1.2.0'), 0);
+  assert.equal(compareVersions('2.0.0+build.7', '2'), 0);
+});
+
+test('readHandshake defaults the payload schemas of older plugins', () => {
+  assert.deepEqual(readHandshake({}), {
+    plugin_version: null,
+    wp_version: null,
+    payload_schemas: [DEFAULT_PAYLOAD_SCHEMA]
+  });
+  assert.deepEqual(readHandshake({ plugin_version: '1.4.2', payload_schemas: ['2', 1, 2] }).payload_schemas, [1, 2]);
+});
+
+test('negotiateHandshake picks the newest schema both sides support', () => {
+  const result = negotiateHandshake(readHandshake({ plugin_version: '9.0.0', payload_schemas: [1, 2, 99] }));
+
+  assert.equal(result.compatible, true);
+  assert.equal(result.handshake.payload_schema, Math.max(...SUPPORTED_PAYLOAD_SCHEMAS));
+  assert.equal(result.handshake.min_plugin_version, getMinPluginVersion());
+  assert.ok(result.handshake.features.includes('signed_requests'));
+});
+
+test('negotiateHandshake asks plugins below the minimum version to upgrade', () => {
+  const result = negotiateHandshake(readHandshake({ plugin_version: '0.0.1' }));
+
+  assert.equal(result.compatible, false);
+  assert.equal(result.status, 426);
+  assert.equal(result.error.code, ERROR_CODES.UPGRADE_REQUIRED);
+});
+
+test('negotiateHandshake rejects plugins without a common payload schema', () => {
+  const result = negotiateHandshake(readHandshake({ payload_schemas: [99] }));
+
+  assert.equal(result.status, 422);
+  assert.equal(result.error.code, ERROR_CODES.UNSUPPORTED_PAYLOAD_SCHEMA);
+});
@@ -0,0 +1,238 @@
+/**
+ * Health checks
+ * Probes the database and the data the API depends on, for /api/bookshelf/health
+ * and the keepalive cron
+ *
+ * Each check reports a status:
+ * - "ok": working normally
+ * - "degraded": the API still answers, but something needs attention
+ *   (slow database, stale materialized views, failing syncs)
+ * - "down": the API cannot serve requests (database unreachable)
+ *
+ * The overall status is the worst of the checks.
+ *
+ * The configuration is not a check: config.js fails the cold start when it is
+ * invalid, so a running instance always has a valid one. Its warnings are
+ * reported alongside the checks.
+ */
+
+import supabase from './supabase.js';
+import config, { getConfigReport } from './config.js';
+import { MATERIALIZED_VIEWS, getViewRefreshTimes } from './views.js';
+
+/**
+ * Health statuses, best first
+ */
+export const HEALTH_STATUS = {
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  DOWN: 'down'
+};
+
+const SEVERITY = [HEALTH_STATUS.OK, HEALTH_STATUS.DEGRADED, HEALTH_STATUS.DOWN];
+
+/**
+ * Queries taking longer than this are aborted
+ */
+const CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Database round trips slower than this are reported as degraded
+ */
+const SLOW_DATABASE_MS = 1000;
+
+/**
+ * Materialized views last refreshed longer ago than this are reported as degraded
+ */
+const MAX_VIEW_AGE_MS = 7200000; // 2 hours
+
+/**
+ * Failed syncs in the last hour at which the sync check is reported as degraded
+ */
+const FAILED_SYNCS_DEGRADED = 10;
+
+const HOUR_MS = 3600000;
+
+/**
+ * How long failed sync records are kept (removed by the purge cron)
+ */
+export const SYNC_FAILURE_RETENTION_MS = 7 * 86400000; // 7 days
+
+/**
+ * Pick the worst of several statuses
+ *
+ * @param {Array<string>} statuses - HEALTH_STATUS values
+ * @returns {string}
+ */
+export function worstStatus(statuses) {
+  return statuses.reduce(
+    (worst, status) => (SEVERITY.indexOf(status) > SEVERITY.indexOf(worst) ? status : worst),
+    HEALTH_STATUS.OK
+  );
+}
+
+/**
+ * Describe a failed query without internals
+ */
+function describeError(error) {
+  return error?.name === 'AbortError' || /abort/i.test(error?.message || '')
+    ? `timed out after ${CHECK_TIMEOUT_MS} ms`
+    : error?.code || 'query failed';
+}
+
+/**
+ * Check that the database answers and measure the round trip
+ * Counts books, which also keeps a free-tier Supabase project from pausing.
+ *
+ * @returns {Promise<{status: string, latency_ms: number, books_count?: number, error?: string}>}
+ */
+export async function checkDatabase() {
+  const startedAt = Date.now();
+  const { count, error } = await supabase
+    .from('bookshelf_books')
+    .select('id', { count: 'exact', head: true })
+    .abortSignal(AbortSignal.timeout(CHECK_TIMEOUT_MS));
+  const latency = Date.now() - startedAt;
+
+  if (error) {
+    return { status: HEALTH_STATUS.DOWN, latency_ms: latency, error: describeError(error), dbError: error };
+  }
+
+  return {
+    status: latency > SLOW_DATABASE_MS ? HEALTH_STATUS.DEGRADED : HEALTH_STATUS.OK,
+    latency_ms: latency,
+    books_count: count || 0
+  };
+}
+
+/**
+ * Report when each materialized view was last refreshed
+ *
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{status: string, views: Object, error?: string}>}
+ */
+export async function checkMaterializedViews(now = Date.now()) {
+  const { refreshedAt, error } = await getViewRefreshTimes(AbortSignal.timeout(CHECK_TIMEOUT_MS));
+
+  if (error) {
+    return { status: HEALTH_STATUS.DEGRADED, views: {}, error: describeError(error), dbError: error };
+  }
+
+  const views = {};
+
+  for (const view of MATERIALIZED_VIEWS) {
+    const refreshed = refreshedAt[view];
+    const ageMs = refreshed ? Math.max(0, now - Date.parse(refreshed)) : null;
+
+    views[view] = {
+      // A view never refreshed through refresh_bookshelf_views() has no age
+      status: ageMs !== null && ageMs <= MAX_VIEW_AGE_MS ? HEALTH_STATUS.OK : HEALTH_STATUS.DEGRADED,
+      refreshed_at: refreshed,
+      age_seconds: ageMs !== null ? Math.round(ageMs / 1000) : null
+    };
+  }
+
+  return {
+    status: worstStatus(Object.values(views).map(view => view.status)),
+    views
+  };
+}
+
+/**
+ * Count sync transactions that failed in the last hour
+ *
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{status: string, failed_last_hour: number|null, error?: string}>}
+ */
+export async function checkSyncFailures(now = Date.now()) {
+  const { count, error } = await supabase
+    .from('bookshelf_sync_failures')
+    .select('id', { count: 'exact', head: true })
+    .gte('failed_at', new Date(now - HOUR_MS).toISOString())
+    .abortSignal(AbortSignal.timeout(CHECK_TIMEOUT_MS));
+
+  if (error) {
+    return { status: HEALTH_STATUS.DEGRADED, failed_last_hour: null, error: describeError(error), dbError: error };
+  }
+
+  return {
+    status: count >= FAILED_SYNCS_DEGRADED ? HEALTH_STATUS.DEGRADED : HEALTH_STATUS.OK,
+    failed_last_hour: count || 0
+  };
+}
+
+/**
+ * Run every check
+ * Checks that failed are logged with their database error; the report only
+ * carries the error code.
+ *
+ * @param {Object} log - Request logger (req.log)
+ * @returns {Promise<Object>} Health report
+ */
+export async function runHealthChecks(log) {
+  const [database, materializedViews, syncs] = await Promise.all([
+    checkDatabase(),
+    checkMaterializedViews(),
+    checkSyncFailures()
+  ]);
+
+  const checks = { database, materialized_views: materializedViews, syncs };
+  for (const [name, check] of Object.entries(checks)) {
+    if (check.dbError) {
+      log.error(`Health check ${name} failed`, check.dbError);
+      delete check.dbError;
+    }
+  }
+
+  return {
+    status: worstStatus(Object.values(checks).map(check => check.status)),
+    timestamp: new Date().toISOString(),
+    version: {
+      commit: config.deployment.commitSha,
+      ref: config.deployment.commitRef,
+      environment: config.deployment.environment ?? config.env
+    },
+    checks,
+    config_warnings: getConfigReport().warnings
+  };
+}
+
+/**
+ * Reduce a health report to what anonymous callers may see
+ * The commit, latencies, counts and configuration warnings are only for
+ * operators (see /api/bookshelf/health).
+ *
+ * @param {Object} report - Report from runHealthChecks()
+ * @returns {{status: string, timestamp: string}}
+ */
+export function toPublicHealthReport(report) {
+  return {
+    status: report.status,
+    timestamp: report.timestamp
+  };
+}
+
+/**
+ * Record a failed sync transaction for the health check
+ * Best effort: a failure here is logged and otherwise ignored.
+ *
+ * @param {Object} req - Request (for its logger)
+ * @param {string} siteUrl - Site that tried to sync
+ * @param {string} endpoint - Route name, e.g. "sync"
+ * @param {Object} syncError - Supabase error of the sync
+ * @param {number} [booksCount] - Books in the failed transaction
+ */
+export async function recordSyncFailure(req, siteUrl, endpoint, syncError, booksCount = 1) {
+  const { error } = await supabase
+    .from('bookshelf_sync_failures')
+    .insert({
+      site_url: siteUrl,
+      endpoint,
+      books_count: booksCount,
+      error_code: syncError?.code || null
+    });
+
+  if (error) {
+    req.log.error('Failed to record sync failure', error);
+  }
+}
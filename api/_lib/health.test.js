@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubSupabase } from '../../test/supabase-stub.js';
+import { createRequest, createResponse } from '../../test/http-stub.js';
+import {
+  HEALTH_STATUS,
+  worstStatus,
+  checkMaterializedViews,
+  checkSyncFailures,
+  runHealthChecks,
+  toPublicHealthReport
+} from './health.js';
+import { MATERIALIZED_VIEWS } from './views.js';
+import healthHandler from '../bookshelf/health.js';
+
+const NOW = Date.parse('2026-03-01T12:00:00.000Z');
+
+/**
+ * Answer each health query with a healthy result
+ */
+function healthy(query) {
+  if (query.table === 'bookshelf_view_refreshes') {
+    return { data: MATERIALIZED_VIEWS.map(view => ({ view_name: view, refreshed_at: new Date().toISOString() })) };
+  }
+  return { count: 0 };
+}
+
+test('worstStatus picks the most severe status', () => {
+  assert.equal(worstStatus([]), HEALTH_STATUS.OK);
+  assert.equal(worstStatus([HEALTH_STATUS.OK, HEALTH_STATUS.DEGRADED]), HEALTH_STATUS.DEGRADED);
+  assert.equal(worstStatus([HEALTH_STATUS.DOWN, HEALTH_STATUS.DEGRADED]), HEALTH_STATUS.DOWN);
+});
+
+test('checkMaterializedViews degrades on stale and never-refreshed views', async (t) => {
+  stubSupabase(t, () => ({
+    data: [
+      { view_name: 'bookshelf_stats', refreshed_at: '2026-03-01T11:30:00.000Z' },
+      { view_name: 'bookshelf_book_view_counts', refreshed_at: '2026-03-01T09:00:00.000Z' }
+    ]
+  }));
+
+  const result = await checkMaterializedViews(NOW);
+
+  assert.equal(result.status, HEALTH_STATUS.DEGRADED);
+  assert.deepEqual(result.views.bookshelf_stats, { status: HEALTH_STATUS.OK, refreshed_at: '2026-03-01T11:30:00.000Z', age_seconds: 1800 });
+  assert.equal(result.views.bookshelf_book_view_counts.status, HEALTH_STATUS.DEGRADED);
+  assert.deepEqual(result.views.bookshelf_book_growth, { status: HEALTH_STATUS.DEGRADED, refreshed_at: null, age_seconds: null });
+});
+
+test('checkSyncFailures counts the last hour and degrades at 10 failures', async (t) => {
+  let count = 9;
+  const queries = stubSupabase(t, () => ({ count }));
+
+  assert.deepEqual(await checkSyncFailures(NOW), { status: HEALTH_STATUS.OK, failed_last_hour: 9 });
+  assert.deepEqual(queries[0].args('gte'), ['failed_at', '2026-03-01T11:00:00.000Z']);
+
+  count = 10;
+  assert.equal((await checkSyncFailures(NOW)).status, HEALTH_STATUS.DEGRADED);
+});
+
+test('runHealthChecks is down when the database is unreachable and hides the error', async (t) => {
+  stubSupabase(t, (query) => (query.table === 'bookshelf_books'
+    ? { error: { code: 'PGRST301', message: 'connection refused' } }
+    : healthy(query)));
+
+  const logged = [];
+  const report = await runHealthChecks({ error: (message, error) => logged.push([message, error.message]) });
+
+  assert.equal(report.status, HEALTH_STATUS.DOWN);
+  assert.equal(report.checks.database.error, 'PGRST301');
+  assert.equal(report.checks.database.dbError, undefined);
+  assert.deepEqual(logged, [['Health check database failed', 'connection refused']]);
+  assert.deepEqual(Object.keys(report.checks), ['database', 'materialized_views', 'syncs']);
+  assert.ok(Array.isArray(report.config_warnings));
+});
+
+test('toPublicHealthReport keeps only the status and timestamp', () => {
+  assert.deepEqual(
+    toPublicHealthReport({ status: 'ok', timestamp: 't', version: { commit: 'abc' }, checks: {}, config_warnings: ['x'] }),
+    { status: 'ok', timestamp: 't' }
+  );
+});
+
+test('the health endpoint shows the full report only to admin and cron tokens', async (t) => {
+  stubSupabase(t, healthy);
+
+  for (const [authorization, detailed] of [
+    [undefined, false],
+    ['Bearer wrong-token', false],
+    ['Bearer test-admin-token-0123456789abcdef0123', true],
+    ['Bearer test-cron-secret', true]
+  ]) {
+    const res = createResponse();
+    await healthHandler(createRequest({ headers: authorization ? { authorization } : {} }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['cache-control'], 'no-store');
+    assert.equal(res.body.status, HEALTH_STATUS.OK);
+    assert.equal('version' in res.body, detailed);
+    assert.equal('checks' in res.body, detailed);
+    assert.equal('config_warnings' in res.body, detailed);
+  }
+});
@@ -0,0 +1,215 @@
+/**
+ * Idempotency key utilities
+ * Lets the plugin safely retry write requests after network failures
+ *
+ * When a write request carries an Idempotency-Key header, the first response
+ * (any status below 500 except 401) is stored for IDEMPOTENCY_TTL_MS. Retries with the same
+ * key and the same body get that stored response back instead of running the
+ * write again. Reusing a key with a different body is rejected.
+ *
+ * Signing secrets in a stored response (from /register and /rotate-secret) are
+ * stored as their SHA-256 only and read back from the secret tables on replay.
+ * If the secret is no longer issued (rotated again, or its claim expired), the
+ * retry runs again instead of replaying.
+ *
+ * Keys are scoped per site. Each retry must still be freshly signed, because
+ * signatures are single-use (see signature.js); /register is the exception, as
+ * it applies the key before checking the signature.
+ */
+
+import crypto from 'crypto';
+import supabase from './supabase.js';
+import { getRawBody, hashSecret, findIssuedSecret } from './signature.js';
+import { createErrorResponse, ERROR_CODES, HTTP_STATUS, DatabaseError } from './errors.js';
+
+/**
+ * Header carrying the idempotency key (lowercase, as exposed by Node)
+ */
+export const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+/**
+ * How long stored responses are replayed
+ */
+export const IDEMPOTENCY_TTL_MS = 86400000; // 24 hours
+
+/**
+ * After this long, a request that never finished is considered abandoned
+ * (e.g., the function timed out) and its key can be claimed by a retry
+ */
+const PENDING_TIMEOUT_MS = 60000; // 1 minute
+
+/**
+ * Maximum accepted key length
+ */
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash the endpoint and body so a reused key with a different request is detected
+ */
+function hashRequest(endpoint, req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${endpoint}\n${getRawBody(req)}`)
+    .digest('hex');
+}
+
+/**
+ * Replace the signing secret in a response body with its hash before storing it
+ */
+function toStoredBody(body) {
+  if (typeof body?.signing_secret !== 'string') {
+    return body;
+  }
+  const { signing_secret, ...rest } = body;
+  return { ...rest, signing_secret_sha256: hashSecret(signing_secret) };
+}
+
+/**
+ * Rebuild a stored response body, reading its signing secret back
+ *
+ * @returns {Promise<Object|null>} The body, or null if its secret is no longer issued
+ */
+async function fromStoredBody(siteUrl, body) {
+  if (typeof body?.signing_secret_sha256 !== 'string') {
+    return body;
+  }
+  const { signing_secret_sha256, ...rest } = body;
+  const secret = await findIssuedSecret(siteUrl, signing_secret_sha256);
+  return secret ? { ...rest, signing_secret: secret } : null;
+}
+
+/**
+ * Store the response for a key, or release the key if the request failed
+ */
+async function finishRequest(siteUrl, key, status, body) {
+  // Server errors and rejected signatures are not stored, so the plugin can
+  // retry them for real
+  if (status >= 500 || status === HTTP_STATUS.UNAUTHORIZED) {
+    await supabase
+      .from('bookshelf_idempotency_keys')
+      .delete()
+      .eq('site_url', siteUrl)
+      .eq('idempotency_key', key);
+    return;
+  }
+
+  await supabase
+    .from('bookshelf_idempotency_keys')
+    .update({
+      response_status: status,
+      response_body: toStoredBody(body)
+    })
+    .eq('site_url', siteUrl)
+    .eq('idempotency_key', key);
+}
+
+/**
+ * Apply the Idempotency-Key header of a write request
+ *
+ * Sends the response itself when the key was already used (stored response,
+ * key reuse error or request still in progress) and returns true. Otherwise
+ * claims the key, hooks res.json so the first response is stored, and returns
+ * false so the handler carries on.
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} siteUrl - Site the request belongs to (key scope)
+ * @param {string} endpoint - Endpoint name, e.g. "sync"
+ * @returns {Promise<boolean>} True if a response was already sent
+ */
+export async function applyIdempotencyKey(req, res, siteUrl, endpoint) {
+  const key = req.headers[IDEMPOTENCY_HEADER];
+
+  if (!key) {
+    return false;
+  }
+
+  if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+    res.status(HTTP_STATUS.BAD_REQUEST).json(createErrorResponse(
+      `Idempotency-Key must be a string of at most ${MAX_KEY_LENGTH} characters`,
+      ERROR_CODES.INVALID_INPUT
+    ));
+    return true;
+  }
+
+  const requestHash = hashRequest(endpoint, req);
+
+  // Forget expired keys for this site so they can be claimed again
+  await supabase
+    .from('bookshelf_idempotency_keys')
+    .delete()
+    .eq('site_url', siteUrl)
+    .lt('created_at', new Date(Date.now() - IDEMPOTENCY_TTL_MS).toISOString());
+
+  // Claim the key; the primary key makes this atomic across instances
+  const { error: claimError } = await supabase
+    .from('bookshelf_idempotency_keys')
+    .insert({
+      site_url: siteUrl,
+      idempotency_key: key,
+      endpoint,
+      request_hash: requestHash
+    });
+
+  if (claimError && claimError.code !== '23505') {
+    throw new DatabaseError(claimError, 'Idempotency key claim');
+  }
+
+  // 23505 = unique_violation: this key was used before
+  if (claimError) {
+    const { data: stored, error: fetchError } = await supabase
+      .from('bookshelf_idempotency_keys')
+      .select('request_hash, response_status, response_body, created_at')
+      .eq('site_url', siteUrl)
+      .eq('idempotency_key', key)
+      .single();
+
+    if (fetchError) {
+      throw new DatabaseError(fetchError, 'Idempotency key lookup');
+    }
+
+    if (stored.request_hash !== requestHash) {
+      res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(createErrorResponse(
+        'Idempotency-Key was already used with a different request',
+        ERROR_CODES.IDEMPOTENCY_KEY_REUSED
+      ));
+      return true;
+    }
+
+    const abandoned = stored.response_status === null &&
+      Date.now() - new Date(stored.created_at).getTime() > PENDING_TIMEOUT_MS;
+
+    if (stored.response_status === null && !abandoned) {
+      res.status(HTTP_STATUS.CONFLICT).json(createErrorResponse(
+        'A request with this Idempotency-Key is still being processed',
+        ERROR_CODES.IDEMPOTENCY_KEY_IN_PROGRESS
+      ));
+      return true;
+    }
+
+    const replayBody = abandoned ? null : await fromStoredBody(siteUrl, stored.response_body);
+
+    if (replayBody) {
+      req.log.info('Idempotent response replayed', { replayed_status: stored.response_status });
+      res.setHeader('Idempotent-Replayed', 'true');
+      res.status(stored.response_status).json(replayBody);
+      return true;
+    }
+
+    // The original attempt never finished, or the secret it issued is gone:
+    // this retry takes over the key
+  }
+
+  // Store the first response before it is sent
+  const sendJson = res.json.bind(res);
+  res.json = async (body) => {
+    try {
+      await finishRequest(siteUrl, key, res.statusCode, body);
+    } catch (error) {
+      req.log.error('Failed to store idempotent response', error);
+    }
+    return sendJson(body);
+  };
+
+  return false;
+}
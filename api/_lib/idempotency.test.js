@@ -0,0 +1,221 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { stubSupabase } from '../../test/supabase-stub.js';
+import { createRequest, createResponse } from '../../test/http-stub.js';
+import { IDEMPOTENCY_HEADER, applyIdempotencyKey } from './idempotency.js';
+import { hashSecret } from './signature.js';
+import { ERROR_CODES } from './errors.js';
+import purgeHandler from '../bookshelf/purge.js';
+
+const SITE = 'https://author.example';
+const KEY = 'retry-0001';
+const BODY = { site_url: SITE, book_post_id: 42 };
+const SECRET = 'a'.repeat(64);
+
+/**
+ * Request hash stored for a sync of BODY
+ */
+const REQUEST_HASH = crypto.createHash('sha256').update(`sync\n${JSON.stringify(BODY)}`).digest('hex');
+
+function keyedRequest(body = BODY, key = KEY) {
+  return createRequest({ method: 'POST', headers: { [IDEMPOTENCY_HEADER]: key }, body });
+}
+
+/**
+ * Stub the key table: the claim fails with 23505 when a stored row is given
+ */
+function stubKeys(t, stored = null) {
+  return stubSupabase(t, (query) => {
+    if (query.has('insert')) {
+      return stored ? { error: { code: '23505', message: 'duplicate key' } } : {};
+    }
+    if (query.has('select')) {
+      return { data: stored };
+    }
+    return {};
+  });
+}
+
+test('requests without a key are not tracked', async (t) => {
+  const queries = stubKeys(t);
+  assert.equal(await applyIdempotencyKey(createRequest({ method: 'POST', body: BODY }), createResponse(), SITE, 'sync'), false);
+  assert.equal(queries.length, 0);
+});
+
+test('overlong keys are rejected', async (t) => {
+  stubKeys(t);
+  const res = createResponse();
+
+  assert.equal(await applyIdempotencyKey(keyedRequest(BODY, 'k'.repeat(256)), res, SITE, 'sync'), true);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, ERROR_CODES.INVALID_INPUT);
+});
+
+test('the first request claims the key and stores its response', async (t) => {
+  const queries = stubKeys(t);
+  const res = createResponse();
+
+  assert.equal(await applyIdempotencyKey(keyedRequest(), res, SITE, 'sync'), false);
+  await res.status(200).json({ success: true });
+
+  const claim = queries.find(query => query.has('insert'));
+  assert.deepEqual(claim.args('insert')[0], { site_url: SITE, idempotency_key: KEY, endpoint: 'sync', request_hash: REQUEST_HASH });
+  const store = queries.find(query => query.has('update'));
+  assert.deepEqual(store.args('update')[0], { response_status: 200, response_body: { success: true } });
+  assert.deepEqual(res.body, { success: true });
+});
+
+test('server errors release the key instead of storing the response', async (t) => {
+  const queries = stubKeys(t);
+  const res = createResponse();
+
+  await applyIdempotencyKey(keyedRequest(), res, SITE, 'sync');
+  const deletesBefore = queries.filter(query => query.has('delete')).length;
+  await res.status(503).json({ success: false });
+
+  assert.equal(queries.filter(query => query.has('delete')).length, deletesBefore + 1);
+  assert.ok(!queries.some(query => query.has('update')));
+});
+
+test('key storage failures surface as DatabaseErrors', async (t) => {
+  const failure = { error: { code: '57014', message: 'canceling statement due to statement timeout' } };
+  stubSupabase(t, query => (query.has('insert') ? failure : {}));
+  await assert.rejects(applyIdempotencyKey(keyedRequest(), createResponse(), SITE, 'sync'), { name: 'DatabaseError', operation: 'Idempotency key claim' });
+
+  stubSupabase(t, (query) => {
+    if (query.has('insert')) {
+      return { error: { code: '23505', message: 'duplicate key' } };
+    }
+    return query.has('select') ? failure : {};
+  });
+  await assert.rejects(applyIdempotencyKey(keyedRequest(), createResponse(), SITE, 'sync'), { name: 'DatabaseError', operation: 'Idempotency key lookup' });
+});
+
+test('rejected signatures release the key so a signed retry can use it', async (t) => {
+  const queries = stubKeys(t);
+  const res = createResponse();
+
+  await applyIdempotencyKey(keyedRequest(), res, SITE, 'sync');
+  const deletesBefore = queries.filter(query => query.has('delete')).length;
+  await res.status(401).json({ success: false });
+
+  assert.equal(queries.filter(query => query.has('delete')).length, deletesBefore + 1);
+  assert.ok(!queries.some(query => query.has('update')));
+});
+
+test('a retry with the same body replays the stored response', async (t) => {
+  stubKeys(t, {
+    request_hash: REQUEST_HASH,
+    response_status: 201,
+    response_body: { success: true, book_id: 456 },
+    created_at: new Date().toISOString()
+  });
+  const res = createResponse();
+
+  assert.equal(await applyIdempotencyKey(keyedRequest(), res, SITE, 'sync'), true);
+  assert.equal(res.statusCode, 201);
+  assert.deepEqual(res.body, { success: true, book_id: 456 });
+  assert.equal(res.headers['idempotent-replayed'], 'true');
+});
+
+test('reusing a key with a different body is rejected', async (t) => {
+  stubKeys(t, { request_hash: REQUEST_HASH, response_status: 200, response_body: {}, created_at: new Date().toISOString() });
+  const res = createResponse();
+
+  assert.equal(await applyIdempotencyKey(keyedRequest({ ...BODY, book_post_id: 43 }), res, SITE, 'sync'), true);
+  assert.equal(res.statusCode, 422);
+  assert.equal(res.body.code, ERROR_CODES.IDEMPOTENCY_KEY_REUSED);
+});
+
+test('a retry while the first request is running gets a 409', async (t) => {
+  stubKeys(t, { request_hash: REQUEST_HASH, response_status: null, response_body: null, created_at: new Date().toISOString() });
+  const res = createResponse();
+
+  assert.equal(await applyIdempotencyKey(keyedRequest(), res, SITE, 'sync'), true);
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.code, ERROR_CODES.IDEMPOTENCY_KEY_IN_PROGRESS);
+});
+
+test('a retry takes over a key whose request never finished', async (t) => {
+  stubKeys(t, {
+    request_hash: REQUEST_HASH,
+    response_status: null,
+    response_body: null,
+    created_at: new Date(Date.now() - 120000).toISOString()
+  });
+
+  assert.equal(await applyIdempotencyKey(keyedRequest(), createResponse(), SITE, 'sync'), false);
+});
+
+test('signing secrets are stored as a hash only', async (t) => {
+  const queries = stubKeys(t);
+  const res = createResponse();
+
+  await applyIdempotencyKey(keyedRequest(), res, SITE, 'sync');
+  await res.status(200).json({ success: true, signing_secret: SECRET });
+
+  const store = queries.find(query => query.has('update'));
+  assert.deepEqual(store.args('update')[0].response_body, { success: true, signing_secret_sha256: hashSecret(SECRET) });
+  assert.equal(res.body.signing_secret, SECRET);
+});
+
+/**
+ * Stub a stored response that issued SECRET, with the site's current secrets and claims
+ */
+function stubIssuedSecret(t, { secrets = null, claims = [] }) {
+  return stubSupabase(t, (query) => {
+    if (query.table === 'bookshelf_site_secrets') {
+      return { data: secrets };
+    }
+    if (query.table === 'bookshelf_secret_claims') {
+      return { data: claims };
+    }
+    if (query.has('insert')) {
+      return { error: { code: '23505', message: 'duplicate key' } };
+    }
+    return {
+      data: {
+        request_hash: REQUEST_HASH,
+        response_status: 200,
+        response_body: { success: true, signing_secret_sha256: hashSecret(SECRET) },
+        created_at: new Date().toISOString()
+      }
+    };
+  });
+}
+
+test('a replay reads the signing secret back while it is issued', async (t) => {
+  for (const issued of [
+    { secrets: { secret: SECRET } },
+    { secrets: { secret: 'b'.repeat(64), previous_secret: SECRET } },
+    { claims: [{ secret: SECRET }] }
+  ]) {
+    stubIssuedSecret(t, issued);
+    const res = createResponse();
+
+    assert.equal(await applyIdempotencyKey(keyedRequest(), res, SITE, 'sync'), true);
+    assert.deepEqual(res.body, { success: true, signing_secret: SECRET });
+  }
+});
+
+test('a retry runs again once the secret it was issued is gone', async (t) => {
+  stubIssuedSecret(t, { secrets: { secret: 'b'.repeat(64) } });
+  const res = createResponse();
+
+  assert.equal(await applyIdempotencyKey(keyedRequest(), res, SITE, 'sync'), false);
+  assert.equal(res.body, undefined);
+});
+
+test('the purge cron drops expired keys of every site', async (t) => {
+  const queries = stubSupabase(t, () => ({ data: [{ idempotency_key: KEY }] }));
+  const res = createResponse();
+
+  await purgeHandler(createRequest({ headers: { authorization: 'Bearer test-cron-secret' } }), res);
+
+  const purge = queries.find(query => query.table === 'bookshelf_idempotency_keys');
+  assert.ok(purge.has('delete'));
+  assert.equal(purge.has('eq'), false);
+  assert.ok(Date.now() - new Date(purge.args('lt')[1]).getTime() >= 86400000);
+  assert.equal(res.body.idempotency_keys_purged, 1);
+});
@@ -1,99 +1,173 @@
 /**
- * Logger utility for environment-aware logging
- * Reduces excessive logging in production while preserving important error logs
+ * Structured logger
+ * Writes one JSON object per line, so Vercel log drains can filter and join on fields
+ *
+ *   {"time":"2026-03-01T12:00:00.000Z","level":"error","msg":"Book sync error",
+ *    "request_id":"4f1c...","route":"sync","site_url":"https://authorsite.com","error":{...}}
+ *
+ * The level is set with LOG_LEVEL (error, warn, info, debug); the default is
+ * "debug" in development and "info" otherwise.
+ *
+ * Fields whose names look sensitive (secrets, tokens, keys, signatures,
+ * authorization, cookies, IP addresses) are replaced with "[REDACTED]" at any depth.
+ *
+ * The handler pipeline gives each request a child logger (req.log) carrying
+ * its request_id, route and site_url (see handler.js).
  */
 
-const isDevelopment = process.env.NODE_ENV === 'development';
-const isProduction = process.env.NODE_ENV === 'production';
+import config from './config.js';
 
 /**
- * Log levels
+ * Log levels, most severe first
  */
 const LOG_LEVELS = {
-  ERROR: 'ERROR',
-  WARN: 'WARN',
-  INFO: 'INFO',
-  DEBUG: 'DEBUG'
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
 };
 
 /**
- * Format log message with timestamp and level
+ * Field names that are never logged
+ * IP addresses are matched as a name part ("ip", "ip_address", "x-real-ip",
+ * "client_ip"), so words that merely contain "ip" ("recipient") are kept.
  */
-function formatMessage(level, message, data) {
-  const timestamp = new Date().toISOString();
-  const prefix = `[${timestamp}] [${level}]`;
+const REDACTED_FIELDS = /secret|password|token|signature|authorization|cookie|(^|[_-])key$|api[_-]?key|(^|[_-])ips?([_-]|$)|ip[_-]?address|client[_-]?ip|forwarded-for|remote[_-]?address/i;
 
-  if (data) {
-    return `${prefix} ${message}`;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Maximum nesting depth serialized before values are cut off
+ */
+const MAX_DEPTH = 6;
+
+/**
+ * Active log level, from LOG_LEVEL or the environment default
+ */
+const LOG_LEVEL = LOG_LEVELS[config.log.level ?? (config.env === 'development' ? 'debug' : 'info')];
+
+/**
+ * Copy a value for logging, redacting sensitive fields and flattening errors
+ *
+ * @param {*} value - Value to log
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*} JSON-safe copy
+ */
+export function redact(value, depth = 0) {
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' ? String(value) : value;
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      ...(value.code && { code: value.code }),
+      ...(value.stack && { stack: value.stack }),
+      ...(value.cause && { cause: value.cause })
+    }, depth);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
   }
 
-  return `${prefix} ${message}`;
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = REDACTED_FIELDS.test(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
 }
 
 /**
- * Logger class
+ * Logger with fields bound to every line
  */
 class Logger {
   /**
-   * Log error messages (always logged, even in production)
+   * @param {Object} [context] - Fields added to every line, e.g. { request_id }
    */
-  error(message, error = null) {
-    if (error) {
-      console.error(formatMessage(LOG_LEVELS.ERROR, message), error);
-    } else {
-      console.error(formatMessage(LOG_LEVELS.ERROR, message));
-    }
+  constructor(context = {}) {
+    this.context = context;
   }
 
   /**
-   * Log warning messages (only in development)
+   * Create a logger that adds more fields to every line
+   *
+   * @param {Object} context - Extra fields, e.g. { route: 'sync' }
+   * @returns {Logger}
    */
-  warn(message, data = null) {
-    if (!isProduction) {
-      if (data) {
-        console.warn(formatMessage(LOG_LEVELS.WARN, message), data);
-      } else {
-        console.warn(formatMessage(LOG_LEVELS.WARN, message));
-      }
-    }
+  child(context) {
+    return new Logger({ ...this.context, ...context });
   }
 
   /**
-   * Log info messages (only in development)
+   * Write a log line if the level is enabled
+   *
+   * @param {string} level - error, warn, info or debug
+   * @param {string} message - What happened
+   * @param {*} [data] - Extra fields (object), or an Error / value logged as "error" / "data"
    */
-  info(message, data = null) {
-    if (!isProduction) {
-      if (data) {
-        console.log(formatMessage(LOG_LEVELS.INFO, message), data);
-      } else {
-        console.log(formatMessage(LOG_LEVELS.INFO, message));
-      }
+  log(level, message, data = null) {
+    if (LOG_LEVELS[level] > LOG_LEVEL) {
+      return;
+    }
+
+    let fields = {};
+    if (data instanceof Error) {
+      fields = { error: data };
+    } else if (data !== null && typeof data === 'object' && !Array.isArray(data)) {
+      fields = data;
+    } else if (data !== null) {
+      fields = { data };
+    }
+
+    const line = JSON.stringify(redact({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.context,
+      ...fields
+    }));
+
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
     }
   }
 
   /**
-   * Log debug messages (only in development)
+   * Log errors; Supabase errors and Errors can be passed directly
    */
+  error(message, error = null) {
+    const isErrorLike = error instanceof Error ||
+      (error && typeof error === 'object' && 'message' in error && 'code' in error);
+    this.log('error', message, isErrorLike ? { error } : error);
+  }
+
+  warn(message, data = null) {
+    this.log('warn', message, data);
+  }
+
+  info(message, data = null) {
+    this.log('info', message, data);
+  }
+
   debug(message, data = null) {
-    if (isDevelopment) {
-      if (data) {
-        console.log(formatMessage(LOG_LEVELS.DEBUG, message), data);
-      } else {
-        console.log(formatMessage(LOG_LEVELS.DEBUG, message));
-      }
-    }
+    this.log('debug', message, data);
   }
 
   /**
-   * Log security events (always logged)
+   * Log security events (rejected signatures, failed cron auth, ...)
    */
   security(event, data = null) {
-    const message = `[SECURITY] ${event}`;
-    if (data) {
-      console.log(formatMessage(LOG_LEVELS.WARN, message), JSON.stringify(data));
-    } else {
-      console.log(formatMessage(LOG_LEVELS.WARN, message));
-    }
+    this.log('warn', event, { security: true, ...(data || {}) });
   }
 }
 
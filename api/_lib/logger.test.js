@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact } from './logger.js';
+
+test('redact hides secrets, tokens and signatures at any depth', () => {
+  assert.deepEqual(redact({
+    site_url: 'https://author.example',
+    signing_secret: 'abc',
+    headers: { authorization: 'Bearer x', 'x-bookshelf-signature': 't=1,v1=ab', 'idempotency-key': 'k1' },
+    nested: [{ verification_token: 'akb-1', api_key: 'k2' }]
+  }), {
+    site_url: 'https://author.example',
+    signing_secret: '[REDACTED]',
+    headers: { authorization: '[REDACTED]', 'x-bookshelf-signature': '[REDACTED]', 'idempotency-key': '[REDACTED]' },
+    nested: [{ verification_token: '[REDACTED]', api_key: '[REDACTED]' }]
+  });
+});
+
+test('redact hides IP addresses under any common field name', () => {
+  const fields = ['ip', 'ips', 'ip_address', 'ipAddress', 'client_ip', 'clientIp', 'x-real-ip', 'x-forwarded-for', 'remote_address'];
+  const redacted = redact(Object.fromEntries(fields.map(field => [field, '203.0.113.10'])));
+
+  for (const field of fields) {
+    assert.equal(redacted[field], '[REDACTED]', field);
+  }
+});
+
+test('redact keeps fields that only contain the letters "ip"', () => {
+  assert.deepEqual(redact({ recipient: 'a', description: 'b', zip: 'c', monkey: 'd' }), {
+    recipient: 'a',
+    description: 'b',
+    zip: 'c',
+    monkey: 'd'
+  });
+});
+
+test('redact flattens errors and cuts off deep nesting', () => {
+  const error = Object.assign(new Error('boom'), { code: '57014' });
+  const logged = redact({ error });
+
+  assert.equal(logged.error.name, 'Error');
+  assert.equal(logged.error.message, 'boom');
+  assert.equal(logged.error.code, '57014');
+
+  let deep = { value: 1 };
+  for (let i = 0; i < 10; i++) {
+    deep = { deep };
+  }
+  assert.match(JSON.stringify(redact(deep)), /\[Truncated\]/);
+});
@@ -0,0 +1,320 @@
+/**
+ * Sync payload schemas
+ * Versioned validators for book payloads, with server-side upgrades to the current shape
+ *
+ * A book payload may carry "schema_version"; payloads without one are version 1.
+ * Each version validates its own shape and knows how to upgrade a payload to the
+ * next version, so older plugin installs keep working while the payload evolves.
+ * Only payloads in the current shape reach buildBookRecord().
+ *
+ * Version history:
+ * - 1: flat author fields ("author", "author_bio", "author_website", ...)
+ * - 2: nested "author" object, plus "series" and "language"
+ *
+ * Adding a version: register its fields in SCHEMAS, give the previous
+ * version an upgrade() to it, mark the previous version deprecated and bump
+ * CURRENT_SCHEMA_VERSION.
+ */
+
+import { createErrorResponse, validationError, ERROR_CODES, HTTP_STATUS } from './errors.js';
+import { validate } from './validation.js';
+import { BOOK_POST_ID, OPTIONAL_URL, SOURCE_TIMESTAMP } from './fields.js';
+import { resolveGenre } from './genres.js';
+
+/**
+ * Schema version of the internal payload shape
+ */
+export const CURRENT_SCHEMA_VERSION = 2;
+
+/**
+ * Version assumed for payloads without "schema_version"
+ */
+export const LEGACY_SCHEMA_VERSION = 1;
+
+/**
+ * Maximum accepted description length (characters of HTML)
+ */
+const MAX_DESCRIPTION_LENGTH = 20000;
+
+/**
+ * Maximum accepted title length; stored titles are truncated to MAX_TITLE_LENGTH
+ */
+const MAX_TITLE_INPUT_LENGTH = 1000;
+
+/**
+ * Simplified BCP 47 language tag, e.g. "en", "pt-BR", "zh-Hant"
+ */
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Book fields shared by every version
+ */
+const BOOK_FIELDS = {
+  schema_version: { type: 'integer', min: 1 },
+  book_post_id: BOOK_POST_ID,
+  title: { type: 'string', required: true, maxLength: MAX_TITLE_INPUT_LENGTH },
+  slug: { type: 'string', maxLength: 200 },
+  description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+  cover: {
+    type: 'object',
+    properties: {
+      thumbnail: OPTIONAL_URL,
+      medium: OPTIONAL_URL,
+      large: OPTIONAL_URL,
+      full: OPTIONAL_URL
+    }
+  },
+  purchase_links: {
+    type: 'object',
+    properties: {
+      amazon_in: OPTIONAL_URL,
+      amazon_com: OPTIONAL_URL,
+      other: OPTIONAL_URL
+    }
+  },
+  // WordPress categories: names or term objects ({ "name": "...", "slug": "..." })
+  local_categories: {
+    type: 'array',
+    maxItems: 50,
+    items: {
+      check: item => typeof item === 'string' || (typeof item === 'object' && !Array.isArray(item))
+        ? null
+        : 'must be a category name or object'
+    }
+  },
+  // Genre slugs or aliases from the taxonomy (see genres.js); blank entries
+  // are ignored (see normalizeGenres() in books.js)
+  bookshelf_genres: {
+    type: 'array',
+    maxItems: 10,
+    items: {
+      type: 'string',
+      maxLength: 50,
+      check: slug => !slug.trim() || resolveGenre(slug) ? null : 'is not a bookshelf genre (see /api/bookshelf/genres)'
+    }
+  },
+  formats: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 50 } },
+  isbn: { type: 'string', maxLength: 20 },
+  rating: { type: 'number', min: 0, max: 5 },
+  review_count: { type: 'integer', min: 0 },
+  publication_date: { type: 'string', format: 'date' },
+  modified_at: SOURCE_TIMESTAMP,
+  dry_run: { type: 'boolean' }
+};
+
+/**
+ * Version 1 fields: flat author details
+ */
+const BOOK_FIELDS_V1 = {
+  ...BOOK_FIELDS,
+  author: { type: 'string', maxLength: 500 },
+  author_bio: { type: 'string', maxLength: 5000 },
+  author_website: OPTIONAL_URL,
+  author_twitter: { type: 'string', maxLength: 500 },
+  author_instagram: { type: 'string', maxLength: 500 }
+};
+
+/**
+ * Version 2 fields: nested author, series and language
+ */
+const BOOK_FIELDS_V2 = {
+  ...BOOK_FIELDS,
+  author: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', maxLength: 500 },
+      bio: { type: 'string', maxLength: 5000 },
+      website: OPTIONAL_URL,
+      twitter: { type: 'string', maxLength: 500 },
+      instagram: { type: 'string', maxLength: 500 }
+    }
+  },
+  series: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', required: true, maxLength: 500 },
+      position: { type: 'number', min: 0 }
+    }
+  },
+  language: { type: 'string', maxLength: 35, pattern: LANGUAGE_PATTERN }
+};
+
+/**
+ * Upgrade a version 1 payload to version 2
+ */
+function upgradeV1(payload) {
+  const {
+    author,
+    author_bio,
+    author_website,
+    author_twitter,
+    author_instagram,
+    ...rest
+  } = payload;
+
+  return {
+    ...rest,
+    schema_version: 2,
+    author: {
+      name: author || '',
+      bio: author_bio || '',
+      website: author_website || '',
+      twitter: author_twitter || '',
+      instagram: author_instagram || ''
+    },
+    series: null,
+    language: null
+  };
+}
+
+/**
+ * Error paths a dry run turns into listing warnings (see previewListing() in
+ * books.js): the preview drops the value and reports it, so authors see every
+ * problem of the listing at once instead of a 400
+ */
+const PURCHASE_LINK_PATH = /^purchase_links\.(\w+)$/;
+const GENRE_PATH = /^bookshelf_genres\[(\d+)\]$/;
+
+/**
+ * Take the purchase link and genre errors out of a preview's validation errors
+ *
+ * @param {Object} payload - Book payload sent by the plugin
+ * @param {Object<string, string>} errors - Path-keyed validation errors
+ * @returns {{payload: Object, errors: Object<string, string>, rejected: Array<Object>}}
+ *   The payload without the rejected values, the remaining errors, and
+ *   { field, value, message } for every rejected value
+ */
+function dropPreviewErrors(payload, errors) {
+  const remaining = {};
+  const rejected = [];
+  const purchaseLinks = { ...payload.purchase_links };
+  const droppedGenres = new Set();
+
+  for (const [path, message] of Object.entries(errors)) {
+    const link = path.match(PURCHASE_LINK_PATH);
+    const genre = path.match(GENRE_PATH);
+
+    if (link) {
+      rejected.push({ field: path, value: purchaseLinks[link[1]], message });
+      delete purchaseLinks[link[1]];
+    } else if (genre) {
+      rejected.push({ field: path, value: payload.bookshelf_genres[genre[1]], message });
+      droppedGenres.add(Number(genre[1]));
+    } else {
+      remaining[path] = message;
+    }
+  }
+
+  if (rejected.length === 0) {
+    return { payload, errors, rejected };
+  }
+
+  return {
+    payload: {
+      ...payload,
+      ...(payload.purchase_links && { purchase_links: purchaseLinks }),
+      ...(droppedGenres.size > 0 && {
+        bookshelf_genres: payload.bookshelf_genres.filter((_, index) => !droppedGenres.has(index))
+      })
+    },
+    errors: remaining,
+    rejected
+  };
+}
+
+/**
+ * Schema registry
+ * upgrade() turns a valid payload of that version into the next version.
+ */
+const SCHEMAS = {
+  1: { fields: BOOK_FIELDS_V1, upgrade: upgradeV1, deprecated: true },
+  2: { fields: BOOK_FIELDS_V2, upgrade: null, deprecated: false }
+};
+
+/**
+ * Schema versions the API accepts, oldest first
+ */
+export const SUPPORTED_SCHEMA_VERSIONS = Object.keys(SCHEMAS).map(Number);
+
+/**
+ * Validate a book payload against its schema version and upgrade it to the
+ * current shape
+ *
+ * With preview set (dry runs), invalid purchase links and genres are dropped
+ * and listed in "rejected" instead of failing validation.
+ *
+ * @param {Object} payload - Book payload sent by the plugin
+ * @param {Object} [options]
+ * @param {boolean} [options.preview] - Resolve for a dry run
+ * @returns {{valid: boolean, status: number, error: Object|null, book: Object|null,
+ *   version: number|null, rejected: Array<Object>}}
+ */
+export function resolveBookPayload(payload, { preview = false } = {}) {
+  const version = Number(payload?.schema_version ?? LEGACY_SCHEMA_VERSION);
+  const schema = SCHEMAS[version];
+
+  if (!schema) {
+    return {
+      valid: false,
+      status: HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      error: createErrorResponse(
+        `Unsupported schema_version: ${payload.schema_version}`,
+        ERROR_CODES.UNSUPPORTED_PAYLOAD_SCHEMA,
+        null,
+        { supported_payload_schemas: SUPPORTED_SCHEMA_VERSIONS }
+      ),
+      book: null,
+      version: null,
+      rejected: []
+    };
+  }
+
+  const validation = validate(payload, schema.fields);
+  const { payload: checked, errors, rejected } = preview
+    ? dropPreviewErrors(payload, validation.errors)
+    : { payload, errors: validation.errors, rejected: [] };
+
+  if (Object.keys(errors).length > 0) {
+    return {
+      valid: false,
+      status: HTTP_STATUS.BAD_REQUEST,
+      error: validationError(null, errors),
+      book: null,
+      version,
+      rejected: []
+    };
+  }
+
+  // Walk the upgrade chain up to the current version
+  let book = checked;
+  for (let v = version; v < CURRENT_SCHEMA_VERSION; v++) {
+    book = SCHEMAS[v].upgrade(book);
+  }
+
+  return {
+    valid: true,
+    status: HTTP_STATUS.OK,
+    error: null,
+    book,
+    version,
+    rejected
+  };
+}
+
+/**
+ * Describe the deprecation of a schema version for API responses
+ *
+ * @param {number} version - Schema version the payload used
+ * @returns {Object|null} Deprecation notice, or null if the version is current
+ */
+export function getDeprecationNotice(version) {
+  if (!SCHEMAS[version]?.deprecated) {
+    return null;
+  }
+
+  return {
+    schema_version: version,
+    current_schema_version: CURRENT_SCHEMA_VERSION,
+    message: `Payload schema ${version} is deprecated. Update the plugin to send schema ${CURRENT_SCHEMA_VERSION}.`
+  };
+}
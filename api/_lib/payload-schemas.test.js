@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CURRENT_SCHEMA_VERSION,
+  resolveBookPayload,
+  getDeprecationNotice
+} from './payload-schemas.js';
+import { ERROR_CODES } from './errors.js';
+import { buildSyncEntry } from './books.js';
+
+const BOOK = {
+  site_url: 'https://author.example',
+  site_name: 'Author Site',
+  book_post_id: 42,
+  title: 'The Long Night'
+};
+
+test('version 1 payloads are upgraded to the nested author shape', () => {
+  const resolved = resolveBookPayload({
+    ...BOOK,
+    author: 'Jane Doe',
+    author_bio: 'Writes at night.',
+    author_website: 'https://jane.example'
+  });
+
+  assert.equal(resolved.valid, true);
+  assert.equal(resolved.version, 1);
+  assert.equal(resolved.book.schema_version, CURRENT_SCHEMA_VERSION);
+  assert.deepEqual(resolved.book.author, {
+    name: 'Jane Doe',
+    bio: 'Writes at night.',
+    website: 'https://jane.example',
+    twitter: '',
+    instagram: ''
+  });
+  assert.equal(resolved.book.author_bio, undefined);
+});
+
+test('current payloads pass through unchanged', () => {
+  const payload = {
+    ...BOOK,
+    schema_version: 2,
+    author: { name: 'Jane Doe' },
+    series: { name: 'Night Watch', position: 2 },
+    language: 'pt-BR'
+  };
+
+  assert.equal(resolveBookPayload(payload).book, payload);
+});
+
+test('each version validates its own shape', () => {
+  const resolved = resolveBookPayload({ ...BOOK, schema_version: 2, author: 'Jane Doe', language: 'Portuguese' });
+
+  assert.equal(resolved.status, 400);
+  assert.deepEqual(resolved.error.errors, { author: 'must be an object', language: 'has an invalid format' });
+});
+
+test('unknown schema versions get a 422', () => {
+  const resolved = resolveBookPayload({ ...BOOK, schema_version: 99 });
+
+  assert.equal(resolved.status, 422);
+  assert.equal(resolved.error.code, ERROR_CODES.UNSUPPORTED_PAYLOAD_SCHEMA);
+});
+
+test('only deprecated versions carry a deprecation notice', () => {
+  assert.equal(getDeprecationNotice(1).current_schema_version, CURRENT_SCHEMA_VERSION);
+  assert.equal(getDeprecationNotice(CURRENT_SCHEMA_VERSION), null);
+});
+
+test('blank genre entries are accepted and dropped', () => {
+  const resolved = resolveBookPayload({ ...BOOK, bookshelf_genres: ['fantasy', '', ' '] });
+
+  assert.equal(resolved.valid, true);
+  assert.deepEqual(buildSyncEntry(resolved.book).genres, ['fantasy']);
+});
@@ -0,0 +1,263 @@
+/**
+ * Rate limiting
+ * Sliding-window limits per route, backed by a shared store
+ *
+ * Each route has a policy in RATE_LIMIT_POLICIES: how many requests are
+ * allowed per window, and what a request is counted against:
+ * - "ip": the client IP (public reads, registration, health, cron and admin endpoints)
+ * - "site": the site_url of a signed write request. The handler pipeline
+ *   applies these after the signature check (see handler.js), so other
+ *   callers cannot use up a site's quota.
+ *
+ * Limits can be switched off with BOOKSHELF_RATE_LIMIT_ENABLED=false.
+ *
+ * Counts live in Redis when REDIS_URL is set, so limits are shared across
+ * serverless instances and survive cold starts. Without it, each instance
+ * counts in memory (fine for development, not for production).
+ *
+ * The window slides: the count is the current fixed window plus the previous
+ * one, weighted by how much of it still overlaps the last windowMs.
+ *
+ * If the store is unreachable, requests are allowed rather than failing the API.
+ */
+
+import { RedisClient } from './redis.js';
+import { getClientIp } from './security.js';
+import { rateLimitError, HTTP_STATUS } from './errors.js';
+import config from './config.js';
+
+/**
+ * What a request is counted against
+ */
+export const RATE_LIMIT_KEYS = {
+  IP: 'ip',
+  SITE: 'site'
+};
+
+const HOUR_MS = 3600000;
+
+/**
+ * Policies per route
+ */
+export const RATE_LIMIT_POLICIES = {
+  // Public reads
+  books: { limit: 300, windowMs: 60000, key: RATE_LIMIT_KEYS.IP },
+  stats: { limit: 300, windowMs: 60000, key: RATE_LIMIT_KEYS.IP },
+  genres: { limit: 300, windowMs: 60000, key: RATE_LIMIT_KEYS.IP },
+  'track-view': { limit: 100, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.IP },
+
+  // Registration happens before a site has a secret
+  register: { limit: 10, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.IP },
+
+  // Signed writes
+  sync: { limit: 1000, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.SITE },
+  'sync-batch': { limit: 100, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.SITE },
+  reconcile: { limit: 30, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.SITE },
+  remove: { limit: 1000, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.SITE },
+  verify: { limit: 30, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.SITE },
+  heartbeat: { limit: 60, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.SITE },
+  deregister: { limit: 10, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.SITE },
+  'rotate-secret': { limit: 10, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.SITE },
+
+  // Cron endpoints
+  keepalive: { limit: 10, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.IP },
+  purge: { limit: 10, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.IP },
+  'site-health': { limit: 10, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.IP },
+  'refresh-views': { limit: 10, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.IP },
+
+  // Uptime monitors (about one check a minute)
+  health: { limit: 120, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.IP },
+
+  // Admin endpoints
+  'admin-config': { limit: 30, windowMs: HOUR_MS, key: RATE_LIMIT_KEYS.IP }
+};
+
+/**
+ * Prefix for rate limit keys in the store
+ */
+const KEY_PREFIX = 'bookshelf:ratelimit';
+
+/**
+ * Maximum number of counters kept by MemoryStore
+ */
+const MAX_MEMORY_ENTRIES = 10000;
+
+/**
+ * Rate limit store
+ * @typedef {Object} RateLimitStore
+ * @property {function(string, number): Promise<number>} increment - Add 1 to a counter
+ *   (created with the given TTL in ms) and return the new count
+ * @property {function(string): Promise<number>} get - Current count, 0 if missing or expired
+ */
+
+/**
+ * Per-instance store, for development and single-instance deployments
+ * @implements {RateLimitStore}
+ */
+export class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.expiresAt <= now) {
+      counter = { count: 0, expiresAt: now + ttlMs };
+      this.counters.set(key, counter);
+    }
+    counter.count++;
+
+    // Clean up old entries (prevent memory leak)
+    if (this.counters.size > MAX_MEMORY_ENTRIES) {
+      for (const [counterKey, { expiresAt }] of this.counters) {
+        if (expiresAt <= now) {
+          this.counters.delete(counterKey);
+        }
+      }
+      if (this.counters.size > MAX_MEMORY_ENTRIES) {
+        this.counters.delete(this.counters.keys().next().value);
+      }
+    }
+
+    return counter.count;
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+  }
+}
+
+/**
+ * Store shared by every instance, in any Redis-protocol server
+ * @implements {RateLimitStore}
+ */
+export class RedisStore {
+  /**
+   * @param {RedisClient} client - Redis connection
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  async increment(key, ttlMs) {
+    // Pipelined on one connection; the window index in the key makes
+    // refreshing the TTL on every hit harmless
+    const [count] = await Promise.all([
+      this.client.command('INCR', key),
+      this.client.command('PEXPIRE', key, ttlMs)
+    ]);
+    return count;
+  }
+
+  async get(key) {
+    return Number(await this.client.command('GET', key)) || 0;
+  }
+}
+
+let store = null;
+
+/**
+ * Get the configured store (Redis when REDIS_URL is set, memory otherwise)
+ * @returns {RateLimitStore}
+ */
+export function getRateLimitStore() {
+  if (!store) {
+    store = config.rateLimit.redisUrl
+      ? new RedisStore(new RedisClient(config.rateLimit.redisUrl))
+      : new MemoryStore();
+  }
+  return store;
+}
+
+/**
+ * Count a request against a sliding window
+ *
+ * @param {RateLimitStore} rateLimitStore - Counter store
+ * @param {string} key - Identifier the request is counted against
+ * @param {{limit: number, windowMs: number}} policy - Requests allowed per window
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, reset: number, retryAfter: number}>}
+ *   reset and retryAfter are in seconds
+ */
+export async function consumeRateLimit(rateLimitStore, key, policy, now = Date.now()) {
+  const { limit, windowMs } = policy;
+  const window = Math.floor(now / windowMs);
+  const elapsed = (now % windowMs) / windowMs;
+  const untilWindowEnd = windowMs - (now % windowMs);
+
+  const [previous, current] = await Promise.all([
+    rateLimitStore.get(`${key}:${window - 1}`),
+    rateLimitStore.increment(`${key}:${window}`, windowMs * 2)
+  ]);
+
+  const count = previous * (1 - elapsed) + current;
+  const allowed = count <= limit;
+
+  // Time until one more request would fit: either the previous window's
+  // weight shrinks enough during this window, or this window has to
+  // become the previous one first
+  let waitMs = 0;
+  if (!allowed || count + 1 > limit) {
+    if (current + 1 <= limit && previous > 0) {
+      waitMs = windowMs * (1 - elapsed - (limit - current - 1) / previous);
+    } else {
+      waitMs = untilWindowEnd + windowMs * Math.max(0, 1 - (limit - 1) / current);
+    }
+  }
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - count)),
+    reset: Math.ceil((waitMs || untilWindowEnd) / 1000),
+    retryAfter: allowed ? 0 : Math.max(1, Math.ceil(waitMs / 1000))
+  };
+}
+
+/**
+ * Apply a route's rate limit
+ * Sets RateLimit-* headers and, when the limit is exceeded, sends a 429 with
+ * Retry-After.
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} route - Route name in RATE_LIMIT_POLICIES, e.g. "sync"
+ * @param {string} [siteUrl] - Site the request belongs to (for "site" policies)
+ * @returns {Promise<boolean>} True if a response was already sent
+ */
+export async function applyRateLimit(req, res, route, siteUrl = null) {
+  if (!config.rateLimit.enabled) {
+    return false;
+  }
+
+  const policy = RATE_LIMIT_POLICIES[route];
+  const identifier = policy.key === RATE_LIMIT_KEYS.SITE && siteUrl
+    ? `site:${siteUrl}`
+    : `ip:${getClientIp(req)}`;
+
+  let result;
+  try {
+    result = await consumeRateLimit(getRateLimitStore(), `${KEY_PREFIX}:${route}:${identifier}`, policy);
+  } catch (error) {
+    // Fail open: an unreachable store must not take the API down
+    req.log.error('Rate limit store error', error);
+    return false;
+  }
+
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(result.reset));
+  res.setHeader('RateLimit-Policy', `${policy.limit};w=${Math.round(policy.windowMs / 1000)}`);
+
+  if (!result.allowed) {
+    req.log.warn('Rate limit exceeded', { policy: route, retry_after: result.retryAfter });
+    res.setHeader('Retry-After', String(result.retryAfter));
+    res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json(rateLimitError(result.retryAfter));
+    return true;
+  }
+
+  return false;
+}
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequest, createResponse } from '../../test/http-stub.js';
+import {
+  RATE_LIMIT_POLICIES,
+  MemoryStore,
+  consumeRateLimit,
+  applyRateLimit
+} from './rate-limit.js';
+import { ERROR_CODES } from './errors.js';
+
+const POLICY = { limit: 10, windowMs: 60000 };
+const WINDOW_START = 1800000000000 - (1800000000000 % 60000);
+
+test('consumeRateLimit allows requests up to the limit in a window', async () => {
+  const store = new MemoryStore();
+  const results = [];
+  for (let i = 0; i < 11; i++) {
+    results.push(await consumeRateLimit(store, 'k', POLICY, WINDOW_START + 1000));
+  }
+
+  assert.ok(results.slice(0, 10).every(result => result.allowed));
+  assert.equal(results[9].remaining, 0);
+  assert.equal(results[10].allowed, false);
+  assert.ok(results[10].retryAfter >= 1);
+});
+
+test('consumeRateLimit weighs the previous window by its remaining overlap', async () => {
+  const store = new MemoryStore();
+  for (let i = 0; i < 10; i++) {
+    await consumeRateLimit(store, 'k', POLICY, WINDOW_START + 59000);
+  }
+
+  // A quarter into the next window, 75% of the previous 10 requests still count
+  const result = await consumeRateLimit(store, 'k', POLICY, WINDOW_START + 60000 + 15000);
+
+  assert.equal(result.allowed, true);
+  assert.equal(result.remaining, 1);
+});
+
+test('applyRateLimit sets headers and sends a 429 once the limit is used up', async () => {
+  const limit = RATE_LIMIT_POLICIES.register.limit;
+  const req = createRequest({ method: 'POST', headers: { 'x-forwarded-for': '198.51.100.7, 10.0.0.1' } });
+  let res;
+
+  for (let i = 0; i <= limit; i++) {
+    res = createResponse();
+    if (await applyRateLimit(req, res, 'register')) {
+      break;
+    }
+  }
+
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, ERROR_CODES.RATE_LIMIT_EXCEEDED);
+  assert.equal(res.headers['ratelimit-limit'], String(limit));
+  assert.equal(res.headers['ratelimit-remaining'], '0');
+  assert.ok(Number(res.headers['retry-after']) >= 1);
+});
+
+test('site policies count signed writes per site, not per IP', async () => {
+  const req = createRequest({ method: 'POST', headers: { 'x-forwarded-for': '198.51.100.8' } });
+  const limit = RATE_LIMIT_POLICIES.deregister.limit;
+
+  for (let i = 0; i < limit; i++) {
+    await applyRateLimit(req, createResponse(), 'deregister', 'https://first.example');
+  }
+
+  const res = createResponse();
+  assert.equal(await applyRateLimit(req, res, 'deregister', 'https://second.example'), false);
+  assert.equal(res.headers['ratelimit-remaining'], String(limit - 1));
+});
+
+test('applyRateLimit fails open when the store is unreachable', async (t) => {
+  t.mock.method(MemoryStore.prototype, 'increment', async () => {
+    throw new Error('connect ECONNREFUSED');
+  });
+  const res = createResponse();
+
+  assert.equal(await applyRateLimit(createRequest({ headers: { 'x-forwarded-for': '198.51.100.9' } }), res, 'books'), false);
+  assert.equal(res.headers['ratelimit-limit'], undefined);
+});
@@ -0,0 +1,127 @@
+/**
+ * Catalog reconciliation helpers
+ * Compares the books listed for a site with the post IDs the plugin publishes
+ * and soft-deletes the ones the site no longer has (see /api/bookshelf/reconcile)
+ *
+ * The plugin's list is a snapshot taken at generated_at. Books synced after
+ * that moment may be missing from it only because they are newer, so they are
+ * never pruned by it; the next reconcile decides about them.
+ */
+
+import supabase from './supabase.js';
+import { DatabaseError } from './errors.js';
+
+/**
+ * Rows fetched per request (PostgREST returns at most 1000 rows per select)
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Book IDs per soft-delete request, keeps the filter inside URL length limits
+ */
+const PRUNE_CHUNK_SIZE = 200;
+
+/**
+ * Load every listed (not soft-deleted) book of a site, page by page
+ *
+ * @param {string} siteUrl - Site URL
+ * @returns {Promise<Array<{id: number, book_post_id: number, title: string, synced_at: string}>>}
+ */
+export async function fetchListedBooks(siteUrl) {
+  const books = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('bookshelf_books')
+      .select('id, book_post_id, title, synced_at')
+      .eq('site_url', siteUrl)
+      .is('deleted_at', null)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new DatabaseError(error, 'Reconcile fetch');
+    }
+
+    books.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return books;
+    }
+  }
+}
+
+/**
+ * Latest synced_at a book may have and still be pruned
+ * A generated_at in the future (plugin clock ahead) counts as now.
+ *
+ * @param {string} generatedAt - ISO timestamp the plugin built its list at
+ * @returns {string} ISO timestamp
+ */
+export function getPruneCutoff(generatedAt) {
+  return new Date(Math.min(new Date(generatedAt).getTime(), Date.now())).toISOString();
+}
+
+/**
+ * Compare the listed books with the published post IDs
+ *
+ * @param {Array<Object>} books - Listed books (see fetchListedBooks)
+ * @param {Array<number>} postIds - Post IDs the site publishes
+ * @param {string} cutoff - Prune cutoff (see getPruneCutoff)
+ * @returns {{added: Array<number>, kept: Array<number>, pruned: Array<Object>, skipped: Array<number>}}
+ *   skipped holds unpublished books synced after the cutoff
+ */
+export function buildReconcileReport(books, postIds, cutoff) {
+  const publishedIds = new Set(postIds);
+  const listedIds = new Set(books.map(book => Number(book.book_post_id)));
+  const cutoffMs = new Date(cutoff).getTime();
+  const unpublished = books.filter(book => !publishedIds.has(Number(book.book_post_id)));
+
+  return {
+    added: [...publishedIds].filter(id => !listedIds.has(id)),
+    kept: [...publishedIds].filter(id => listedIds.has(id)),
+    pruned: unpublished
+      .filter(book => new Date(book.synced_at).getTime() < cutoffMs)
+      .map(book => ({
+        book_post_id: Number(book.book_post_id),
+        book_id: book.id,
+        title: book.title
+      })),
+    skipped: unpublished
+      .filter(book => new Date(book.synced_at).getTime() >= cutoffMs)
+      .map(book => Number(book.book_post_id))
+  };
+}
+
+/**
+ * Soft-delete books of a site
+ * A book synced after the cutoff in the meantime is left alone.
+ *
+ * @param {string} siteUrl - Site URL
+ * @param {Array<number>} bookIds - bookshelf_books IDs
+ * @param {string} cutoff - Prune cutoff (see getPruneCutoff)
+ * @param {string} deletedAt - ISO timestamp stored in deleted_at
+ * @returns {Promise<Set<number>>} IDs actually soft-deleted
+ */
+export async function pruneBooks(siteUrl, bookIds, cutoff, deletedAt) {
+  const pruned = new Set();
+
+  for (let i = 0; i < bookIds.length; i += PRUNE_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('bookshelf_books')
+      .update({ deleted_at: deletedAt })
+      .eq('site_url', siteUrl)
+      .in('id', bookIds.slice(i, i + PRUNE_CHUNK_SIZE))
+      .is('deleted_at', null)
+      .lt('synced_at', cutoff)
+      .select('id');
+
+    if (error) {
+      throw new DatabaseError(error, 'Reconcile soft-delete');
+    }
+
+    data.forEach(row => pruned.add(row.id));
+  }
+
+  return pruned;
+}
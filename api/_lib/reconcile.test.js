@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubSupabase } from '../../test/supabase-stub.js';
+import { createResponse, createSignedRequest } from '../../test/http-stub.js';
+import {
+  fetchListedBooks,
+  getPruneCutoff,
+  buildReconcileReport,
+  pruneBooks
+} from './reconcile.js';
+import reconcileHandler from '../bookshelf/reconcile.js';
+
+const SITE = 'https://author.example';
+const GENERATED_AT = '2026-02-22T12:00:00.000Z';
+const BEFORE = '2026-02-22T11:00:00.000Z';
+const AFTER = '2026-02-22T12:30:00.000Z';
+const SECRET = 'a'.repeat(64);
+
+test('fetchListedBooks pages past the 1000-row limit and skips soft-deleted books', async (t) => {
+  const rows = Array.from({ length: 2500 }, (_, i) => ({ id: i + 1, book_post_id: i, title: `Book ${i}`, synced_at: BEFORE }));
+  const queries = stubSupabase(t, (query) => {
+    const [from, to] = query.args('range');
+    return { data: rows.slice(from, to + 1) };
+  });
+
+  const books = await fetchListedBooks(SITE);
+
+  assert.equal(books.length, 2500);
+  assert.deepEqual(queries.map(query => query.args('range')), [[0, 999], [1000, 1999], [2000, 2999]]);
+  assert.deepEqual(queries[0].args('is'), ['deleted_at', null]);
+  assert.deepEqual(queries[0].args('eq'), ['site_url', SITE]);
+});
+
+test('fetchListedBooks stops after an exactly full last page', async (t) => {
+  const queries = stubSupabase(t, query => ({
+    data: query.args('range')[0] === 0 ? Array.from({ length: 1000 }, (_, i) => ({ id: i })) : []
+  }));
+
+  assert.equal((await fetchListedBooks(SITE)).length, 1000);
+  assert.equal(queries.length, 2);
+});
+
+test('getPruneCutoff never lies in the future', () => {
+  assert.equal(getPruneCutoff(GENERATED_AT), GENERATED_AT);
+
+  const future = new Date(Date.now() + 3600000).toISOString();
+  assert.ok(getPruneCutoff(future) <= new Date().toISOString());
+});
+
+test('buildReconcileReport prunes only unpublished books synced before the cutoff', () => {
+  const books = [
+    { id: 1, book_post_id: 42, title: 'Kept', synced_at: BEFORE },
+    { id: 2, book_post_id: 12, title: 'Gone', synced_at: BEFORE },
+    { id: 3, book_post_id: 61, title: 'New', synced_at: AFTER }
+  ];
+
+  assert.deepEqual(buildReconcileReport(books, [42, 57], GENERATED_AT), {
+    added: [57],
+    kept: [42],
+    pruned: [{ book_post_id: 12, book_id: 2, title: 'Gone' }],
+    skipped: [61]
+  });
+});
+
+test('pruneBooks soft-deletes in chunks and returns the IDs actually deleted', async (t) => {
+  const ids = Array.from({ length: 450 }, (_, i) => i + 1);
+  const queries = stubSupabase(t, query => ({
+    data: query.args('in')[1].filter(id => id !== 7).map(id => ({ id }))
+  }));
+
+  const pruned = await pruneBooks(SITE, ids, GENERATED_AT, AFTER);
+
+  assert.equal(queries.length, 3);
+  assert.ok(queries.every(query => !query.has('delete')));
+  assert.deepEqual(queries[0].args('update'), [{ deleted_at: AFTER }]);
+  assert.deepEqual(queries[0].args('lt'), ['synced_at', GENERATED_AT]);
+  assert.deepEqual(queries[0].args('is'), ['deleted_at', null]);
+  assert.equal(pruned.size, 449);
+  assert.equal(pruned.has(7), false);
+});
+
+test('pruneBooks surfaces database errors', async (t) => {
+  stubSupabase(t, () => ({ error: { code: '57014', message: 'canceling statement due to statement timeout' } }));
+  await assert.rejects(pruneBooks(SITE, [1], GENERATED_AT, AFTER), { name: 'DatabaseError' });
+});
+
+test('the reconcile endpoint prunes a whole catalog only with allow_empty', async (t) => {
+  const queries = stubSupabase(t, (query) => {
+    if (query.table === 'bookshelf_site_secrets') {
+      return { data: { secret: SECRET } };
+    }
+    if (query.has('update')) {
+      return { data: [{ id: 1 }] };
+    }
+    return { data: query.has('range') && query.args('range')[0] === 0 ? [{ id: 1, book_post_id: 42, title: 'Gone', synced_at: BEFORE }] : [] };
+  });
+  const reconcile = async (extra) => {
+    const res = createResponse();
+    await reconcileHandler(createSignedRequest({
+      body: { site_url: SITE, book_post_ids: [], generated_at: GENERATED_AT, ...extra },
+      secret: SECRET
+    }), res);
+    return res;
+  };
+
+  const rejected = await reconcile({});
+  assert.equal(rejected.statusCode, 400);
+  assert.match(rejected.body.errors.book_post_ids, /allow_empty/);
+  assert.ok(!queries.some(query => query.table === 'bookshelf_books'));
+
+  const allowed = await reconcile({ allow_empty: true });
+  assert.equal(allowed.statusCode, 200);
+  assert.deepEqual(allowed.body.report.pruned, [{ book_post_id: 42, book_id: 1, title: 'Gone' }]);
+});
@@ -0,0 +1,216 @@
+/**
+ * Minimal Redis client
+ * Speaks the Redis protocol (RESP2) over TCP or TLS, without dependencies
+ *
+ * Works with Redis, Valkey, KeyDB and hosted Redis (Upstash, Redis Cloud, ...).
+ * Connect with a URL: redis://[user:password@]host:port[/db], or rediss:// for TLS.
+ *
+ * Commands sent while earlier ones are in flight are pipelined on the same
+ * connection; replies arrive in order. A broken or timed-out connection is
+ * dropped and reopened on the next command.
+ */
+
+import net from 'net';
+import tls from 'tls';
+
+/**
+ * How long a command may wait for its reply
+ */
+const COMMAND_TIMEOUT_MS = 1000;
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @returns {{value: *, offset: number}|null} null if the reply is incomplete
+ */
+export function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+}
+
+/**
+ * Redis connection
+ */
+export class RedisClient {
+  /**
+   * @param {string} url - redis:// or rediss:// connection URL
+   */
+  constructor(url) {
+    this.url = new URL(url);
+    if (this.url.protocol !== 'redis:' && this.url.protocol !== 'rediss:') {
+      throw new Error('Redis URL must start with redis:// or rediss://');
+    }
+    this.socket = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Open the connection and send AUTH / SELECT from the URL
+   */
+  connect() {
+    const { hostname, port, protocol, username, password, pathname } = this.url;
+    const options = { host: hostname, port: Number(port) || 6379 };
+
+    const socket = protocol === 'rediss:'
+      ? tls.connect({ ...options, servername: hostname })
+      : net.connect(options);
+    this.socket = socket;
+
+    // Do not keep local scripts alive just for an idle connection
+    socket.unref();
+    socket.setKeepAlive(true);
+
+    // Events from a connection that was already dropped are ignored
+    socket.on('data', chunk => this.socket === socket && this.onData(chunk));
+    socket.on('error', error => this.socket === socket && this.reset(error));
+    socket.on('close', () => this.socket === socket && this.reset(new Error('Redis connection closed')));
+
+    // A failed AUTH or SELECT drops the connection, failing the commands behind it
+    if (password) {
+      const auth = username
+        ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)]
+        : ['AUTH', decodeURIComponent(password)];
+      this.send(auth, true).catch(() => {});
+    }
+
+    const db = Number(pathname.slice(1));
+    if (db) {
+      this.send(['SELECT', db], true).catch(() => {});
+    }
+  }
+
+  /**
+   * Resolve pending commands with the replies received so far
+   */
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let offset = 0;
+    let reply;
+    try {
+      while (offset < this.buffer.length && (reply = parseReply(this.buffer, offset))) {
+        offset = reply.offset;
+        const command = this.pending.shift();
+        if (command) {
+          clearTimeout(command.timer);
+          if (reply.value instanceof Error) {
+            command.reject(reply.value);
+            if (command.setup) {
+              this.reset(reply.value);
+              return;
+            }
+          } else {
+            command.resolve(reply.value);
+          }
+        }
+      }
+    } catch (error) {
+      this.reset(error);
+      return;
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  /**
+   * Drop the connection and fail every pending command
+   */
+  reset(error) {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.buffer = Buffer.alloc(0);
+
+    const pending = this.pending;
+    this.pending = [];
+    for (const command of pending) {
+      clearTimeout(command.timer);
+      command.reject(error);
+    }
+  }
+
+  /**
+   * Write a command and wait for its reply
+   * A failed setup command (AUTH, SELECT) drops the connection.
+   */
+  send(args, setup = false) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.reset(new Error(`Redis command timed out after ${COMMAND_TIMEOUT_MS}ms`));
+      }, COMMAND_TIMEOUT_MS);
+
+      this.pending.push({ resolve, reject, timer, setup });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Run a command, connecting first if needed
+   *
+   * @param {...(string|number)} args - Command and arguments, e.g. ('INCR', 'key')
+   * @returns {Promise<*>} Reply (string, number, array or null)
+   */
+  command(...args) {
+    if (!this.socket) {
+      this.connect();
+    }
+    return this.send(args);
+  }
+}
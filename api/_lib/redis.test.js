@@ -0,0 +1,234 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { setTimeout as sleep } from 'timers/promises';
+import { parseReply, RedisClient } from './redis.js';
+
+/**
+ * Parse a whole reply from a string
+ */
+function parse(text, offset = 0) {
+  return parseReply(Buffer.from(text), offset);
+}
+
+test('parseReply reads simple, integer, bulk and null replies', () => {
+  assert.deepEqual(parse('+OK\r\n'), { value: 'OK', offset: 5 });
+  assert.deepEqual(parse(':42\r\n'), { value: 42, offset: 5 });
+  assert.deepEqual(parse('$5\r\nh\r\nlo\r\n'), { value: 'h\r\nlo', offset: 11 });
+  assert.deepEqual(parse('$-1\r\n'), { value: null, offset: 5 });
+  assert.deepEqual(parse('$5\r\ncafé\r\n'), { value: 'café', offset: 11 });
+});
+
+test('parseReply reads nested arrays and errors', () => {
+  assert.deepEqual(parse('*3\r\n:1\r\n*1\r\n+a\r\n$-1\r\n'), { value: [1, ['a'], null], offset: 21 });
+  assert.deepEqual(parse('*-1\r\n'), { value: null, offset: 5 });
+
+  const { value } = parse('-WRONGTYPE Operation against a key\r\n');
+  assert.ok(value instanceof Error);
+  assert.equal(value.message, 'WRONGTYPE Operation against a key');
+});
+
+test('parseReply waits for the rest of an incomplete reply', () => {
+  const reply = '*2\r\n$5\r\nhello\r\n:7\r\n';
+
+  for (let end = 0; end < reply.length; end++) {
+    assert.equal(parse(reply.slice(0, end)), null, reply.slice(0, end));
+  }
+  assert.deepEqual(parse(`+first\r\n${reply}`, 8).value, ['hello', 7]);
+});
+
+test('parseReply rejects unknown reply types', () => {
+  assert.throws(() => parse('?what\r\n'), /Unexpected Redis reply type: \?/);
+});
+
+/**
+ * Start a Redis stand-in on a random local port
+ * respond(args) returns the raw reply for each command, or null for none.
+ *
+ * @returns {Promise<{url: string, commands: Array<Array<string>>, connections: number}>}
+ */
+async function startServer(t, respond) {
+  const server = net.createServer();
+  const sockets = new Set();
+  const state = { url: null, commands: [], connections: 0 };
+
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    state.connections++;
+    socket.setNoDelay(true);
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', async (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let command;
+      while ((command = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(command.offset);
+        state.commands.push(command.value);
+        const reply = await respond(command.value, socket);
+        if (reply !== null && !socket.destroyed) {
+          socket.write(reply);
+        }
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  state.url = `redis://127.0.0.1:${server.address().port}`;
+
+  t.after(() => new Promise((resolve) => {
+    sockets.forEach(socket => socket.destroy());
+    server.close(resolve);
+  }));
+
+  return state;
+}
+
+/**
+ * Reply +OK to AUTH and SELECT, and echo other commands' arguments back as an array
+ */
+function echo([name, ...args]) {
+  if (name === 'AUTH' || name === 'SELECT') {
+    return '+OK\r\n';
+  }
+  return `*${args.length}\r\n${args.map(arg => `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`).join('')}`;
+}
+
+test('a command is sent as RESP and its reply returned', async (t) => {
+  const server = await startServer(t, echo);
+  const client = new RedisClient(server.url);
+
+  assert.deepEqual(await client.command('ECHO', 'hello world', 42), ['hello world', '42']);
+  assert.deepEqual(server.commands, [['ECHO', 'hello world', '42']]);
+});
+
+test('replies split across chunks are put back together', async (t) => {
+  const server = await startServer(t, async (args, socket) => {
+    const reply = echo(args);
+    for (const byte of Buffer.from(reply)) {
+      socket.write(Buffer.from([byte]));
+      await sleep(1);
+    }
+    return null;
+  });
+  const client = new RedisClient(server.url);
+  let chunks = 0;
+  const onData = client.onData.bind(client);
+  client.onData = (chunk) => {
+    chunks++;
+    onData(chunk);
+  };
+
+  assert.deepEqual(await client.command('ECHO', 'split', 'reply'), ['split', 'reply']);
+  assert.ok(chunks > 1);
+});
+
+test('pipelined commands share a connection and get their replies in order', async (t) => {
+  const server = await startServer(t, ([name, key]) => (name === 'INCR' ? `:${key.length}\r\n` : '$-1\r\n'));
+  const client = new RedisClient(server.url);
+
+  const replies = await Promise.all([
+    client.command('INCR', 'a'),
+    client.command('GET', 'missing'),
+    client.command('INCR', 'abc')
+  ]);
+
+  assert.deepEqual(replies, [1, null, 3]);
+  assert.equal(server.connections, 1);
+});
+
+test('two replies in one chunk resolve both commands', async (t) => {
+  let held = null;
+  const server = await startServer(t, ([name]) => {
+    if (name === 'FIRST') {
+      held = ':1\r\n';
+      return null;
+    }
+    return `${held}:2\r\n`;
+  });
+  const client = new RedisClient(server.url);
+
+  const first = client.command('FIRST');
+  assert.equal(await client.command('SECOND'), 2);
+  assert.equal(await first, 1);
+});
+
+test('an error reply rejects only its own command', async (t) => {
+  const server = await startServer(t, ([name]) => (name === 'BAD' ? '-ERR unknown command\r\n' : '+PONG\r\n'));
+  const client = new RedisClient(server.url);
+
+  await assert.rejects(client.command('BAD'), { message: 'ERR unknown command' });
+  assert.equal(await client.command('PING'), 'PONG');
+  assert.equal(server.connections, 1);
+});
+
+test('AUTH and SELECT are sent from the URL before the first command', async (t) => {
+  const server = await startServer(t, echo);
+  const client = new RedisClient(server.url.replace('//', '//bookshelf:p%40ss@') + '/2');
+
+  assert.deepEqual(await client.command('ECHO', 'ready'), ['ready']);
+  assert.deepEqual(server.commands, [['AUTH', 'bookshelf', 'p@ss'], ['SELECT', '2'], ['ECHO', 'ready']]);
+});
+
+test('a failed AUTH or SELECT fails the queued commands and drops the connection', async (t) => {
+  const server = await startServer(t, ([name]) => {
+    if (name === 'AUTH') {
+      return '-WRONGPASS invalid username-password pair\r\n';
+    }
+    if (name === 'SELECT') {
+      return '-ERR DB index is out of range\r\n';
+    }
+    return '+PONG\r\n';
+  });
+
+  const badPassword = new RedisClient(server.url.replace('//', '//:wrong@'));
+  await assert.rejects(badPassword.command('PING'), /WRONGPASS/);
+  assert.equal(badPassword.socket, null);
+
+  const badDatabase = new RedisClient(`${server.url}/99`);
+  await assert.rejects(badDatabase.command('PING'), /DB index is out of range/);
+  assert.equal(badDatabase.socket, null);
+});
+
+test('a command without a reply times out and the next one reconnects', async (t) => {
+  // Like a blocked Redis connection, nothing after HANG is answered either
+  const server = await startServer(t, ([name], socket) => {
+    if (name === 'HANG' || socket.hung) {
+      socket.hung = true;
+      return null;
+    }
+    return '+PONG\r\n';
+  });
+  const client = new RedisClient(server.url);
+
+  const started = Date.now();
+  const hanging = client.command('HANG');
+  const queued = client.command('PING');
+  await assert.rejects(hanging, /timed out after 1000ms/);
+  await assert.rejects(queued, /timed out/);
+  assert.ok(Date.now() - started >= 900);
+  assert.equal(client.socket, null);
+
+  assert.equal(await client.command('PING'), 'PONG');
+  assert.equal(server.connections, 2);
+});
+
+test('a closed connection fails pending commands and reconnects on the next one', async (t) => {
+  const server = await startServer(t, ([name], socket) => {
+    if (name === 'QUIT') {
+      socket.destroy();
+      return null;
+    }
+    return '+PONG\r\n';
+  });
+  const client = new RedisClient(server.url);
+
+  await assert.rejects(client.command('QUIT'), /Redis connection closed|ECONNRESET/);
+  assert.equal(await client.command('PING'), 'PONG');
+  assert.equal(server.connections, 2);
+});
+
+test('only redis:// and rediss:// URLs are accepted', () => {
+  assert.throws(() => new RedisClient('http://127.0.0.1:6379'), /must start with redis:\/\/ or rediss:\/\//);
+});
@@ -1,89 +1,444 @@
 /**
  * HTML sanitization utilities
  * Prevents XSS attacks by sanitizing user-provided content
+ *
+ * sanitizeHtml() parses its input with a small HTML tokenizer and rebuilds it
+ * from an allowlist instead of pattern-matching dangerous markup. Changes to it
+ * must keep scripts/check-sanitizer.js (the XSS regression corpus) passing.
+ */
+
+/**
+ * Tags kept by sanitizeHtml (all others are removed, their text is kept)
+ */
+const ALLOWED_TAGS = new Set(['p', 'br', 'strong', 'b', 'em', 'i', 'u', 'ul', 'ol', 'li', 'a']);
+
+/**
+ * Tags without an end tag
+ */
+const VOID_TAGS = new Set(['br']);
+
+/**
+ * Tags removed together with everything inside them
+ * Browsers read the content of the raw text ones as plain text up to the
+ * matching end tag, so they are skipped the same way.
+ */
+const RAW_TEXT_TAGS = new Set([
+  'script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript'
+]);
+const DROP_CONTENT_TAGS = new Set(['template', 'svg', 'math', 'object', 'select']);
+
+/**
+ * Opening one of these closes an open <p>, like browsers do
+ */
+const CLOSES_PARAGRAPH = new Set(['p', 'ul', 'ol']);
+
+/**
+ * Named entities decoded during normalization (numeric entities are always decoded)
  */
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0',
+  colon: ':', sol: '/', lpar: '(', rpar: ')', tab: '\t', newline: '\n',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•',
+  middot: '·', copy: '©', reg: '®', trade: '™', deg: '°',
+  times: '×', divide: '÷', euro: '€', pound: '£', yen: '¥',
+  cent: '¢', sect: '§', para: '¶', iexcl: '¡', iquest: '¿',
+  aacute: 'á', eacute: 'é', iacute: 'í', oacute: 'ó', uacute: 'ú',
+  Aacute: 'Á', Eacute: 'É', Iacute: 'Í', Oacute: 'Ó', Uacute: 'Ú',
+  agrave: 'à', egrave: 'è', ograve: 'ò', acirc: 'â', ecirc: 'ê',
+  ocirc: 'ô', auml: 'ä', euml: 'ë', iuml: 'ï', ouml: 'ö', uuml: 'ü',
+  Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß', ccedil: 'ç',
+  Ccedil: 'Ç', ntilde: 'ñ', Ntilde: 'Ñ', atilde: 'ã', otilde: 'õ',
+  aring: 'å', oslash: 'ø', aelig: 'æ'
+};
 
 /**
- * Sanitize HTML content by removing dangerous tags and attributes
- * Allows only safe formatting tags
+ * Decode HTML entities
+ * Accepts numeric entities without the trailing semicolon, as browsers do.
  *
- * @param {string} html - The HTML string to sanitize
- * @param {boolean} stripAll - If true, strip all HTML tags (default: false)
- * @returns {string} Sanitized HTML string
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
  */
-export function sanitizeHtml(html, stripAll = false) {
-  if (!html || typeof html !== 'string') {
-    return '';
+export function decodeEntities(text) {
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);?/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+
+      // NUL, surrogates and out-of-range code points become U+FFFD, like in browsers
+      if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+        return '\uFFFD';
+      }
+      return String.fromCodePoint(code);
+    }
+
+    return match.endsWith(';') && Object.hasOwn(NAMED_ENTITIES, entity)
+      ? NAMED_ENTITIES[entity]
+      : match;
+  });
+}
+
+/**
+ * Encode text for an HTML text node or a double-quoted attribute value
+ */
+function encodeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Check a link target: absolute http(s) URLs only
+ * Browsers ignore tabs and newlines anywhere in a URL and leading control
+ * characters, so those are removed before the scheme is checked.
+ *
+ * @param {string} value - Decoded href value
+ * @returns {string|null} Normalized URL, or null if not allowed
+ */
+function safeLinkUrl(value) {
+  const url = value.replace(/[\t\n\r]/g, '').replace(/^[\u0000- ]+|[\u0000- ]+$/g, '');
+
+  if (!/^https?:\/\//i.test(url)) {
+    return null;
   }
 
-  // If stripAll is true, remove all HTML tags
-  if (stripAll) {
-    return html.replace(/<[^>]*>/g, '');
+  try {
+    return new URL(url).href;
+  } catch {
+    return null;
   }
+}
+
+/**
+ * Split HTML into tokens following the HTML tokenizer rules that matter for
+ * sanitizing: quoted and unquoted attributes, comments, bogus comments and
+ * tags left open at the end of the input (which browsers discard).
+ *
+ * @param {string} html - HTML to tokenize
+ * @returns {Array<Object>} Tokens: { type: 'text'|'start'|'end'|'comment', ... }
+ */
+function tokenize(html) {
+  const tokens = [];
+  const length = html.length;
+  let pos = 0;
+  let text = '';
+
+  const flushText = () => {
+    if (text) {
+      tokens.push({ type: 'text', value: text });
+      text = '';
+    }
+  };
 
-  // Allowed safe tags for basic formatting
-  const allowedTags = ['p', 'br', 'strong', 'b', 'em', 'i', 'u', 'ul', 'ol', 'li', 'a'];
+  while (pos < length) {
+    const char = html[pos];
 
-  // Remove script tags and their content
-  let sanitized = html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
+    if (char !== '<') {
+      text += char;
+      pos++;
+      continue;
+    }
+
+    const next = html[pos + 1] || '';
+
+    // Comment: <!-- ... -->, also ended by --!> and the short forms <!--> and <!--->
+    if (html.startsWith('<!--', pos)) {
+      flushText();
+      let end;
+      if (html.startsWith('>', pos + 4)) {
+        end = pos + 5;
+      } else if (html.startsWith('->', pos + 4)) {
+        end = pos + 6;
+      } else {
+        const close = /--!?>/g;
+        close.lastIndex = pos + 4;
+        const match = close.exec(html);
+        end = match ? match.index + match[0].length : length;
+      }
+      tokens.push({ type: 'comment' });
+      pos = end;
+      continue;
+    }
 
-  // Remove style tags and their content
-  sanitized = sanitized.replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '');
+    const afterSlash = next === '/' ? html[pos + 2] : undefined;
 
-  // Remove event handlers (onclick, onerror, etc.)
-  sanitized = sanitized.replace(/\s*on\w+\s*=\s*["'][^"']*["']/gi, '');
-  sanitized = sanitized.replace(/\s*on\w+\s*=\s*[^\s>]*/gi, '');
+    // "</>" is dropped entirely
+    if (afterSlash === '>') {
+      pos += 3;
+      continue;
+    }
 
-  // Remove javascript: protocol from hrefs
-  sanitized = sanitized.replace(/href\s*=\s*["']javascript:[^"']*["']/gi, 'href="#"');
+    // Bogus comment up to the next ">": <!DOCTYPE ...>, <![CDATA[ ...>, <? ...>, </ + non-letter
+    if (next === '!' || next === '?' || (afterSlash !== undefined && !/[a-zA-Z]/.test(afterSlash))) {
+      flushText();
+      const close = html.indexOf('>', pos);
+      tokens.push({ type: 'comment' });
+      pos = close === -1 ? length : close + 1;
+      continue;
+    }
 
-  // Remove data: protocol (can be used for XSS)
-  sanitized = sanitized.replace(/href\s*=\s*["']data:[^"']*["']/gi, 'href="#"');
-  sanitized = sanitized.replace(/src\s*=\s*["']data:[^"']*["']/gi, '');
+    const isEnd = next === '/';
+    const nameStart = isEnd ? pos + 2 : pos + 1;
 
-  // Remove style attributes
-  sanitized = sanitized.replace(/\s*style\s*=\s*["'][^"']*["']/gi, '');
+    // "<" not followed by a tag name is plain text
+    if (!/[a-zA-Z]/.test(html[nameStart] || '')) {
+      text += char;
+      pos++;
+      continue;
+    }
 
-  // Remove all tags except allowed ones
-  sanitized = sanitized.replace(/<(\/?)([\w]+)([^>]*)>/gi, (match, slash, tag, attrs) => {
-    const lowercaseTag = tag.toLowerCase();
+    flushText();
 
-    // If tag is not allowed, remove it
-    if (!allowedTags.includes(lowercaseTag)) {
-      return '';
+    // Tag name
+    let cursor = nameStart;
+    while (cursor < length && !/[\s/>]/.test(html[cursor])) {
+      cursor++;
     }
+    const name = html.slice(nameStart, cursor).toLowerCase();
+
+    // Attributes
+    const attrs = [];
+    const attrNames = new Set();
+    let closed = false;
+    while (cursor < length) {
+      const c = html[cursor];
+
+      if (c === '>') {
+        closed = true;
+        cursor++;
+        break;
+      }
+
+      if (/[\s/]/.test(c)) {
+        cursor++;
+        continue;
+      }
+
+      // Attribute name (a leading "=" is part of the name)
+      const attrStart = cursor;
+      cursor++;
+      while (cursor < length && !/[\s/>=]/.test(html[cursor])) {
+        cursor++;
+      }
+      const attrName = html.slice(attrStart, cursor).toLowerCase();
+
+      while (cursor < length && /\s/.test(html[cursor])) {
+        cursor++;
+      }
 
-    // For allowed tags, keep only safe attributes
-    if (lowercaseTag === 'a') {
-      // For anchor tags, keep only href and title
-      const hrefMatch = attrs.match(/href\s*=\s*["']([^"']*)["']/i);
-      const titleMatch = attrs.match(/title\s*=\s*["']([^"']*)["']/i);
+      let value = '';
+      if (html[cursor] === '=') {
+        cursor++;
+        while (cursor < length && /\s/.test(html[cursor])) {
+          cursor++;
+        }
 
-      let safeAttrs = '';
-      if (hrefMatch && hrefMatch[1]) {
-        // Only allow http/https URLs
-        const url = hrefMatch[1];
-        if (url.match(/^(https?:\/\/|\/)/i)) {
-          safeAttrs += ` href="${url}"`;
+        const quote = html[cursor];
+        if (quote === '"' || quote === "'") {
+          const close = html.indexOf(quote, cursor + 1);
+          if (close === -1) {
+            cursor = length;
+            break;
+          }
+          value = html.slice(cursor + 1, close);
+          cursor = close + 1;
+        } else {
+          const valueStart = cursor;
+          while (cursor < length && !/[\s>]/.test(html[cursor])) {
+            cursor++;
+          }
+          value = html.slice(valueStart, cursor);
         }
       }
-      if (titleMatch && titleMatch[1]) {
-        safeAttrs += ` title="${titleMatch[1]}"`;
+
+      // Browsers keep the first occurrence of a duplicated attribute
+      if (!attrNames.has(attrName)) {
+        attrNames.add(attrName);
+        attrs.push({ name: attrName, value: decodeEntities(value) });
+      }
+    }
+
+    // A tag still open at the end of the input is discarded by browsers
+    if (!closed) {
+      tokens.push({ type: 'comment' });
+      break;
+    }
+
+    tokens.push(isEnd ? { type: 'end', name } : { type: 'start', name, attrs });
+    pos = cursor;
+
+    // Skip raw text content up to the matching end tag
+    if (!isEnd && RAW_TEXT_TAGS.has(name)) {
+      const match = new RegExp(`</${name}[\\s/>]`, 'i').exec(html.slice(pos));
+      if (!match) {
+        pos = length;
+        break;
       }
+      tokens.push({ type: 'comment' });
+      pos += match.index;
+    }
+  }
+
+  flushText();
+  return tokens;
+}
+
+/**
+ * Sanitize HTML and report how much was removed
+ *
+ * The input is tokenized and rebuilt from an allowlist: only ALLOWED_TAGS are
+ * kept, without attributes except href and title on links. Links must be
+ * absolute http(s) URLs and get rel="noopener noreferrer" and target="_blank".
+ * Text is entity-decoded and re-encoded, and the output is always well-formed
+ * (unmatched end tags dropped, open tags closed).
+ *
+ * @param {string} html - The HTML string to sanitize
+ * @param {boolean} stripAll - If true, keep only the text
+ * @returns {{html: string, removed: number}} Sanitized HTML and the number of removed tags, attributes and comments
+ */
+export function sanitizeHtmlWithReport(html, stripAll = false) {
+  if (!html || typeof html !== 'string') {
+    return { html: '', removed: 0 };
+  }
+
+  const output = [];
+  const open = [];
+  let removed = 0;
+  let dropDepth = 0;
+  let dropTag = null;
+
+  // Stack positions of the open elements by tag name, so finding the last
+  // open element of a name does not scan the stack (keeps deep nesting linear)
+  const openAt = new Map();
+
+  const lastOpen = (name) => {
+    const positions = openAt.get(name);
+    return positions && positions.length > 0 ? positions[positions.length - 1] : -1;
+  };
 
-      // Add rel="noopener noreferrer" for security
-      if (safeAttrs) {
-        safeAttrs += ' rel="noopener noreferrer" target="_blank"';
+  const pushOpen = (name) => {
+    if (!openAt.has(name)) {
+      openAt.set(name, []);
+    }
+    openAt.get(name).push(open.length);
+    open.push(name);
+  };
+
+  const popOpen = () => {
+    const name = open.pop();
+    openAt.get(name).pop();
+    return name;
+  };
+
+  const closeUntil = (name) => {
+    const index = lastOpen(name);
+    if (index === -1) {
+      return false;
+    }
+    while (open.length > index) {
+      output.push(`</${popOpen()}>`);
+    }
+    return true;
+  };
+
+  for (const token of tokenize(html)) {
+    // Inside an element dropped with its content
+    if (dropTag) {
+      if (token.type === 'start' && token.name === dropTag) {
+        dropDepth++;
+      } else if (token.type === 'end' && token.name === dropTag && --dropDepth === 0) {
+        dropTag = null;
       }
+      continue;
+    }
 
-      return `<${slash}${lowercaseTag}${safeAttrs}>`;
+    if (token.type === 'text') {
+      output.push(encodeHtml(decodeEntities(token.value)));
+      continue;
     }
 
-    // For other allowed tags, remove all attributes
-    return `<${slash}${lowercaseTag}>`;
-  });
+    if (token.type === 'comment') {
+      removed++;
+      continue;
+    }
+
+    if (stripAll || !ALLOWED_TAGS.has(token.name)) {
+      removed++;
+      if (token.type === 'start' && DROP_CONTENT_TAGS.has(token.name)) {
+        dropTag = token.name;
+        dropDepth = 1;
+      }
+      continue;
+    }
+
+    if (token.type === 'end') {
+      if (VOID_TAGS.has(token.name) || !closeUntil(token.name)) {
+        removed++;
+      }
+      continue;
+    }
+
+    // Mirror the browser's implicit end tags so nesting cannot be abused
+    if (token.name === 'a') {
+      closeUntil('a');
+    } else if (token.name === 'li') {
+      const li = lastOpen('li');
+      if (li !== -1 && li > Math.max(lastOpen('ul'), lastOpen('ol'))) {
+        closeUntil('li');
+      }
+    } else if (CLOSES_PARAGRAPH.has(token.name)) {
+      closeUntil('p');
+    }
+
+    let attrs = '';
+    if (token.name === 'a') {
+      const href = token.attrs.find(attr => attr.name === 'href');
+      const title = token.attrs.find(attr => attr.name === 'title');
+      const url = href ? safeLinkUrl(href.value) : null;
+
+      if (url) {
+        attrs += ` href="${encodeHtml(url)}"`;
+      }
+      if (title && title.value) {
+        attrs += ` title="${encodeHtml(title.value)}"`;
+      }
+      if (url) {
+        attrs += ' rel="noopener noreferrer" target="_blank"';
+      }
+
+      removed += token.attrs.length - (url ? 1 : 0) - (title && title.value ? 1 : 0);
+    } else {
+      removed += token.attrs.length;
+    }
+
+    output.push(`<${token.name}${attrs}>`);
+
+    if (!VOID_TAGS.has(token.name)) {
+      pushOpen(token.name);
+    }
+  }
+
+  // Close whatever is still open
+  while (open.length > 0) {
+    output.push(`</${popOpen()}>`);
+  }
+
+  return { html: output.join('').trim(), removed };
+}
 
-  return sanitized.trim();
+/**
+ * Sanitize HTML content, keeping only safe formatting tags
+ * See sanitizeHtmlWithReport() for the rules.
+ *
+ * @param {string} html - The HTML string to sanitize
+ * @param {boolean} stripAll - If true, strip all HTML tags (default: false)
+ * @returns {string} Sanitized HTML string
+ */
+export function sanitizeHtml(html, stripAll = false) {
+  return sanitizeHtmlWithReport(html, stripAll).html;
 }
 
 /**
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decodeEntities,
+  sanitizeHtml,
+  sanitizeHtmlWithReport,
+  sanitizeUrl,
+  truncateText
+} from './sanitize.js';
+
+test('sanitizeHtml keeps allowed tags and drops the rest with their attributes', () => {
+  assert.equal(
+    sanitizeHtml('<p class="x" onclick="alert(1)"><span>Hi</span> <b>there</b><img src=x onerror=alert(1)></p>'),
+    '<p>Hi <b>there</b></p>'
+  );
+});
+
+test('sanitizeHtml keeps only safe links and hardens them', () => {
+  assert.equal(
+    sanitizeHtml('<a href=" java\tscript:alert(1)">x</a><a href="https://shop.example/b" onclick="y()">Buy</a>'),
+    '<a>x</a><a href="https://shop.example/b" rel="noopener noreferrer" target="_blank">Buy</a>'
+  );
+});
+
+test('sanitizeHtml always returns well-formed markup', () => {
+  assert.equal(sanitizeHtml('</em><p>One<p>Two<ul><li>A<li>B'), '<p>One</p><p>Two</p><ul><li>A</li><li>B</li></ul>');
+  assert.equal(sanitizeHtml('<b><i>x</b>y</i>'), '<b><i>x</i></b>y');
+});
+
+test('sanitizeHtml drops script, style and comment content', () => {
+  assert.equal(sanitizeHtml('a<script>alert("</p>")</script>b<!-- <p>c</p> -->d<style>p{}</style>'), 'abd');
+});
+
+test('sanitizeHtmlWithReport counts what it removed', () => {
+  assert.deepEqual(sanitizeHtmlWithReport('<p style="x">Hi</p><!-- note --><span>!</span>'), {
+    html: '<p>Hi</p>!',
+    removed: 4
+  });
+  assert.deepEqual(sanitizeHtmlWithReport('Tom &amp; Jerry'), { html: 'Tom &amp; Jerry', removed: 0 });
+});
+
+test('sanitizeHtml with stripAll keeps only the text', () => {
+  assert.equal(sanitizeHtml('<p><b>Bold</b> &lt;tag&gt;</p>', true), 'Bold &lt;tag&gt;');
+});
+
+test('sanitizeHtml stays linear on deeply nested and unmatched tags', () => {
+  const inputs = [
+    '<b>'.repeat(30000) + '</i>'.repeat(30000),
+    '<b>'.repeat(30000) + '<li>'.repeat(30000),
+    `<p ${Array.from({ length: 30000 }, (_, i) => `a${i}=1`).join(' ')}>`
+  ];
+
+  for (const html of inputs) {
+    const startedAt = Date.now();
+    sanitizeHtml(html);
+    assert.ok(Date.now() - startedAt < 1500, `took ${Date.now() - startedAt} ms`);
+  }
+});
+
+test('decodeEntities decodes named and numeric entities', () => {
+  assert.equal(decodeEntities('&amp;&eacute;&#233;&#xE9;&#58'), '&ééé:');
+});
+
+test('sanitizeUrl accepts only http(s) URLs', () => {
+  assert.equal(sanitizeUrl(' https://author.example/a '), 'https://author.example/a');
+  assert.equal(sanitizeUrl('javascript:alert(1)'), '');
+  assert.equal(sanitizeUrl('//author.example'), '');
+  assert.equal(sanitizeUrl(null), '');
+});
+
+test('truncateText cuts long text and adds an ellipsis', () => {
+  assert.equal(truncateText('Hello world', 5), 'Hello...');
+  assert.equal(truncateText('Hello', 5), 'Hello');
+  assert.equal(truncateText(undefined), '');
+});
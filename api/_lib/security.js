@@ -2,31 +2,25 @@
  * Security utilities for Bookshelf API endpoints
  */
 
-// In-memory rate limiting (simple implementation for serverless)
-const rateLimitStore = new Map();
+import crypto from 'crypto';
+import config from './config.js';
+import { getCorsHeaders } from './cors.js';
 
 /**
- * Set CORS headers
- * Allows requests from authorkit.pro and any WordPress site
+ * Set CORS headers for a route
+ * Origins not on the route's allowlist get no Access-Control-Allow-Origin
+ * header, so browsers block the response (see api/_lib/cors.js).
+ *
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {{access: string, methods: Array<string>}} route - Access level (CORS_ACCESS) and supported methods
  */
-export function setCorsHeaders(req, res) {
-  const origin = req.headers.origin;
+export function setCorsHeaders(req, res, route) {
+  const headers = getCorsHeaders(req.headers.origin, route);
 
-  // Allow requests from authorkit.pro domain and WordPress sites
-  if (origin && (
-    origin.includes('authorkit.pro') ||
-    origin.includes('localhost') ||
-    req.headers['user-agent']?.includes('WordPress')
-  )) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else {
-    // Default: allow all (since bookshelf is a public catalog)
-    res.setHeader('Access-Control-Allow-Origin', '*');
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value);
   }
-
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
 }
 
 /**
@@ -40,35 +34,38 @@ export function setSecurityHeaders(res) {
 }
 
 /**
- * Simple rate limiting
- * @param {string} identifier - IP address or other unique identifier
- * @param {number} maxRequests - Maximum requests allowed
- * @param {number} windowMs - Time window in milliseconds
- * @returns {{allowed: boolean, retryAfter: number}}
+ * Check that a request comes from the Vercel cron scheduler
+ * Vercel sends "Authorization: Bearer <CRON_SECRET>" when CRON_SECRET is set.
+ * Without CRON_SECRET configured, every request is rejected.
+ *
+ * @returns {boolean}
  */
-export function rateLimit(identifier, maxRequests, windowMs) {
-  const now = Date.now();
-  const key = `${identifier}:${Math.floor(now / windowMs)}`;
-
-  let requestCount = rateLimitStore.get(key) || 0;
-  requestCount++;
+export function isAuthorizedCronRequest(req) {
+  return hasBearerToken(req, config.cron.secret);
+}
 
-  rateLimitStore.set(key, requestCount);
+/**
+ * Check that a request carries the admin token
+ * Admin endpoints expect "Authorization: Bearer <BOOKSHELF_ADMIN_TOKEN>".
+ * Without BOOKSHELF_ADMIN_TOKEN configured, every request is rejected.
+ *
+ * @returns {boolean}
+ */
+export function isAuthorizedAdminRequest(req) {
+  return hasBearerToken(req, config.admin.token);
+}
 
-  // Clean up old entries (prevent memory leak)
-  if (rateLimitStore.size > 10000) {
-    const oldestKey = rateLimitStore.keys().next().value;
-    rateLimitStore.delete(oldestKey);
+/**
+ * Compare the Authorization header with "Bearer <token>" in constant time
+ */
+function hasBearerToken(req, token) {
+  if (!token || typeof req.headers.authorization !== 'string') {
+    return false;
   }
 
-  const allowed = requestCount <= maxRequests;
-  const retryAfter = allowed ? 0 : Math.ceil(windowMs / 1000);
-
-  return {
-    allowed,
-    retryAfter,
-    remaining: Math.max(0, maxRequests - requestCount)
-  };
+  const expected = crypto.createHash('sha256').update(`Bearer ${token}`).digest();
+  const actual = crypto.createHash('sha256').update(req.headers.authorization).digest();
+  return crypto.timingSafeEqual(expected, actual);
 }
 
 /**
@@ -80,78 +77,3 @@ export function getClientIp(req) {
          req.connection?.remoteAddress ||
          'unknown';
 }
-
-/**
- * Validate input data
- */
-export function validateInput(data, schema) {
-  const errors = [];
-  const sanitized = {};
-
-  for (const [field, rules] of Object.entries(schema)) {
-    const value = data[field];
-
-    // Check required
-    if (rules.required && (value === undefined || value === null || value === '')) {
-      errors.push(`${field} is required`);
-      continue;
-    }
-
-    // If not required and no value, skip
-    if (!rules.required && (value === undefined || value === null || value === '')) {
-      continue;
-    }
-
-    // Type validation
-    if (rules.type) {
-      switch (rules.type) {
-        case 'string':
-          if (typeof value !== 'string') {
-            errors.push(`${field} must be a string`);
-            continue;
-          }
-          break;
-        case 'number':
-          if (typeof value !== 'number' && isNaN(Number(value))) {
-            errors.push(`${field} must be a number`);
-            continue;
-          }
-          sanitized[field] = Number(value);
-          continue;
-        case 'boolean':
-          if (typeof value !== 'boolean') {
-            errors.push(`${field} must be a boolean`);
-            continue;
-          }
-          break;
-        case 'array':
-          if (!Array.isArray(value)) {
-            errors.push(`${field} must be an array`);
-            continue;
-          }
-          break;
-      }
-    }
-
-    // Length validation for strings
-    if (typeof value === 'string') {
-      if (rules.minLength && value.length < rules.minLength) {
-        errors.push(`${field} must be at least ${rules.minLength} characters`);
-      }
-      if (rules.maxLength && value.length > rules.maxLength) {
-        errors.push(`${field} must be at most ${rules.maxLength} characters`);
-      }
-
-      // Trim whitespace
-      sanitized[field] = value.trim();
-    } else {
-      sanitized[field] = value;
-    }
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors,
-    data: sanitized
-  };
-}
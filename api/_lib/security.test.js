@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequest } from '../../test/http-stub.js';
+import { isAuthorizedCronRequest, isAuthorizedAdminRequest } from './security.js';
+
+test('cron requests need the CRON_SECRET bearer token', () => {
+  assert.equal(isAuthorizedCronRequest(createRequest({ headers: { authorization: 'Bearer test-cron-secret' } })), true);
+  assert.equal(isAuthorizedCronRequest(createRequest({ headers: { authorization: 'Bearer wrong' } })), false);
+  assert.equal(isAuthorizedCronRequest(createRequest({ headers: { authorization: 'test-cron-secret' } })), false);
+  assert.equal(isAuthorizedCronRequest(createRequest()), false);
+});
+
+test('the cron secret does not open admin endpoints', () => {
+  assert.equal(isAuthorizedAdminRequest(createRequest({ headers: { authorization: 'Bearer test-cron-secret' } })), false);
+  assert.equal(isAuthorizedAdminRequest(createRequest({
+    headers: { authorization: `Bearer ${process.env.BOOKSHELF_ADMIN_TOKEN}` }
+  })), true);
+});
@@ -0,0 +1,414 @@
+/**
+ * Request signing utilities
+ * Verifies HMAC signatures on write requests sent by the WordPress plugin
+ *
+ * Every site receives a signing secret from /api/bookshelf/register. The plugin
+ * signs each write request and sends the result in the X-Bookshelf-Signature header:
+ *
+ *   X-Bookshelf-Signature: t=1700000000,v1=<hex HMAC-SHA256>
+ *
+ * The signed string is "<t>.<raw JSON body>", the body bytes exactly as sent
+ * (handler.js keeps them in req.rawBody). Requests older than the tolerance
+ * window are rejected, and each signature is accepted only once (replay protection).
+ *
+ * /register is unauthenticated, so it never hands out an active secret: it
+ * issues a secret claim, a pending secret tied to a new verification token,
+ * which /api/bookshelf/verify activates once the token is published on the
+ * site. Only the plugin that received the claim can sign that verify request,
+ * so publishing the token does not leak the secret, and registering someone
+ * else's site does not lock its owner out.
+ */
+
+import crypto from 'crypto';
+import supabase from './supabase.js';
+import { unauthorizedError, ERROR_CODES, DatabaseError } from './errors.js';
+
+/**
+ * Header carrying the request signature (lowercase, as exposed by Node)
+ */
+export const SIGNATURE_HEADER = 'x-bookshelf-signature';
+
+/**
+ * Maximum age of a signed request, in seconds
+ */
+const SIGNATURE_TOLERANCE_SECONDS = 300; // 5 minutes
+
+/**
+ * How long the previous secret keeps working after a rotation
+ */
+const PREVIOUS_SECRET_GRACE_MS = 900000; // 15 minutes
+
+/**
+ * How long a secret claim can be activated
+ */
+export const SECRET_CLAIM_TTL_MS = 86400000; // 24 hours
+
+/**
+ * Generate a new per-site signing secret
+ * @returns {string} 64-character hex secret
+ */
+export function generateSigningSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash a signing secret for storage outside the secret tables
+ * @param {string} secret - Signing secret
+ * @returns {string} Hex SHA-256 of the secret
+ */
+export function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Get the request body exactly as it should have been signed
+ * Falls back to re-serializing the parsed body when the raw body is not
+ * available, which only matches bodies the plugin sent in compact form
+ *
+ * @param {Object} req - Request object
+ * @returns {string}
+ */
+export function getRawBody(req) {
+  if (typeof req.rawBody === 'string') {
+    return req.rawBody;
+  }
+
+  if (Buffer.isBuffer(req.rawBody)) {
+    return req.rawBody.toString('utf8');
+  }
+
+  if (typeof req.body === 'string') {
+    return req.body;
+  }
+
+  if (Buffer.isBuffer(req.body)) {
+    return req.body.toString('utf8');
+  }
+
+  return JSON.stringify(req.body ?? {});
+}
+
+/**
+ * Compute the HMAC signature for a timestamp and body
+ *
+ * @param {string} secret - Site signing secret
+ * @param {number|string} timestamp - Unix timestamp in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} Hex digest
+ */
+export function computeSignature(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Parse the signature header into its timestamp and signatures
+ *
+ * @param {string} header - Raw header value ("t=...,v1=...")
+ * @returns {{timestamp: number, signatures: Array<string>}|null}
+ */
+export function parseSignatureHeader(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  let timestamp = null;
+  const signatures = [];
+
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=');
+
+    if (key === 't') {
+      timestamp = parseInt(value, 10);
+    } else if (key === 'v1' && value) {
+      signatures.push(value.toLowerCase());
+    }
+  }
+
+  if (!Number.isInteger(timestamp) || signatures.length === 0) {
+    return null;
+  }
+
+  return { timestamp, signatures };
+}
+
+/**
+ * Compare two hex signatures in constant time
+ */
+function signaturesMatch(expected, provided) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const providedBuffer = Buffer.from(provided, 'hex');
+
+  return expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+/**
+ * Get the signing secrets for a site that are currently valid
+ *
+ * @param {string} siteUrl - Site URL
+ * @returns {Promise<{secrets: Array<string>|null, error: Object|null}>}
+ */
+async function getActiveSecrets(siteUrl) {
+  const { data, error } = await supabase
+    .from('bookshelf_site_secrets')
+    .select('secret, previous_secret, rotated_at')
+    .eq('site_url', siteUrl)
+    .maybeSingle();
+
+  if (error || !data) {
+    return { secrets: null, error };
+  }
+
+  const secrets = [data.secret];
+
+  if (data.previous_secret && data.rotated_at &&
+      Date.now() - new Date(data.rotated_at).getTime() < PREVIOUS_SECRET_GRACE_MS) {
+    secrets.push(data.previous_secret);
+  }
+
+  return { secrets, error: null };
+}
+
+/**
+ * Record a signature as used so the same request cannot be replayed
+ *
+ * @returns {Promise<boolean>} False if the signature was already used
+ */
+async function consumeSignature(siteUrl, signature) {
+  const { error } = await supabase
+    .from('bookshelf_request_signatures')
+    .insert({
+      signature,
+      site_url: siteUrl
+    });
+
+  if (error) {
+    // 23505 = unique_violation: this exact request was already accepted
+    if (error.code === '23505') {
+      return false;
+    }
+    throw new DatabaseError(error, 'Signature record');
+  }
+
+  // Signatures outside the tolerance window can never be accepted again
+  const cutoff = new Date(Date.now() - SIGNATURE_TOLERANCE_SECONDS * 2 * 1000).toISOString();
+  await supabase
+    .from('bookshelf_request_signatures')
+    .delete()
+    .eq('site_url', siteUrl)
+    .lt('received_at', cutoff);
+
+  return true;
+}
+
+/**
+ * Check whether a site already has a signing secret
+ *
+ * @param {string} siteUrl - Site URL
+ * @returns {Promise<boolean>}
+ */
+export async function siteHasSecret(siteUrl) {
+  const { secrets, error } = await getActiveSecrets(siteUrl);
+
+  if (error) {
+    throw new DatabaseError(error, 'Secret lookup');
+  }
+
+  return secrets !== null;
+}
+
+/**
+ * Issue a secret claim for a site registered before request signing
+ *
+ * @param {string} siteUrl - Site URL
+ * @param {string} verificationToken - Token the site must publish to activate the claim
+ * @returns {Promise<{secret: string, verification_token: string}>}
+ */
+export async function createSecretClaim(siteUrl, verificationToken) {
+  const claim = {
+    site_url: siteUrl,
+    secret: generateSigningSecret(),
+    verification_token: verificationToken
+  };
+
+  // Expired claims can never be activated
+  const cutoff = new Date(Date.now() - SECRET_CLAIM_TTL_MS).toISOString();
+  await supabase
+    .from('bookshelf_secret_claims')
+    .delete()
+    .eq('site_url', siteUrl)
+    .lt('created_at', cutoff);
+
+  const { error } = await supabase
+    .from('bookshelf_secret_claims')
+    .insert(claim);
+
+  if (error) {
+    throw new DatabaseError(error, 'Secret claim');
+  }
+
+  return { secret: claim.secret, verification_token: claim.verification_token };
+}
+
+/**
+ * Get the secret claims of a site that can still be activated
+ *
+ * @param {string} siteUrl - Site URL
+ * @returns {Promise<Array<{secret: string, verification_token: string}>>}
+ */
+export async function getSecretClaims(siteUrl) {
+  const cutoff = new Date(Date.now() - SECRET_CLAIM_TTL_MS).toISOString();
+  const { data, error } = await supabase
+    .from('bookshelf_secret_claims')
+    .select('secret, verification_token')
+    .eq('site_url', siteUrl)
+    .gte('created_at', cutoff);
+
+  if (error) {
+    throw new DatabaseError(error, 'Secret claim lookup');
+  }
+
+  return data || [];
+}
+
+/**
+ * Find a secret issued to a site by its hash
+ * Looks at the site's current and previous secret and its pending claims, so a
+ * secret that was rotated away or whose claim expired is no longer found.
+ *
+ * @param {string} siteUrl - Site URL
+ * @param {string} secretHash - Hash of the secret (see hashSecret)
+ * @returns {Promise<string|null>} The secret, or null if it is no longer issued
+ */
+export async function findIssuedSecret(siteUrl, secretHash) {
+  const { data, error } = await supabase
+    .from('bookshelf_site_secrets')
+    .select('secret, previous_secret')
+    .eq('site_url', siteUrl)
+    .maybeSingle();
+
+  if (error) {
+    throw new DatabaseError(error, 'Secret lookup');
+  }
+
+  const claims = await getSecretClaims(siteUrl);
+  const issued = [data?.secret, data?.previous_secret, ...claims.map(claim => claim.secret)];
+
+  return issued.find(secret => secret && hashSecret(secret) === secretHash) || null;
+}
+
+/**
+ * Make a claimed secret the site's signing secret and drop its other claims
+ *
+ * @param {string} siteUrl - Site URL
+ * @param {string} secret - Secret of the verified claim
+ * @returns {Promise<boolean>} False if the site got a secret in the meantime
+ */
+export async function activateSecretClaim(siteUrl, secret) {
+  const { error } = await supabase
+    .from('bookshelf_site_secrets')
+    .insert({ site_url: siteUrl, secret });
+
+  if (error) {
+    // 23505 = unique_violation: another claim was activated first
+    if (error.code === '23505') {
+      return false;
+    }
+    throw new DatabaseError(error, 'Secret activation');
+  }
+
+  const { error: cleanupError } = await supabase
+    .from('bookshelf_secret_claims')
+    .delete()
+    .eq('site_url', siteUrl);
+
+  if (cleanupError) {
+    throw new DatabaseError(cleanupError, 'Secret claim cleanup');
+  }
+
+  return true;
+}
+
+/**
+ * Verify the signature of a write request for a site
+ *
+ * @param {Object} req - Request object
+ * @param {string} siteUrl - Site the request claims to come from
+ * @param {Array<string>} [candidateSecrets] - Secrets to check instead of the
+ *   site's active ones (the secrets of its pending claims)
+ * @returns {Promise<{valid: boolean, secret?: string, error?: Object}>} secret is
+ *   the one that signed the request; error is a 401 response body
+ */
+export async function verifySignedRequest(req, siteUrl, candidateSecrets = null) {
+  const parsed = parseSignatureHeader(req.headers[SIGNATURE_HEADER]);
+
+  if (!parsed) {
+    return {
+      valid: false,
+      error: unauthorizedError('Missing or malformed X-Bookshelf-Signature header')
+    };
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parsed.timestamp);
+  if (age > SIGNATURE_TOLERANCE_SECONDS) {
+    return {
+      valid: false,
+      error: unauthorizedError(
+        'Request signature has expired. Check the server clock and resend.',
+        ERROR_CODES.SIGNATURE_EXPIRED
+      )
+    };
+  }
+
+  const { secrets, error } = candidateSecrets
+    ? { secrets: candidateSecrets.length > 0 ? candidateSecrets : null, error: null }
+    : await getActiveSecrets(siteUrl);
+
+  if (error) {
+    throw new DatabaseError(error, 'Secret lookup');
+  }
+
+  if (!secrets) {
+    return {
+      valid: false,
+      error: unauthorizedError('Site is not registered. Call /api/bookshelf/register first.')
+    };
+  }
+
+  const body = getRawBody(req);
+  const expectedSignatures = secrets.map(secret => ({
+    secret,
+    signature: computeSignature(secret, parsed.timestamp, body)
+  }));
+
+  let matched = null;
+  let signingSecret = null;
+  for (const provided of parsed.signatures) {
+    const expected = expectedSignatures.find(({ signature }) => signaturesMatch(signature, provided));
+    if (expected) {
+      matched = provided;
+      signingSecret = expected.secret;
+      break;
+    }
+  }
+
+  if (!matched) {
+    return {
+      valid: false,
+      error: unauthorizedError('Invalid request signature', ERROR_CODES.INVALID_SIGNATURE)
+    };
+  }
+
+  const fresh = await consumeSignature(siteUrl, matched);
+  if (!fresh) {
+    return {
+      valid: false,
+      error: unauthorizedError('Request has already been processed', ERROR_CODES.REPLAYED_REQUEST)
+    };
+  }
+
+  return { valid: true, secret: signingSecret };
+}
@@ -0,0 +1,340 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { stubSupabase } from '../../test/supabase-stub.js';
+import { createRequest, createResponse, createSignedRequest } from '../../test/http-stub.js';
+import {
+  SIGNATURE_HEADER,
+  computeSignature,
+  parseSignatureHeader,
+  verifySignedRequest,
+  siteHasSecret,
+  createSecretClaim,
+  getSecretClaims,
+  activateSecretClaim
+} from './signature.js';
+import { setSiteFetcher, createStubFetcher } from './site-verification.js';
+import { ERROR_CODES } from './errors.js';
+import registerHandler from '../bookshelf/register.js';
+import verifyHandler from '../bookshelf/verify.js';
+
+const SITE = 'https://author.example';
+const SECRET = 'a'.repeat(64);
+
+/**
+ * Build a request signed with a secret
+ */
+function signedRequest(body, secret = SECRET, timestamp = Math.floor(Date.now() / 1000)) {
+  const rawBody = JSON.stringify(body);
+  return {
+    headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${computeSignature(secret, timestamp, rawBody)}` },
+    body,
+    rawBody
+  };
+}
+
+/**
+ * Stub the secret lookup and the replay table
+ */
+function stubSecrets(t, secretRow, { replayed = false } = {}) {
+  return stubSupabase(t, (query) => {
+    if (query.table === 'bookshelf_site_secrets') {
+      return { data: secretRow };
+    }
+    if (query.table === 'bookshelf_request_signatures' && query.has('insert')) {
+      return replayed ? { error: { code: '23505', message: 'duplicate key' } } : {};
+    }
+    return {};
+  });
+}
+
+test('computeSignature is an HMAC-SHA256 of "<t>.<body>"', () => {
+  const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+  assert.equal(computeSignature(SECRET, 1700000000, '{"a":1}'), expected);
+});
+
+test('parseSignatureHeader reads the timestamp and every v1 signature', () => {
+  assert.deepEqual(parseSignatureHeader('t=1700000000, v1=ABC, v1=def'), {
+    timestamp: 1700000000,
+    signatures: ['abc', 'def']
+  });
+});
+
+test('parseSignatureHeader rejects malformed headers', () => {
+  assert.equal(parseSignatureHeader(undefined), null);
+  assert.equal(parseSignatureHeader('v1=abc'), null);
+  assert.equal(parseSignatureHeader('t=soon,v1=abc'), null);
+  assert.equal(parseSignatureHeader('t=1700000000'), null);
+});
+
+test('verifySignedRequest accepts a fresh signature and records it', async (t) => {
+  const queries = stubSecrets(t, { secret: SECRET });
+  const req = signedRequest({ site_url: SITE });
+
+  const result = await verifySignedRequest(req, SITE);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.secret, SECRET);
+  const insert = queries.find(query => query.table === 'bookshelf_request_signatures' && query.has('insert'));
+  assert.equal(insert.args('insert')[0].site_url, SITE);
+});
+
+test('verifySignedRequest rejects a missing header', async (t) => {
+  stubSecrets(t, { secret: SECRET });
+  const result = await verifySignedRequest({ headers: {}, body: {} }, SITE);
+  assert.equal(result.valid, false);
+  assert.equal(result.error.code, ERROR_CODES.UNAUTHORIZED);
+});
+
+test('verifySignedRequest rejects requests older than 5 minutes', async (t) => {
+  stubSecrets(t, { secret: SECRET });
+  const req = signedRequest({ site_url: SITE }, SECRET, Math.floor(Date.now() / 1000) - 301);
+
+  const result = await verifySignedRequest(req, SITE);
+
+  assert.equal(result.error.code, ERROR_CODES.SIGNATURE_EXPIRED);
+});
+
+test('verifySignedRequest rejects a signature made with another secret', async (t) => {
+  stubSecrets(t, { secret: SECRET });
+  const result = await verifySignedRequest(signedRequest({ site_url: SITE }, 'b'.repeat(64)), SITE);
+  assert.equal(result.error.code, ERROR_CODES.INVALID_SIGNATURE);
+});
+
+test('verifySignedRequest rejects a tampered body', async (t) => {
+  stubSecrets(t, { secret: SECRET });
+  const req = signedRequest({ site_url: SITE, title: 'Original' });
+  req.rawBody = JSON.stringify({ site_url: SITE, title: 'Changed' });
+
+  const result = await verifySignedRequest(req, SITE);
+
+  assert.equal(result.error.code, ERROR_CODES.INVALID_SIGNATURE);
+});
+
+test('verifySignedRequest rejects a replayed signature', async (t) => {
+  stubSecrets(t, { secret: SECRET }, { replayed: true });
+  const result = await verifySignedRequest(signedRequest({ site_url: SITE }), SITE);
+  assert.equal(result.error.code, ERROR_CODES.REPLAYED_REQUEST);
+});
+
+test('verifySignedRequest rejects sites without a secret', async (t) => {
+  stubSecrets(t, null);
+  const result = await verifySignedRequest(signedRequest({ site_url: SITE }), SITE);
+  assert.equal(result.valid, false);
+  assert.match(result.error.error, /register/);
+});
+
+test('verifySignedRequest accepts the previous secret for 15 minutes after a rotation', async (t) => {
+  const previous = 'c'.repeat(64);
+  stubSecrets(t, {
+    secret: SECRET,
+    previous_secret: previous,
+    rotated_at: new Date(Date.now() - 60000).toISOString()
+  });
+
+  const result = await verifySignedRequest(signedRequest({ site_url: SITE }, previous), SITE);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.secret, previous);
+});
+
+test('verifySignedRequest rejects the previous secret after the grace period', async (t) => {
+  const previous = 'c'.repeat(64);
+  stubSecrets(t, {
+    secret: SECRET,
+    previous_secret: previous,
+    rotated_at: new Date(Date.now() - 16 * 60000).toISOString()
+  });
+
+  const result = await verifySignedRequest(signedRequest({ site_url: SITE }, previous), SITE);
+
+  assert.equal(result.error.code, ERROR_CODES.INVALID_SIGNATURE);
+});
+
+test('verifySignedRequest checks only the candidate secrets when given', async (t) => {
+  const queries = stubSecrets(t, { secret: SECRET });
+  const claimed = 'd'.repeat(64);
+
+  const result = await verifySignedRequest(signedRequest({ site_url: SITE }, claimed), SITE, ['e'.repeat(64), claimed]);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.secret, claimed);
+  assert.ok(!queries.some(query => query.table === 'bookshelf_site_secrets'));
+});
+
+test('verifySignedRequest with no candidate secrets rejects the request', async (t) => {
+  stubSecrets(t, { secret: SECRET });
+  const result = await verifySignedRequest(signedRequest({ site_url: SITE }), SITE, []);
+  assert.equal(result.valid, false);
+});
+
+test('siteHasSecret reports whether a secret row exists', async (t) => {
+  stubSecrets(t, null);
+  assert.equal(await siteHasSecret(SITE), false);
+});
+
+test('createSecretClaim stores a pending secret tied to the verification token', async (t) => {
+  const queries = stubSupabase(t);
+
+  const claim = await createSecretClaim(SITE, 'akb-token');
+
+  assert.match(claim.secret, /^[0-9a-f]{64}$/);
+  assert.equal(claim.verification_token, 'akb-token');
+  const insert = queries.find(query => query.has('insert'));
+  assert.equal(insert.table, 'bookshelf_secret_claims');
+  assert.deepEqual(insert.args('insert')[0], { site_url: SITE, secret: claim.secret, verification_token: 'akb-token' });
+  assert.ok(!queries.some(query => query.table === 'bookshelf_site_secrets'));
+});
+
+test('activateSecretClaim stores the secret and drops the other claims', async (t) => {
+  const queries = stubSupabase(t);
+
+  assert.equal(await activateSecretClaim(SITE, SECRET), true);
+
+  assert.deepEqual(queries[0].args('insert')[0], { site_url: SITE, secret: SECRET });
+  assert.equal(queries[1].table, 'bookshelf_secret_claims');
+  assert.ok(queries[1].has('delete'));
+});
+
+test('activateSecretClaim refuses when the site already has a secret', async (t) => {
+  stubSupabase(t, query => query.table === 'bookshelf_site_secrets'
+    ? { error: { code: '23505', message: 'duplicate key' } }
+    : {});
+
+  assert.equal(await activateSecretClaim(SITE, SECRET), false);
+});
+
+test('secret storage failures surface as DatabaseErrors', async (t) => {
+  stubSupabase(t, () => ({ error: { code: '57014', message: 'canceling statement due to statement timeout' } }));
+
+  await assert.rejects(siteHasSecret(SITE), { name: 'DatabaseError', operation: 'Secret lookup' });
+  await assert.rejects(createSecretClaim(SITE, 'akb-token'), { name: 'DatabaseError', operation: 'Secret claim' });
+  await assert.rejects(getSecretClaims(SITE), { name: 'DatabaseError', operation: 'Secret claim lookup' });
+  await assert.rejects(activateSecretClaim(SITE, SECRET), { name: 'DatabaseError', operation: 'Secret activation' });
+  await assert.rejects(verifySignedRequest(signedRequest({ site_url: SITE }), SITE), { name: 'DatabaseError', operation: 'Secret lookup' });
+  await assert.rejects(verifySignedRequest(signedRequest({ site_url: SITE }), SITE, [SECRET]), { name: 'DatabaseError', operation: 'Signature record' });
+});
+
+/**
+ * Stub the site, secret, claim and idempotency key tables with an in-memory registry
+ */
+function stubRegistry(t, registry = { site: null, secret: null, claims: [], keys: {} }) {
+  stubSupabase(t, (query) => {
+    switch (query.table) {
+      case 'bookshelf_idempotency_keys': {
+        const key = query.has('insert')
+          ? query.args('insert')[0].idempotency_key
+          : query.calls.find(([method, column]) => method === 'eq' && column === 'idempotency_key')?.[2];
+        if (query.has('insert')) {
+          if (registry.keys[key]) {
+            return { error: { code: '23505', message: 'duplicate key' } };
+          }
+          registry.keys[key] = { response_status: null, response_body: null, created_at: new Date().toISOString(), ...query.args('insert')[0] };
+        } else if (query.has('update')) {
+          Object.assign(registry.keys[key], query.args('update')[0]);
+        } else if (query.has('delete') && !query.has('lt')) {
+          delete registry.keys[key];
+        }
+        return { data: registry.keys[key] || null };
+      }
+      case 'bookshelf_sites':
+        if (query.has('insert')) {
+          registry.site = { id: 7, site_url: SITE, verified: false, verification_token: null, ...query.args('insert')[0] };
+        } else if (query.has('update')) {
+          Object.assign(registry.site, query.args('update')[0]);
+        }
+        return { data: registry.site };
+      case 'bookshelf_site_secrets':
+        if (query.has('insert')) {
+          registry.secret = query.args('insert')[0];
+          return {};
+        }
+        return { data: registry.secret };
+      case 'bookshelf_secret_claims':
+        if (query.has('insert')) {
+          registry.claims.push(query.args('insert')[0]);
+        } else if (query.has('delete') && !query.has('lt')) {
+          registry.claims = [];
+        }
+        return { data: registry.claims };
+      default:
+        return {};
+    }
+  });
+  return registry;
+}
+
+/**
+ * Register SITE unsigned, as anyone can
+ */
+async function register(siteName, headers = {}) {
+  const res = createResponse();
+  await registerHandler(createRequest({ method: 'POST', headers, body: { site_url: SITE, site_name: siteName } }), res);
+  return res;
+}
+
+test('registering a new site only issues a pending secret', async (t) => {
+  const registry = stubRegistry(t);
+
+  const res = await register('Author Site');
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.signing_secret_status, 'pending');
+  assert.equal(res.body.signing_secret, registry.claims[0].secret);
+  assert.equal(res.body.verification.token, registry.claims[0].verification_token);
+  assert.equal(registry.secret, null);
+  assert.equal(registry.site.verified, false);
+});
+
+test('a second party registering someone else\'s site cannot lock the owner out', async (t) => {
+  const registry = stubRegistry(t);
+  const squatter = await register('Not The Author');
+  const owner = await register('Author Site');
+
+  // The owner still gets a claim of their own, without a signature
+  assert.equal(owner.statusCode, 200);
+  assert.equal(owner.body.signing_secret_status, 'pending');
+  assert.notEqual(owner.body.signing_secret, squatter.body.signing_secret);
+
+  // Only the owner can publish their token on the site
+  setSiteFetcher(createStubFetcher({ [`${SITE}/.well-known/authorkit-bookshelf.txt`]: owner.body.verification.token }));
+  t.after(() => setSiteFetcher(null));
+
+  const rejected = createResponse();
+  await verifyHandler(createSignedRequest({ body: { site_url: SITE }, secret: squatter.body.signing_secret }), rejected);
+  assert.equal(rejected.statusCode, 422);
+  assert.equal(registry.secret, null);
+
+  const verified = createResponse();
+  await verifyHandler(createSignedRequest({ body: { site_url: SITE }, secret: owner.body.signing_secret }), verified);
+  assert.equal(verified.statusCode, 200);
+  assert.equal(verified.body.signing_secret_activated, true);
+  assert.deepEqual(registry.secret, { site_url: SITE, secret: owner.body.signing_secret });
+  assert.equal(registry.site.verified, true);
+
+  // From now on re-registering needs the owner's signature
+  const locked = await register('Not The Author');
+  assert.equal(locked.statusCode, 401);
+});
+
+test('first register response lost, retried with the same key', async (t) => {
+  const registry = stubRegistry(t);
+  const headers = { 'idempotency-key': 'register-0001' };
+
+  const lost = await register('Author Site', headers);
+  const retried = await register('Author Site', headers);
+
+  assert.equal(retried.statusCode, 200);
+  assert.equal(retried.headers['idempotent-replayed'], 'true');
+  assert.equal(retried.body.signing_secret, lost.body.signing_secret);
+  assert.equal(registry.claims.length, 1);
+  assert.equal('signing_secret' in registry.keys['register-0001'].response_body, false);
+
+  // Still replayed once the secret is active and unsigned requests get a 401
+  registry.secret = { site_url: SITE, secret: lost.body.signing_secret };
+  const late = await register('Author Site', headers);
+  assert.equal(late.statusCode, 200);
+  assert.equal(late.body.signing_secret, lost.body.signing_secret);
+  assert.equal((await register('Author Site', { 'idempotency-key': 'register-0002' })).statusCode, 401);
+  assert.equal(registry.keys['register-0002'], undefined);
+});
@@ -0,0 +1,63 @@
+/**
+ * Site health utilities
+ * Tracks when each site last talked to the API and flags sites that went silent
+ *
+ * Heartbeats, registrations and syncs mark a site as seen and healthy. The daily
+ * /api/bookshelf/site-health cron flags sites silent for BOOKSHELF_STALE_AFTER_DAYS
+ * as stale (their books are down-ranked) and sites silent for
+ * BOOKSHELF_DEAD_AFTER_DAYS as dead (their books are hidden from listings).
+ */
+
+import config from './config.js';
+
+/**
+ * Values of bookshelf_sites.health_status
+ */
+export const SITE_HEALTH = {
+  HEALTHY: 'healthy',
+  STALE: 'stale',
+  DEAD: 'dead'
+};
+
+/**
+ * Days without contact before a site is flagged stale
+ * @returns {number}
+ */
+export function getStaleAfterDays() {
+  return config.sites.staleAfterDays;
+}
+
+/**
+ * Days without contact before a site is flagged dead
+ * Never shorter than the stale threshold.
+ *
+ * @returns {number}
+ */
+export function getDeadAfterDays() {
+  return Math.max(config.sites.deadAfterDays, getStaleAfterDays());
+}
+
+/**
+ * last_seen_at values older than these timestamps are stale or dead
+ *
+ * @returns {{stale: string, dead: string}} ISO timestamps
+ */
+export function getHealthCutoffs() {
+  const now = Date.now();
+
+  return {
+    stale: new Date(now - getStaleAfterDays() * 86400000).toISOString(),
+    dead: new Date(now - getDeadAfterDays() * 86400000).toISOString()
+  };
+}
+
+/**
+ * Columns to set on bookshelf_sites when a site contacts the API
+ * @returns {Object}
+ */
+export function seenNow() {
+  return {
+    last_seen_at: new Date().toISOString(),
+    health_status: SITE_HEALTH.HEALTHY
+  };
+}
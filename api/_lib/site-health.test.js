@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SITE_HEALTH,
+  getStaleAfterDays,
+  getDeadAfterDays,
+  getHealthCutoffs,
+  seenNow
+} from './site-health.js';
+
+test('sites go stale before they are flagged dead', () => {
+  assert.ok(getDeadAfterDays() >= getStaleAfterDays());
+
+  const { stale, dead } = getHealthCutoffs();
+  assert.ok(dead < stale);
+  assert.ok(Math.abs(Date.now() - new Date(stale).getTime() - getStaleAfterDays() * 86400000) < 1000);
+});
+
+test('seenNow marks the site healthy', () => {
+  const columns = seenNow();
+
+  assert.equal(columns.health_status, SITE_HEALTH.HEALTHY);
+  assert.ok(Math.abs(Date.now() - new Date(columns.last_seen_at).getTime()) < 1000);
+});
@@ -0,0 +1,289 @@
+/**
+ * Site ownership verification utilities
+ * Proves that the caller controls the domain of a registered site
+ *
+ * Registration issues a challenge token. The author publishes it either as a
+ * plain-text file at /.well-known/authorkit-bookshelf.txt or as a meta tag on
+ * the site's home page:
+ *
+ *   <meta name="authorkit-bookshelf-verification" content="<token>">
+ *
+ * /api/bookshelf/verify then fetches both locations through the configured
+ * fetcher and marks the site as verified when the token is found. The default
+ * fetcher only reaches public addresses (see createHttpFetcher()).
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+/**
+ * Path of the well-known verification file
+ */
+export const WELL_KNOWN_PATH = '/.well-known/authorkit-bookshelf.txt';
+
+/**
+ * Name of the verification meta tag
+ */
+export const META_TAG_NAME = 'authorkit-bookshelf-verification';
+
+/**
+ * Maximum number of characters read from a fetched page
+ */
+const MAX_BODY_LENGTH = 512000;
+
+/**
+ * Timeout for each verification fetch
+ */
+const FETCH_TIMEOUT_MS = 5000;
+
+/**
+ * Redirects followed per verification fetch
+ */
+const MAX_REDIRECTS = 3;
+
+/**
+ * Address ranges a verification fetch must never reach: loopback, private,
+ * link-local (cloud metadata), shared, documentation, multicast and reserved
+ * ranges. Site URLs come from registrants, so without this /verify could probe
+ * the internal network.
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001::', 23], ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is publicly routable
+ * IPv4-mapped IPv6 addresses ("::ffff:10.0.0.1") are checked as IPv4.
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPublicAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+
+  if (family === 0) {
+    return false;
+  }
+
+  return !BLOCKED_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Fetcher signature
+ * @callback SiteFetcher
+ * @param {string} url - URL to fetch
+ * @returns {Promise<{status: number, body: string}>}
+ */
+
+/**
+ * Create an HTTP fetcher that only connects to allowed addresses
+ *
+ * Host names are checked at connection time (the address actually connected
+ * to, so DNS rebinding cannot slip through), and redirects are followed by
+ * hand, at most MAX_REDIRECTS, each hop checked again.
+ *
+ * @param {function(string): boolean} [isAllowed] - Address check, isPublicAddress by default
+ * @returns {SiteFetcher}
+ */
+export function createHttpFetcher(isAllowed = isPublicAddress) {
+  // dns.lookup() wrapper used for every connection
+  const lookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const blocked = addresses.find(({ address }) => !isAllowed(address));
+      if (blocked || addresses.length === 0) {
+        return callback(new Error(`${hostname} resolves to a non-public address`));
+      }
+
+      return options.all
+        ? callback(null, addresses)
+        : callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+
+  const request = (url, signal) => new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup,
+      signal,
+      headers: { 'User-Agent': 'AuthorKit-Bookshelf-Verifier/1.0' }
+    }, (response) => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        body += chunk;
+        if (body.length >= MAX_BODY_LENGTH) {
+          response.destroy();
+          resolve({ status: response.statusCode, location: response.headers.location, body });
+        }
+      });
+      response.on('end', () => resolve({ status: response.statusCode, location: response.headers.location, body }));
+      response.on('error', reject);
+    });
+    req.on('error', reject);
+  });
+
+  return async function httpFetcher(url) {
+    const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+    let target = new URL(url);
+
+    for (let hop = 0; ; hop++) {
+      if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+        throw new Error(`Unsupported protocol ${target.protocol}`);
+      }
+
+      // IP literals never go through lookup()
+      const host = target.hostname.replace(/^\[|\]$/g, '');
+      if (net.isIP(host) && !isAllowed(host)) {
+        throw new Error(`${host} is not a public address`);
+      }
+
+      const response = await request(target, signal);
+
+      if (response.status < 300 || response.status >= 400 || !response.location) {
+        return { status: response.status, body: response.body.slice(0, MAX_BODY_LENGTH) };
+      }
+
+      if (hop >= MAX_REDIRECTS) {
+        throw new Error('Too many redirects');
+      }
+
+      target = new URL(response.location, target);
+    }
+  };
+}
+
+/**
+ * Default fetcher: HTTP GET to public addresses only
+ * @type {SiteFetcher}
+ */
+const httpFetcher = createHttpFetcher();
+
+let siteFetcher = httpFetcher;
+
+/**
+ * Replace the fetcher used for verification (e.g., with a stub in tests)
+ * Pass null to restore the default HTTP fetcher.
+ *
+ * @param {SiteFetcher|null} fetcher
+ */
+export function setSiteFetcher(fetcher) {
+  siteFetcher = fetcher || httpFetcher;
+}
+
+/**
+ * Create a stub fetcher that serves canned responses from a URL map
+ * Unknown URLs return a 404.
+ *
+ * @param {Object<string, string>} pages - Map of URL to response body
+ * @returns {SiteFetcher}
+ */
+export function createStubFetcher(pages) {
+  return async (url) => {
+    if (Object.prototype.hasOwnProperty.call(pages, url)) {
+      return { status: 200, body: pages[url] };
+    }
+    return { status: 404, body: '' };
+  };
+}
+
+/**
+ * Generate a new verification challenge token
+ * @returns {string}
+ */
+export function generateVerificationToken() {
+  return `akb-${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Build the instructions returned to the plugin for a pending verification
+ *
+ * @param {string} siteUrl - Site URL
+ * @param {string} token - Challenge token
+ * @returns {Object}
+ */
+export function buildVerificationInstructions(siteUrl, token) {
+  return {
+    verified: false,
+    token,
+    well_known_url: `${siteUrl.replace(/\/+$/, '')}${WELL_KNOWN_PATH}`,
+    meta_tag: `<meta name="${META_TAG_NAME}" content="${token}">`
+  };
+}
+
+/**
+ * Find the content of the verification meta tag in an HTML document
+ *
+ * @param {string} html - Page HTML
+ * @returns {Array<string>} Content values of all matching meta tags
+ */
+export function extractMetaTokens(html) {
+  const tokens = [];
+  const metaTags = html.match(/<meta\b[^>]*>/gi) || [];
+
+  for (const tag of metaTags) {
+    const name = tag.match(/\bname\s*=\s*["']?([^"'\s>]+)/i);
+    const content = tag.match(/\bcontent\s*=\s*["']?([^"'\s>]+)/i);
+
+    if (name && content && name[1].toLowerCase() === META_TAG_NAME) {
+      tokens.push(content[1]);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Fetch a URL without letting network errors escape
+ */
+async function safeFetch(url) {
+  try {
+    return await siteFetcher(url);
+  } catch {
+    return { status: 0, body: '' };
+  }
+}
+
+/**
+ * Check whether a site publishes its verification token
+ * Only the outcome is reported: fetch statuses would tell callers what the
+ * site URL answers, whatever it points to.
+ *
+ * @param {string} siteUrl - Site URL
+ * @param {string} token - Expected challenge token
+ * @returns {Promise<{verified: boolean, method: string|null}>}
+ */
+export async function checkSiteOwnership(siteUrl, token) {
+  const baseUrl = siteUrl.replace(/\/+$/, '');
+
+  // 1. Well-known file
+  const wellKnown = await safeFetch(`${baseUrl}${WELL_KNOWN_PATH}`);
+  if (wellKnown.status === 200 && wellKnown.body.trim() === token) {
+    return { verified: true, method: 'well-known' };
+  }
+
+  // 2. Meta tag on the home page
+  const home = await safeFetch(`${baseUrl}/`);
+  if (home.status === 200 && extractMetaTokens(home.body).includes(token)) {
+    return { verified: true, method: 'meta-tag' };
+  }
+
+  return { verified: false, method: null };
+}
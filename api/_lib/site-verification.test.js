@@ -0,0 +1,140 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import {
+  WELL_KNOWN_PATH,
+  isPublicAddress,
+  createHttpFetcher,
+  setSiteFetcher,
+  createStubFetcher,
+  buildVerificationInstructions,
+  extractMetaTokens,
+  checkSiteOwnership
+} from './site-verification.js';
+
+const TOKEN = 'akb-0123456789abcdef0123456789abcdef';
+
+/**
+ * Local server answering from a path map: a string is a 200 body,
+ * { location } a 302 redirect
+ */
+const routes = {};
+const requests = [];
+const server = http.createServer((req, res) => {
+  requests.push(req.url);
+  const route = routes[req.url];
+  if (typeof route === 'string') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    return res.end(route);
+  }
+  if (route?.location) {
+    res.writeHead(302, { Location: route.location });
+    return res.end();
+  }
+  res.writeHead(404);
+  res.end();
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const origin = `http://127.0.0.1:${server.address().port}`;
+
+after(() => {
+  setSiteFetcher(null);
+  server.close();
+});
+
+/**
+ * Fetcher that may reach the local test server, and nothing else private
+ */
+const localFetcher = createHttpFetcher(address => address === '127.0.0.1' || isPublicAddress(address));
+
+test('isPublicAddress allows public IPv4 and IPv6 addresses', () => {
+  assert.equal(isPublicAddress('93.184.216.34'), true);
+  assert.equal(isPublicAddress('2606:4700:4700::1111'), true);
+});
+
+test('isPublicAddress refuses loopback, private, link-local and reserved addresses', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '255.255.255.255', '::1', '::', 'fe80::1', 'fc00::1',
+    '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:10.0.0.1', 'not-an-address'
+  ]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
+
+test('checkSiteOwnership finds the token in the well-known file', async () => {
+  setSiteFetcher(createStubFetcher({ [`https://author.example${WELL_KNOWN_PATH}`]: `${TOKEN}\n` }));
+  assert.deepEqual(await checkSiteOwnership('https://author.example/', TOKEN), { verified: true, method: 'well-known' });
+});
+
+test('checkSiteOwnership falls back to the home page meta tag', async () => {
+  setSiteFetcher(createStubFetcher({
+    'https://author.example/': `<html><head><meta content="${TOKEN}" name="authorkit-bookshelf-verification"></head></html>`
+  }));
+  assert.deepEqual(await checkSiteOwnership('https://author.example', TOKEN), { verified: true, method: 'meta-tag' });
+});
+
+test('checkSiteOwnership reports only the outcome when the token is missing', async () => {
+  setSiteFetcher(createStubFetcher({ [`https://author.example${WELL_KNOWN_PATH}`]: 'akb-someone-else' }));
+  assert.deepEqual(await checkSiteOwnership('https://author.example', TOKEN), { verified: false, method: null });
+});
+
+test('checkSiteOwnership treats fetch errors as not verified', async () => {
+  setSiteFetcher(async () => {
+    throw new Error('connect ECONNREFUSED');
+  });
+  assert.deepEqual(await checkSiteOwnership('https://author.example', TOKEN), { verified: false, method: null });
+});
+
+test('the default fetcher never connects to a loopback site URL', async () => {
+  setSiteFetcher(null);
+  routes[WELL_KNOWN_PATH] = TOKEN;
+  requests.length = 0;
+
+  assert.deepEqual(await checkSiteOwnership(origin, TOKEN), { verified: false, method: null });
+  assert.deepEqual(requests, []);
+});
+
+test('the default fetcher refuses host names resolving to loopback', async () => {
+  const fetcher = createHttpFetcher();
+  await assert.rejects(fetcher(`http://localhost:${server.address().port}/`), /non-public address/);
+});
+
+test('the HTTP fetcher follows redirects to allowed addresses', async () => {
+  routes['/start'] = { location: '/final' };
+  routes['/final'] = 'done';
+
+  assert.deepEqual(await localFetcher(`${origin}/start`), { status: 200, body: 'done' });
+});
+
+test('the HTTP fetcher checks every redirect hop', async () => {
+  routes['/to-metadata'] = { location: 'http://169.254.169.254/latest/meta-data/' };
+  await assert.rejects(localFetcher(`${origin}/to-metadata`), /not a public address/);
+});
+
+test('the HTTP fetcher refuses non-HTTP redirects', async () => {
+  routes['/to-file'] = { location: 'file:///etc/passwd' };
+  await assert.rejects(localFetcher(`${origin}/to-file`), /Unsupported protocol/);
+});
+
+test('the HTTP fetcher stops after 3 redirects', async () => {
+  routes['/loop'] = { location: '/loop' };
+  requests.length = 0;
+
+  await assert.rejects(localFetcher(`${origin}/loop`), /Too many redirects/);
+  assert.equal(requests.length, 4);
+});
+
+test('extractMetaTokens reads only the verification meta tag', () => {
+  const html = `<meta name="description" content="x"><META NAME='authorkit-bookshelf-verification' CONTENT='${TOKEN}'>`;
+  assert.deepEqual(extractMetaTokens(html), [TOKEN]);
+});
+
+test('buildVerificationInstructions points at both locations', () => {
+  assert.deepEqual(buildVerificationInstructions('https://author.example/', TOKEN), {
+    verified: false,
+    token: TOKEN,
+    well_known_url: `https://author.example${WELL_KNOWN_PATH}`,
+    meta_tag: `<meta name="authorkit-bookshelf-verification" content="${TOKEN}">`
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Declarative request validation
+ * Validates payloads against nested field schemas and reports errors by path
+ *
+ * A schema maps field names to rules:
+ *
+ *   {
+ *     type: 'string' | 'integer' | 'number' | 'boolean' | 'array' | 'object',
+ *     required: true,             // undefined, null and '' count as missing; 0 and false do not
+ *     minLength, maxLength,       // strings
+ *     pattern: /^[a-z-]+$/,       // strings
+ *     format: 'url' | 'date',     // strings: absolute http(s) URL, YYYY-MM-DD date
+ *     enum: ['a', 'b'],
+ *     min, max,                   // integers and numbers
+ *     minItems, maxItems,         // arrays
+ *     items: { ...rule },         // rule applied to every array item; empty items
+ *                                 // (null, '') are skipped unless the rule is required
+ *     properties: { ...schema },  // fields of a nested object
+ *     check: (value) => message   // custom check, return null when valid
+ *   }
+ *
+ * Integers and numbers also accept numeric strings, since WordPress may send
+ * post IDs as strings. Fields not in the schema are ignored.
+ *
+ * Errors are returned as a map of paths ("cover.medium", "books[3].title") to
+ * messages, e.g. { "book_post_id": "is required" }.
+ */
+
+import { validationError } from './errors.js';
+
+/**
+ * Value checks per type
+ */
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value)),
+  number: value => (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+/**
+ * Type names used in error messages
+ */
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object'
+};
+
+/**
+ * Format checks for strings
+ */
+const FORMAT_CHECKS = {
+  url: {
+    test: (value) => {
+      if (!/^https?:\/\//i.test(value.trim())) {
+        return false;
+      }
+      try {
+        new URL(value.trim());
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    message: 'must be an absolute http(s) URL'
+  },
+  date: {
+    test: (value) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+      }
+      // Rejects impossible dates such as 2026-02-30
+      const date = new Date(`${value}T00:00:00Z`);
+      return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+    },
+    message: 'must be a date in YYYY-MM-DD format'
+  }
+};
+
+/**
+ * Join a parent path and a field name
+ */
+function joinPath(parent, key) {
+  if (typeof key === 'number') {
+    return `${parent}[${key}]`;
+  }
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Check whether a value counts as missing
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Validate one value against its rule, collecting errors into the map
+ */
+function validateValue(value, rule, path, errors) {
+  if (isMissing(value)) {
+    if (rule.required) {
+      errors[path] = 'is required';
+    }
+    return;
+  }
+
+  if (rule.type && !TYPE_CHECKS[rule.type](value)) {
+    errors[path] = `must be ${TYPE_NAMES[rule.type]}`;
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors[path] = `must be one of: ${rule.enum.join(', ')}`;
+    return;
+  }
+
+  if (typeof value === 'string' && rule.type !== 'integer' && rule.type !== 'number') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      errors[path] = `must be at least ${rule.minLength} characters`;
+      return;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors[path] = `must be at most ${rule.maxLength} characters`;
+      return;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors[path] = 'has an invalid format';
+      return;
+    }
+    if (rule.format && !FORMAT_CHECKS[rule.format].test(value)) {
+      errors[path] = FORMAT_CHECKS[rule.format].message;
+      return;
+    }
+  }
+
+  if (rule.type === 'integer' || rule.type === 'number') {
+    const number = Number(value);
+    if (rule.min !== undefined && number < rule.min) {
+      errors[path] = `must be at least ${rule.min}`;
+      return;
+    }
+    if (rule.max !== undefined && number > rule.max) {
+      errors[path] = `must be at most ${rule.max}`;
+      return;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      errors[path] = `must contain at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}`;
+      return;
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors[path] = `must contain at most ${rule.maxItems} items`;
+      return;
+    }
+    if (rule.items) {
+      value.forEach((item, index) => {
+        // Plugins send "" for unset slots (e.g. a second genre), so empty
+        // items only fail when the item rule says they are required
+        validateValue(item, rule.items, joinPath(path, index), errors);
+      });
+    }
+  }
+
+  if (rule.properties) {
+    validateFields(value, rule.properties, path, errors);
+  }
+
+  if (rule.check) {
+    const message = rule.check(value);
+    if (message) {
+      errors[path] = message;
+    }
+  }
+}
+
+/**
+ * Validate the fields of an object against a schema
+ */
+function validateFields(data, schema, path, errors) {
+  for (const [field, rule] of Object.entries(schema)) {
+    validateValue(data[field], rule, joinPath(path, field), errors);
+  }
+}
+
+/**
+ * Validate data against a schema
+ *
+ * @param {*} data - Parsed request body or query
+ * @param {Object} schema - Field rules (see top of file)
+ * @returns {{valid: boolean, errors: Object<string, string>}} Path-keyed error messages
+ */
+export function validate(data, schema) {
+  const errors = {};
+
+  if (!TYPE_CHECKS.object(data)) {
+    errors.body = 'must be a JSON object';
+  } else {
+    validateFields(data, schema, '', errors);
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a request payload and build the 400 response body on failure
+ *
+ * @param {*} payload - Parsed request body or query
+ * @param {Object} schema - Field rules (see top of file)
+ * @returns {Object|null} Validation error response, or null if valid
+ */
+export function validatePayload(payload, schema) {
+  const { valid, errors } = validate(payload, schema);
+  return valid ? null : validationError(null, errors);
+}
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, validatePayload } from './validation.js';
+import { ERROR_CODES } from './errors.js';
+
+test('required fields reject missing and empty values but accept 0 and false', () => {
+  const schema = {
+    id: { type: 'integer', required: true },
+    enabled: { type: 'boolean', required: true },
+    name: { type: 'string', required: true }
+  };
+
+  assert.deepEqual(validate({ id: 0, enabled: false, name: 'x' }, schema), { valid: true, errors: {} });
+  assert.deepEqual(validate({ name: '' }, schema).errors, {
+    id: 'is required',
+    enabled: 'is required',
+    name: 'is required'
+  });
+});
+
+test('integers and numbers accept numeric strings', () => {
+  const schema = { id: { type: 'integer', min: 0 }, rating: { type: 'number', max: 5 } };
+
+  assert.equal(validate({ id: '42', rating: '4.5' }, schema).valid, true);
+  assert.deepEqual(validate({ id: '4.2', rating: '6' }, schema).errors, {
+    id: 'must be an integer',
+    rating: 'must be at most 5'
+  });
+});
+
+test('string rules check length, pattern, enum and formats', () => {
+  const schema = {
+    slug: { type: 'string', maxLength: 5, pattern: /^[a-z]+$/ },
+    mode: { type: 'string', enum: ['any', 'all'] },
+    url: { type: 'string', format: 'url' },
+    date: { type: 'string', format: 'date' }
+  };
+
+  assert.deepEqual(validate({ slug: 'toolong', mode: 'some', url: 'javascript:alert(1)', date: '2026-02-30' }, schema).errors, {
+    slug: 'must be at most 5 characters',
+    mode: 'must be one of: any, all',
+    url: 'must be an absolute http(s) URL',
+    date: 'must be a date in YYYY-MM-DD format'
+  });
+  assert.deepEqual(validate({ slug: 'AB' }, schema).errors, { slug: 'has an invalid format' });
+  assert.equal(validate({ url: 'https://author.example/a', date: '2024-02-29' }, schema).valid, true);
+});
+
+test('nested objects and array items report errors by path', () => {
+  const schema = {
+    cover: { type: 'object', properties: { medium: { type: 'string', format: 'url' } } },
+    books: {
+      type: 'array',
+      maxItems: 3,
+      items: { type: 'object', properties: { title: { type: 'string', required: true } } }
+    }
+  };
+
+  assert.deepEqual(validate({ cover: { medium: 'nope' }, books: [{ title: 'A' }, {}] }, schema).errors, {
+    'cover.medium': 'must be an absolute http(s) URL',
+    'books[1].title': 'is required'
+  });
+  assert.deepEqual(validate({ books: [{}, {}, {}, {}] }, schema).errors, { books: 'must contain at most 3 items' });
+});
+
+test('empty array items pass unless the item rule is required', () => {
+  const schema = {
+    genres: { type: 'array', items: { type: 'string', maxLength: 5 } },
+    ids: { type: 'array', items: { type: 'integer', required: true } }
+  };
+
+  assert.equal(validate({ genres: ['', null, 'scifi'] }, schema).valid, true);
+  assert.deepEqual(validate({ genres: ['', 'romance'], ids: [1, null] }, schema).errors, {
+    'genres[1]': 'must be at most 5 characters',
+    'ids[1]': 'is required'
+  });
+});
+
+test('custom checks run after the built-in rules', () => {
+  const schema = { even: { type: 'integer', check: value => value % 2 ? 'must be even' : null } };
+
+  assert.deepEqual(validate({ even: 3 }, schema).errors, { even: 'must be even' });
+  assert.deepEqual(validate({ even: 'x' }, schema).errors, { even: 'must be an integer' });
+});
+
+test('validatePayload builds the 400 body and rejects non-objects', () => {
+  const response = validatePayload([], { id: { type: 'integer' } });
+
+  assert.equal(response.code, ERROR_CODES.VALIDATION_ERROR);
+  assert.deepEqual(response.errors, { body: 'must be a JSON object' });
+  assert.equal(validatePayload({ id: 1 }, { id: { type: 'integer' } }), null);
+});
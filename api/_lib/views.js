@@ -0,0 +1,64 @@
+/**
+ * Materialized view utilities
+ * Refreshes the precomputed view counts and catalog stats and reports their age
+ *
+ * - bookshelf_book_view_counts: views per book
+ * - bookshelf_stats: totals of books, authors, sites, genres and views
+ * - bookshelf_book_growth: books added per week and month (last 12 of each)
+ *
+ * Stats count only books listed on the bookshelf (verified, not deleted, site
+ * not dead; see the bookshelf_listed_books view).
+ *
+ * PostgreSQL does not record when a materialized view was refreshed, so
+ * refresh_bookshelf_views() writes each refresh to bookshelf_view_refreshes.
+ * The /api/bookshelf/refresh-views cron refreshes them hourly.
+ */
+
+import supabase from './supabase.js';
+
+/**
+ * Materialized views refreshed by refresh_bookshelf_views()
+ */
+export const MATERIALIZED_VIEWS = [
+  'bookshelf_book_view_counts',
+  'bookshelf_stats',
+  'bookshelf_book_growth'
+];
+
+/**
+ * Refresh every materialized view
+ * Concurrent refreshes keep the views readable while they run.
+ *
+ * @returns {Promise<{error: Object|null}>} Supabase error, if any
+ */
+export async function refreshMaterializedViews() {
+  const { error } = await supabase.rpc('refresh_bookshelf_views');
+  return { error };
+}
+
+/**
+ * Get when each materialized view was last refreshed
+ *
+ * @param {AbortSignal} [signal] - Aborts the query
+ * @returns {Promise<{refreshedAt: Object<string, string|null>, error: Object|null}>}
+ *   ISO timestamps by view name, null for views never refreshed
+ */
+export async function getViewRefreshTimes(signal = null) {
+  let query = supabase
+    .from('bookshelf_view_refreshes')
+    .select('view_name, refreshed_at')
+    .in('view_name', MATERIALIZED_VIEWS);
+
+  if (signal) {
+    query = query.abortSignal(signal);
+  }
+
+  const { data, error } = await query;
+  const refreshedAt = Object.fromEntries(MATERIALIZED_VIEWS.map(view => [view, null]));
+
+  for (const row of data || []) {
+    refreshedAt[row.view_name] = row.refreshed_at;
+  }
+
+  return { refreshedAt, error };
+}
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubSupabase } from '../../test/supabase-stub.js';
+import { createRequest, createResponse } from '../../test/http-stub.js';
+import { MATERIALIZED_VIEWS, refreshMaterializedViews, getViewRefreshTimes } from './views.js';
+import { ERROR_CODES } from './errors.js';
+import refreshViewsHandler from '../bookshelf/refresh-views.js';
+
+const CRON_HEADERS = { authorization: 'Bearer test-cron-secret' };
+
+test('getViewRefreshTimes lists every view, null when never refreshed', async (t) => {
+  const queries = stubSupabase(t, () => ({
+    data: [{ view_name: 'bookshelf_stats', refreshed_at: '2026-03-01T12:00:00.000Z' }]
+  }));
+
+  const { refreshedAt, error } = await getViewRefreshTimes();
+
+  assert.equal(error, null);
+  assert.deepEqual(Object.keys(refreshedAt), MATERIALIZED_VIEWS);
+  assert.equal(refreshedAt.bookshelf_stats, '2026-03-01T12:00:00.000Z');
+  assert.equal(refreshedAt.bookshelf_book_view_counts, null);
+  assert.equal(queries[0].table, 'bookshelf_view_refreshes');
+  assert.deepEqual(queries[0].args('in'), ['view_name', MATERIALIZED_VIEWS]);
+  assert.equal(queries[0].has('abortSignal'), false);
+});
+
+test('getViewRefreshTimes passes the abort signal and returns errors', async (t) => {
+  const failure = { code: '42P01', message: 'relation does not exist' };
+  const queries = stubSupabase(t, () => ({ error: failure }));
+  const signal = AbortSignal.timeout(1000);
+
+  const { refreshedAt, error } = await getViewRefreshTimes(signal);
+
+  assert.equal(error, failure);
+  assert.ok(Object.values(refreshedAt).every(value => value === null));
+  assert.deepEqual(queries[0].args('abortSignal'), [signal]);
+});
+
+test('refreshMaterializedViews calls refresh_bookshelf_views()', async (t) => {
+  const queries = stubSupabase(t, () => ({}));
+
+  assert.deepEqual(await refreshMaterializedViews(), { error: null });
+  assert.equal(queries[0].rpc, 'refresh_bookshelf_views');
+});
+
+test('the refresh-views cron refreshes and reports when each view was refreshed', async (t) => {
+  const queries = stubSupabase(t, (query) => (query.rpc ? {} : {
+    data: MATERIALIZED_VIEWS.map(view => ({ view_name: view, refreshed_at: '2026-03-01T12:00:00.000Z' }))
+  }));
+
+  const unauthorized = createResponse();
+  await refreshViewsHandler(createRequest(), unauthorized);
+  assert.equal(unauthorized.statusCode, 401);
+  assert.equal(queries.length, 0);
+
+  const res = createResponse();
+  await refreshViewsHandler(createRequest({ headers: CRON_HEADERS }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.refreshed_at.bookshelf_book_growth, '2026-03-01T12:00:00.000Z');
+  assert.equal(typeof res.body.duration_ms, 'number');
+});
+
+test('the refresh-views cron fails when the refresh fails', async (t) => {
+  stubSupabase(t, () => ({ error: { code: '55P03', message: 'lock not available' } }));
+  const res = createResponse();
+
+  await refreshViewsHandler(createRequest({ headers: CRON_HEADERS }), res);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.code, ERROR_CODES.DATABASE_ERROR);
+});
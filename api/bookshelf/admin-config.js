@@ -0,0 +1,54 @@
+/**
+ * GET /api/bookshelf/admin-config
+ *
+ * Reports the active configuration: which settings are set in the environment,
+ * which use their default and which are unset. Sensitive values (keys, secrets,
+ * tokens, Redis URL) are masked.
+ *
+ * Requires "Authorization: Bearer <BOOKSHELF_ADMIN_TOKEN>". Without
+ * BOOKSHELF_ADMIN_TOKEN configured, every request gets a 401.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "valid": true,
+ *   "warnings": ["REDIS_URL is not set; rate limits are counted per instance"],
+ *   "settings": [
+ *     {
+ *       "key": "amazon.affiliateTag",
+ *       "env": "AMAZON_AFFILIATE_TAG",
+ *       "source": "default",
+ *       "value": "minihover-21",
+ *       "required": false,
+ *       "description": "Amazon Associates affiliate tag for buy links"
+ *     },
+ *     {
+ *       "key": "supabase.serviceKey",
+ *       "env": "SUPABASE_SERVICE_KEY",
+ *       "source": "env",
+ *       "value": "****a1b2",
+ *       ...
+ *     }
+ *   ]
+ * }
+ */
+
+import { createHandler } from '../_lib/handler.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { getConfigReport } from '../_lib/config.js';
+import { HTTP_STATUS } from '../_lib/errors.js';
+
+export default createHandler({
+  route: 'admin-config',
+  methods: ['GET'],
+  access: CORS_ACCESS.PRIVATE,
+  admin: true
+}, async (req, res) => {
+  // Configuration can change between deployments; never serve it from a cache
+  res.setHeader('Cache-Control', 'no-store');
+
+  return res.status(HTTP_STATUS.OK).json({
+    success: true,
+    ...getConfigReport()
+  });
+});
@@ -3,230 +3,253 @@
  *
  * Fetches books from the AuthorKit Bookshelf with optional filtering and pagination.
  * Used by the frontend to display books on bookshelf.authorkit.pro.
+ * Only books from verified sites are listed; soft-deleted books are hidden.
+ * Books from stale sites (see api/_lib/site-health.js) are ranked after the
+ * others and books from dead sites are hidden.
  *
  * Query parameters:
- * - genre: Filter by genre slug (e.g., "fantasy")
+ * - genre: Filter by genre slugs or aliases, comma-separated (e.g., "fantasy,science-fiction");
+ *   each genre includes its subgenres
+ * - genre_match: "any" (default) lists books in at least one of the genres,
+ *   "all" lists books in every one of them
  * - search: Search by title or author name
  * - page: Page number (default: 1)
  * - limit: Items per page (default: 20, max: 100)
  * - sort: Sort order ("latest", "oldest", "title-asc", "title-desc")
  *
- * Example: /api/bookshelf/books?genre=fantasy&page=1&limit=20
+ * Invalid parameters are rejected with a 400 listing the errors by parameter.
+ *
+ * Example: /api/bookshelf/books?genre=romance,young-adult&genre_match=all&page=1&limit=20
  *
  * Response:
  * {
  *   "success": true,
  *   "books": [...],
  *   "pagination": {...},
- *   "stats": {...}
+ *   "stats": {
+ *     "total_books": 120,
+ *     "total_authors": 35,
+ *     "total_genres": 14,
+ *     "refreshed_at": "2026-03-01T12:15:00.000Z"
+ *   },
+ *   "view_counts_refreshed_at": "2026-03-01T12:15:00.000Z"
  * }
+ *
+ * view_count and stats come from materialized views and can be up to an hour
+ * old; the refreshed_at timestamps say how old (null if never refreshed).
  */
 
-import supabase, { formatSupabaseError } from '../_lib/supabase.js';
-import { setCorsHeaders, setSecurityHeaders } from '../_lib/security.js';
-import { getEnv } from '../_lib/env-validator.js';
-
-export default async function handler(req, res) {
-  // Set CORS and security headers
-  setCorsHeaders(req, res);
-  setSecurityHeaders(res);
+import supabase from '../_lib/supabase.js';
+import { createHandler } from '../_lib/handler.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import config from '../_lib/config.js';
+import { DatabaseError } from '../_lib/errors.js';
+import { formatBook } from '../_lib/books.js';
+import { SITE_HEALTH } from '../_lib/site-health.js';
+import { getViewRefreshTimes } from '../_lib/views.js';
+import { resolveGenre, buildGenreFilters } from '../_lib/genres.js';
 
-  // Handle OPTIONS request for CORS preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+/**
+ * Maximum number of genres in one genre filter
+ */
+const MAX_GENRE_FILTERS = 5;
 
-  // Only allow GET requests
-  if (req.method !== 'GET') {
-    return res.status(405).json({
-      success: false,
-      error: 'Method not allowed. Use GET.'
-    });
-  }
+/**
+ * Split a comma-separated genre parameter
+ *
+ * @param {string} value - e.g. "fantasy, sci-fi"
+ * @returns {Array<string>} Non-empty genre slugs or aliases
+ */
+function parseGenreList(value) {
+  return value.split(',').map(genre => genre.trim()).filter(genre => genre);
+}
 
-  try {
-    const {
-      genre,
-      search,
-      page = 1,
-      limit = 20,
-      sort = 'latest'
-    } = req.query;
-
-    // Validate and sanitize pagination
-    const pageNum = Math.max(1, parseInt(page) || 1);
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
-    const offset = (pageNum - 1) * limitNum;
-
-    // Build the base query
-    let query = supabase
-      .from('bookshelf_books')
-      .select(`
-        id,
-        book_post_id,
-        title,
-        slug,
-        description,
-        cover_medium,
-        cover_large,
-        author_name,
-        author_bio,
-        site_url,
-        purchase_amazon_in,
-        purchase_amazon_com,
-        purchase_other,
-        formats,
-        rating,
-        review_count,
-        publication_date,
-        synced_at,
-        bookshelf_book_genres (
-          genre_slug
-        )
-      `, { count: 'exact' });
-
-    // Apply genre filter
-    if (genre) {
-      query = query.filter('bookshelf_book_genres.genre_slug', 'eq', genre);
+/**
+ * Query parameter schema (see api/_lib/validation.js)
+ * limit is clamped to 1-100 rather than rejected.
+ */
+const QUERY_SCHEMA = {
+  genre: {
+    type: 'string',
+    maxLength: 300,
+    check: (value) => {
+      const genres = parseGenreList(value);
+      if (genres.length > MAX_GENRE_FILTERS) {
+        return `must list at most ${MAX_GENRE_FILTERS} genres`;
+      }
+      const unknown = genres.filter(genre => !resolveGenre(genre));
+      return unknown.length > 0
+        ? `has unknown genres: ${unknown.join(', ')} (see /api/bookshelf/genres)`
+        : null;
     }
+  },
+  genre_match: { type: 'string', enum: ['any', 'all'] },
+  search: { type: 'string', maxLength: 100 },
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer' },
+  sort: { type: 'string', enum: ['latest', 'oldest', 'title-asc', 'title-desc'] }
+};
+
+export default createHandler({
+  route: 'books',
+  methods: ['GET'],
+  access: CORS_ACCESS.PUBLIC,
+  schema: QUERY_SCHEMA
+}, async (req, res) => {
+  const {
+    genre,
+    genre_match: genreMatch = 'any',
+    search,
+    page = 1,
+    limit = 20,
+    sort = 'latest'
+  } = req.query;
+
+  // Validate and sanitize pagination
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const offset = (pageNum - 1) * limitNum;
+
+  // Genre filter: each genre matches its subgenres too (see buildGenreFilters)
+  const genreFilters = genre ? buildGenreFilters(parseGenreList(genre), genreMatch) : [];
+
+  // Each filter joins the genres again under its own alias, so the embedded
+  // bookshelf_book_genres still lists every genre of a matching book
+  const genreJoins = genreFilters
+    .map((_, i) => `genre_filter_${i}:bookshelf_book_genres!inner (genre_slug)`)
+    .join(',\n');
+
+  // Build the base query
+  let query = supabase
+    .from('bookshelf_books')
+    .select(`
+      id,
+      book_post_id,
+      title,
+      slug,
+      description,
+      cover_medium,
+      cover_large,
+      author_name,
+      author_bio,
+      site_url,
+      purchase_amazon_in,
+      purchase_amazon_com,
+      purchase_other,
+      formats,
+      rating,
+      review_count,
+      publication_date,
+      series_name,
+      series_position,
+      language,
+      genres_inferred,
+      synced_at,
+      bookshelf_book_genres (
+        genre_slug
+      ),
+      bookshelf_sites!inner (
+        verified,
+        health_status
+      )${genreJoins ? `,\n${genreJoins}` : ''}
+    `, { count: 'exact' })
+    .eq('bookshelf_sites.verified', true)
+    .neq('bookshelf_sites.health_status', SITE_HEALTH.DEAD)
+    .is('deleted_at', null)
+    // Down-rank books from stale sites ("healthy" sorts before "stale")
+    .order('bookshelf_sites(health_status)', { ascending: true });
+
+  // Apply genre filters (a genre matches its subgenres too)
+  genreFilters.forEach((slugs, i) => {
+    query = query.in(`genre_filter_${i}.genre_slug`, slugs);
+  });
+
+  // Apply search filter
+  if (search) {
+    query = query.or(`title.ilike.%${search}%,author_name.ilike.%${search}%`);
+  }
 
-    // Apply search filter
-    if (search) {
-      query = query.or(`title.ilike.%${search}%,author_name.ilike.%${search}%`);
-    }
+  // Apply sorting
+  switch (sort) {
+    case 'oldest':
+      query = query.order('publication_date', { ascending: true });
+      break;
+    case 'title-asc':
+      query = query.order('title', { ascending: true });
+      break;
+    case 'title-desc':
+      query = query.order('title', { ascending: false });
+      break;
+    case 'latest':
+    default:
+      query = query.order('synced_at', { ascending: false });
+      break;
+  }
 
-    // Apply sorting
-    switch (sort) {
-      case 'oldest':
-        query = query.order('publication_date', { ascending: true });
-        break;
-      case 'title-asc':
-        query = query.order('title', { ascending: true });
-        break;
-      case 'title-desc':
-        query = query.order('title', { ascending: false });
-        break;
-      case 'latest':
-      default:
-        query = query.order('synced_at', { ascending: false });
-        break;
-    }
+  // Apply pagination
+  query = query.range(offset, offset + limitNum - 1);
 
-    // Apply pagination
-    query = query.range(offset, offset + limitNum - 1);
+  // Execute query
+  const { data: books, error, count } = await query;
 
-    // Execute query
-    const { data: books, error, count } = await query;
+  if (error) {
+    throw new DatabaseError(error, 'Book listing');
+  }
 
-    if (error) {
-      console.error('Supabase error:', error);
-      return res.status(500).json(formatSupabaseError(error));
+  // View counts and stats come from materialized views refreshed hourly
+  // (see api/_lib/views.js); the listing still works if they fail
+  const bookIds = books.map(b => b.id);
+  const [viewCounts, stats, refreshes] = await Promise.all([
+    supabase
+      .from('bookshelf_book_view_counts')
+      .select('book_id, view_count')
+      .in('book_id', bookIds),
+    supabase
+      .from('bookshelf_stats')
+      .select('total_books, total_authors, total_genres')
+      .maybeSingle(),
+    getViewRefreshTimes()
+  ]);
+
+  for (const [name, result] of Object.entries({ viewCounts, stats, refreshes })) {
+    if (result.error) {
+      req.log.error(`Failed to load ${name}`, result.error);
     }
+  }
 
-    // Get view counts for all books in this result set
-    // OPTIMIZATION OPPORTUNITY: Create a materialized view in Supabase:
-    // CREATE MATERIALIZED VIEW bookshelf_book_view_counts AS
-    //   SELECT book_id, COUNT(*) as view_count
-    //   FROM bookshelf_book_views
-    //   GROUP BY book_id;
-    // Then query that view instead of counting here
-    const bookIds = books.map(b => b.id);
-    const { data: viewCounts } = await supabase
-      .from('bookshelf_book_views')
-      .select('book_id')
-      .in('book_id', bookIds);
-
-    // Create a map of book_id to view count
-    const viewCountMap = {};
-    if (viewCounts) {
-      viewCounts.forEach(v => {
-        viewCountMap[v.book_id] = (viewCountMap[v.book_id] || 0) + 1;
-      });
+  // Create a map of book_id to view count
+  const viewCountMap = {};
+  (viewCounts.data || []).forEach(v => {
+    viewCountMap[v.book_id] = Number(v.view_count);
+  });
+
+  // Format books data
+  const formattedBooks = books.map(book => formatBook(book, viewCountMap[book.id] || 0));
+
+  // Calculate pagination
+  const totalPages = Math.ceil((count || 0) / limitNum);
+
+  const affiliateTag = config.amazon.affiliateTag;
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    books: formattedBooks,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total: count || 0,
+      pages: totalPages
+    },
+    stats: {
+      total_books: Number(stats.data?.total_books ?? 0),
+      total_authors: Number(stats.data?.total_authors ?? 0),
+      total_genres: Number(stats.data?.total_genres ?? 0),
+      refreshed_at: refreshes.refreshedAt.bookshelf_stats
+    },
+    view_counts_refreshed_at: refreshes.refreshedAt.bookshelf_book_view_counts,
+    config: {
+      amazon_affiliate_tag: affiliateTag
     }
-
-    // Format books data
-    const formattedBooks = books.map(book => ({
-      id: book.id,
-      title: book.title,
-      slug: book.slug,
-      description: book.description,
-      cover: {
-        medium: book.cover_medium,
-        large: book.cover_large
-      },
-      author: {
-        name: book.author_name,
-        bio: book.author_bio,
-        site_url: book.site_url
-      },
-      source_post_id: book.book_post_id,
-      genres: book.bookshelf_book_genres?.map(g => g.genre_slug) || [],
-      purchase_links: {
-        amazon_in: book.purchase_amazon_in,
-        amazon_com: book.purchase_amazon_com,
-        other: book.purchase_other
-      },
-      formats: book.formats ? JSON.parse(book.formats) : [],
-      rating: book.rating,
-      review_count: book.review_count,
-      publication_date: book.publication_date,
-      synced_at: book.synced_at,
-      view_count: viewCountMap[book.id] || 0
-    }));
-
-    // Get stats (total books and authors)
-    // OPTIMIZATION OPPORTUNITY: Create a materialized view for stats:
-    // CREATE MATERIALIZED VIEW bookshelf_stats AS
-    //   SELECT
-    //     COUNT(*) as total_books,
-    //     COUNT(DISTINCT site_url) as total_authors,
-    //     COUNT(DISTINCT bookshelf_book_genres.genre_slug) as total_genres
-    //   FROM bookshelf_books
-    //   LEFT JOIN bookshelf_book_genres ON bookshelf_books.id = bookshelf_book_genres.book_id;
-    // Refresh periodically: REFRESH MATERIALIZED VIEW bookshelf_stats;
-    // Then query that view instead of counting here (saves 2 queries per request)
-    const { count: totalBooks } = await supabase
-      .from('bookshelf_books')
-      .select('*', { count: 'exact', head: true });
-
-    const { data: authorStats } = await supabase
-      .from('bookshelf_books')
-      .select('site_url')
-      .limit(1000); // Reasonable limit for distinct count
-
-    const uniqueAuthors = new Set(authorStats?.map(b => b.site_url) || []).size;
-
-    // Calculate pagination
-    const totalPages = Math.ceil((count || 0) / limitNum);
-
-    // Get affiliate tag from environment
-    const affiliateTag = getEnv('AMAZON_AFFILIATE_TAG', 'minihover-21');
-
-    // Success response
-    return res.status(200).json({
-      success: true,
-      books: formattedBooks,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total: count || 0,
-        pages: totalPages
-      },
-      stats: {
-        total_books: totalBooks || 0,
-        total_authors: uniqueAuthors
-      },
-      config: {
-        amazon_affiliate_tag: affiliateTag
-      }
-    });
-
-  } catch (error) {
-    console.error('Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      message: error.message
-    });
-  }
-}
+  });
+});
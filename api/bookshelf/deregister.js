@@ -3,7 +3,16 @@
  *
  * Deregisters a site from the AuthorKit Bookshelf.
  * Called when an author disables the Bookshelf feature in their plugin settings.
- * Removes all books from the site and marks the site as inactive.
+ * Soft-deletes all books from the site and marks the site as inactive.
+ *
+ * Soft-deleted books are hidden from /api/bookshelf/books but kept, with their
+ * view history, for the grace period (BOOKSHELF_DELETE_GRACE_DAYS, default 30).
+ * Re-registering the site within that period restores them; afterwards the
+ * purge job (/api/bookshelf/purge) removes them permanently.
+ *
+ * Requires an X-Bookshelf-Signature header signed with the site's secret
+ * (see api/_lib/signature.js). Unsigned or stale requests get a 401.
+ * Accepts an optional Idempotency-Key header for safe retries (see api/_lib/idempotency.js).
  *
  * Request body:
  * {
@@ -14,89 +23,71 @@
  * {
  *   "success": true,
  *   "books_removed": 12,
+ *   "restorable_until": "2026-03-24T12:00:00.000Z",
  *   "message": "Site deregistered successfully"
  * }
  */
 
-import supabase, { formatSupabaseError, validatePayload } from '../_lib/supabase.js';
-import { setCorsHeaders, setSecurityHeaders } from '../_lib/security.js';
+import supabase from '../_lib/supabase.js';
+import { createHandler } from '../_lib/handler.js';
+import { SITE_URL } from '../_lib/fields.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { DatabaseError } from '../_lib/errors.js';
+import { applyIdempotencyKey } from '../_lib/idempotency.js';
+import { getRestoreDeadline } from '../_lib/books.js';
 
-export default async function handler(req, res) {
-  // Set CORS and security headers
-  setCorsHeaders(req, res);
-  setSecurityHeaders(res);
+/**
+ * Request body schema (see api/_lib/validation.js)
+ */
+const REQUEST_SCHEMA = {
+  site_url: SITE_URL
+};
 
-  // Handle OPTIONS request for CORS preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+export default createHandler({
+  route: 'deregister',
+  methods: ['POST'],
+  access: CORS_ACCESS.PRIVATE,
+  schema: REQUEST_SCHEMA,
+  signed: true
+}, async (req, res) => {
+  const payload = req.body;
 
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({
-      success: false,
-      error: 'Method not allowed. Use POST.'
-    });
+  // Replay the first response if this Idempotency-Key was already used
+  if (await applyIdempotencyKey(req, res, payload.site_url, 'deregister')) {
+    return;
   }
 
-  try {
-    const payload = req.body;
-
-    // Validate required fields
-    const validationError = validatePayload(payload, ['site_url']);
-    if (validationError) {
-      return res.status(400).json(validationError);
-    }
-
-    const { site_url } = payload;
+  const { site_url } = payload;
 
-    // First, count how many books will be removed
-    const { count: bookCount, error: countError } = await supabase
-      .from('bookshelf_books')
-      .select('*', { count: 'exact', head: true })
-      .eq('site_url', site_url);
+  // Soft-delete all books from this site
+  // They stay hidden until re-registration restores them or the purge job removes them
+  const deletedAt = new Date().toISOString();
+  const { data: removedBooks, error: deleteError } = await supabase
+    .from('bookshelf_books')
+    .update({ deleted_at: deletedAt })
+    .eq('site_url', site_url)
+    .is('deleted_at', null)
+    .select('id');
 
-    if (countError) {
-      console.error('Count error:', countError);
-      // Don't fail the request, just log it
-    }
-
-    // Delete all books from this site
-    // Genres will be automatically deleted due to ON DELETE CASCADE
-    const { error: deleteError } = await supabase
-      .from('bookshelf_books')
-      .delete()
-      .eq('site_url', site_url);
-
-    if (deleteError) {
-      console.error('Delete error:', deleteError);
-      return res.status(500).json(formatSupabaseError(deleteError));
-    }
-
-    // Mark the site as inactive
-    const { error: updateError } = await supabase
-      .from('bookshelf_sites')
-      .update({ active: false })
-      .eq('site_url', site_url);
-
-    if (updateError) {
-      console.error('Update error:', updateError);
-      return res.status(500).json(formatSupabaseError(updateError));
-    }
+  if (deleteError) {
+    throw new DatabaseError(deleteError, 'Book soft-delete');
+  }
 
-    // Success response
-    return res.status(200).json({
-      success: true,
-      books_removed: bookCount || 0,
-      message: 'Site deregistered successfully'
-    });
+  // Mark the site as inactive
+  const { error: updateError } = await supabase
+    .from('bookshelf_sites')
+    .update({ active: false, deregistered_at: deletedAt })
+    .eq('site_url', site_url);
 
-  } catch (error) {
-    console.error('Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      message: error.message
-    });
+  if (updateError) {
+    throw new DatabaseError(updateError, 'Site deactivation');
   }
-}
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    books_removed: removedBooks.length,
+    restorable_until: getRestoreDeadline(deletedAt),
+    message: 'Site deregistered successfully'
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * GET /api/bookshelf/genres
+ *
+ * The bookshelf genre taxonomy (see api/_lib/genres.js) with the number of
+ * listed books in each genre. The browse page builds its genre filters and
+ * genre badges from it.
+ *
+ * A genre's count includes the books of its subgenres (each book once), so it
+ * matches what /api/bookshelf/books?genre=<slug> lists. Counts are live when
+ * the response is built; if they cannot be read the taxonomy is still
+ * returned, with null counts.
+ *
+ * Responses can be cached for a few minutes: they carry Cache-Control and an
+ * ETag, and a request with a matching If-None-Match gets a 304 while the counts
+ * are unchanged (see api/_lib/cache.js).
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "genres": [
+ *     {
+ *       "slug": "fantasy",
+ *       "name": "Fantasy",
+ *       "description": "Magic, mythical creatures and invented worlds.",
+ *       "parent": null,
+ *       "aliases": [],
+ *       "book_count": 42
+ *     },
+ *     {
+ *       "slug": "epic-fantasy",
+ *       "name": "Epic Fantasy",
+ *       "parent": "fantasy",
+ *       ...
+ *     }
+ *   ]
+ * }
+ */
+
+import { createHandler } from '../_lib/handler.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { GENRES, countGenreBooks } from '../_lib/genres.js';
+import { sendCachedJson } from '../_lib/cache.js';
+
+/**
+ * Counts are live, so shared caches keep them for 5 minutes rather than the
+ * 15 of responses built from the hourly materialized views
+ */
+const COUNTS_CACHE_CONTROL = 'public, max-age=60, s-maxage=300, stale-while-revalidate=600';
+
+export default createHandler({
+  route: 'genres',
+  methods: ['GET'],
+  access: CORS_ACCESS.PUBLIC
+}, async (req, res) => {
+  const { counts, error } = await countGenreBooks();
+
+  if (error) {
+    req.log.error('Failed to load genre counts', error);
+  }
+
+  return sendCachedJson(req, res, {
+    success: true,
+    genres: GENRES.map(genre => ({
+      ...genre,
+      book_count: counts ? counts.get(genre.slug) || 0 : null
+    }))
+  }, COUNTS_CACHE_CONTROL);
+});
@@ -0,0 +1,71 @@
+/**
+ * GET /api/bookshelf/health
+ *
+ * Deep health check for uptime monitors (see api/_lib/health.js).
+ * Checks database reachability and latency, the age of each materialized
+ * view and failed syncs in the last hour.
+ *
+ * Responds 200 when the status is "ok" or "degraded" and 503 when it is
+ * "down", so monitors can alert on the status code or on the "status" field.
+ *
+ * Anonymous callers only get the status. The full report (deployed commit,
+ * check details, configuration warnings) requires
+ * "Authorization: Bearer <BOOKSHELF_ADMIN_TOKEN>" or the cron secret.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "status": "degraded",
+ *   "timestamp": "2026-03-01T12:00:00.000Z"
+ * }
+ *
+ * Response with an admin or cron token:
+ * {
+ *   "success": true,
+ *   "status": "degraded",
+ *   "timestamp": "2026-03-01T12:00:00.000Z",
+ *   "version": { "commit": "4f1c2ab...", "ref": "main", "environment": "production" },
+ *   "checks": {
+ *     "database": { "status": "ok", "latency_ms": 42, "books_count": 1234 },
+ *     "materialized_views": {
+ *       "status": "degraded",
+ *       "views": {
+ *         "bookshelf_stats": { "status": "degraded", "refreshed_at": "...", "age_seconds": 90000 },
+ *         ...
+ *       }
+ *     },
+ *     "syncs": { "status": "ok", "failed_last_hour": 0 }
+ *   },
+ *   "config_warnings": ["REDIS_URL is not set; rate limits are counted per instance"]
+ * }
+ */
+
+import { createHandler } from '../_lib/handler.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { runHealthChecks, toPublicHealthReport, HEALTH_STATUS } from '../_lib/health.js';
+import { isAuthorizedAdminRequest, isAuthorizedCronRequest } from '../_lib/security.js';
+import { HTTP_STATUS } from '../_lib/errors.js';
+
+export default createHandler({
+  route: 'health',
+  methods: ['GET'],
+  access: CORS_ACCESS.PRIVATE
+}, async (req, res) => {
+  const report = await runHealthChecks(req.log);
+
+  if (report.status !== HEALTH_STATUS.OK) {
+    req.log.warn('Health check not ok', { status: report.status });
+  }
+
+  const detailed = isAuthorizedAdminRequest(req) || isAuthorizedCronRequest(req);
+
+  // The body depends on the Authorization header; never serve it from a cache
+  res.setHeader('Cache-Control', 'no-store');
+
+  return res
+    .status(report.status === HEALTH_STATUS.DOWN ? HTTP_STATUS.SERVICE_UNAVAILABLE : HTTP_STATUS.OK)
+    .json({
+      success: report.status !== HEALTH_STATUS.DOWN,
+      ...(detailed ? report : toPublicHealthReport(report))
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * POST /api/bookshelf/heartbeat
+ *
+ * Lightweight check-in sent by the plugin (e.g., daily from WP-Cron and after
+ * the plugin or WordPress is updated). Records the reported versions and
+ * repeats the handshake, so the plugin learns about new payload schemas,
+ * features or a raised minimum version without re-registering.
+ *
+ * Each heartbeat also updates the site's last_seen_at and marks it healthy;
+ * sites that stop sending heartbeats are flagged by /api/bookshelf/site-health.
+ *
+ * Plugins older than BOOKSHELF_MIN_PLUGIN_VERSION get a 426 UPGRADE_REQUIRED
+ * error (see api/_lib/handshake.js).
+ *
+ * Requires an X-Bookshelf-Signature header signed with the site's secret
+ * (see api/_lib/signature.js). Unsigned or stale requests get a 401.
+ *
+ * Request body:
+ * {
+ *   "site_url": "https://authorsite.com",
+ *   "plugin_version": "1.4.2",
+ *   "wp_version": "6.5.2",          // Optional
+ *   "payload_schemas": [1]          // Optional, defaults to [1]
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "handshake": {
+ *     "min_plugin_version": "1.0.0",
+ *     "payload_schema": 1,
+ *     "supported_payload_schemas": [1],
+ *     "features": ["signed_requests", "idempotency_keys", "site_verification", ...]
+ *   },
+ *   "message": "Heartbeat received"
+ * }
+ */
+
+import supabase from '../_lib/supabase.js';
+import { createHandler } from '../_lib/handler.js';
+import { SITE_URL } from '../_lib/fields.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { HANDSHAKE_FIELDS, readHandshake, negotiateHandshake } from '../_lib/handshake.js';
+import { seenNow } from '../_lib/site-health.js';
+import { notFoundError, HTTP_STATUS, DatabaseError } from '../_lib/errors.js';
+
+/**
+ * Request body schema (see api/_lib/validation.js)
+ */
+const REQUEST_SCHEMA = {
+  site_url: SITE_URL,
+  ...HANDSHAKE_FIELDS,
+  plugin_version: { ...HANDSHAKE_FIELDS.plugin_version, required: true }
+};
+
+export default createHandler({
+  route: 'heartbeat',
+  methods: ['POST'],
+  access: CORS_ACCESS.PRIVATE,
+  schema: REQUEST_SCHEMA,
+  signed: true
+}, async (req, res) => {
+  const payload = req.body;
+  const plugin = readHandshake(payload);
+  const negotiation = negotiateHandshake(plugin);
+
+  // Record the contact and reported versions even when the plugin is too
+  // old, so outdated installs show up in the sites table
+  const { data: sites, error } = await supabase
+    .from('bookshelf_sites')
+    .update({
+      plugin_version: plugin.plugin_version,
+      wp_version: plugin.wp_version,
+      payload_schemas: plugin.payload_schemas,
+      ...(negotiation.compatible && { payload_schema: negotiation.handshake.payload_schema }),
+      handshake_at: new Date().toISOString(),
+      ...seenNow()
+    })
+    .eq('site_url', payload.site_url)
+    .select('id');
+
+  if (error) {
+    throw new DatabaseError(error, 'Heartbeat update');
+  }
+
+  if (sites.length === 0) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(notFoundError('Site'));
+  }
+
+  if (!negotiation.compatible) {
+    return res.status(negotiation.status).json(negotiation.error);
+  }
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    handshake: negotiation.handshake,
+    message: 'Heartbeat received'
+  });
+});
@@ -5,66 +5,48 @@
  * Called by Vercel cron every 6 days (configured in vercel.json).
  *
  * Supabase free tier pauses after 7 days of inactivity with ~60s cold start.
- * This cron runs every 6 days to keep the database active.
+ * This cron runs every 6 days to keep the database active. It runs the same
+ * database check as /api/bookshelf/health (see api/_lib/health.js).
  *
  * Response:
  * {
  *   "success": true,
  *   "message": "Database keepalive successful",
- *   "timestamp": "2026-02-22T12:00:00.000Z"
+ *   "timestamp": "2026-02-22T12:00:00.000Z",
+ *   "books_count": 1234,
+ *   "latency_ms": 42
  * }
  */
 
-import supabase, { formatSupabaseError } from '../_lib/supabase.js';
-import { setCorsHeaders, setSecurityHeaders } from '../_lib/security.js';
-
-export default async function handler(req, res) {
-  // Set CORS and security headers
-  setCorsHeaders(req, res);
-  setSecurityHeaders(res);
-
-  // Handle OPTIONS request for CORS preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+import { createHandler } from '../_lib/handler.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { DatabaseError } from '../_lib/errors.js';
+import { checkDatabase } from '../_lib/health.js';
+
+export default createHandler({
+  route: 'keepalive',
+  methods: ['GET'],
+  access: CORS_ACCESS.PRIVATE
+}, async (req, res) => {
+  // Perform a simple query to keep the database active
+  const database = await checkDatabase();
+
+  if (database.dbError) {
+    throw new DatabaseError(database.dbError, 'Keepalive query');
   }
 
-  // Only allow GET requests
-  if (req.method !== 'GET') {
-    return res.status(405).json({
-      success: false,
-      error: 'Method not allowed. Use GET.'
-    });
-  }
-
-  try {
-    // Perform a simple query to keep the database active
-    // Using head: true means we only get the count, not the actual data
-    const { count, error } = await supabase
-      .from('bookshelf_books')
-      .select('id', { count: 'exact', head: true });
-
-    if (error) {
-      console.error('Keepalive query error:', error);
-      return res.status(500).json(formatSupabaseError(error));
-    }
-
-    // Log success for monitoring
-    console.log(`[Keepalive] Database active - ${count || 0} books in database`);
-
-    // Success response
-    return res.status(200).json({
-      success: true,
-      message: 'Database keepalive successful',
-      timestamp: new Date().toISOString(),
-      books_count: count || 0
-    });
-
-  } catch (error) {
-    console.error('Unexpected keepalive error:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      message: error.message
-    });
-  }
-}
+  // Log success for monitoring
+  req.log.info('Database keepalive successful', {
+    books_count: database.books_count,
+    latency_ms: database.latency_ms
+  });
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    message: 'Database keepalive successful',
+    timestamp: new Date().toISOString(),
+    books_count: database.books_count,
+    latency_ms: database.latency_ms
+  });
+});
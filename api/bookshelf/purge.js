@@ -0,0 +1,87 @@
+/**
+ * GET /api/bookshelf/purge
+ *
+ * Permanently deletes books that were soft-deleted by a deregistration and
+ * whose grace period (BOOKSHELF_DELETE_GRACE_DAYS, default 30) has ended.
+ * Also removes failed sync records older than 7 days (see api/_lib/health.js)
+ * and expired idempotency keys of every site (see api/_lib/idempotency.js).
+ * Called daily by Vercel cron (configured in vercel.json).
+ *
+ * Requires "Authorization: Bearer <CRON_SECRET>", which Vercel cron sends
+ * automatically when the CRON_SECRET environment variable is set.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "books_purged": 12,
+ *   "sync_failures_purged": 3,
+ *   "idempotency_keys_purged": 40,
+ *   "cutoff": "2026-01-23T03:00:00.000Z"
+ * }
+ */
+
+import supabase from '../_lib/supabase.js';
+import { createHandler } from '../_lib/handler.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { DatabaseError } from '../_lib/errors.js';
+import { getDeleteCutoff } from '../_lib/books.js';
+import { SYNC_FAILURE_RETENTION_MS } from '../_lib/health.js';
+import { IDEMPOTENCY_TTL_MS } from '../_lib/idempotency.js';
+
+export default createHandler({
+  route: 'purge',
+  methods: ['GET'],
+  access: CORS_ACCESS.PRIVATE,
+  cron: true
+}, async (req, res) => {
+  const cutoff = getDeleteCutoff();
+
+  // Views and genres are removed with the books (ON DELETE CASCADE)
+  const { data: purgedBooks, error } = await supabase
+    .from('bookshelf_books')
+    .delete()
+    .lt('deleted_at', cutoff)
+    .select('id');
+
+  if (error) {
+    throw new DatabaseError(error, 'Purge');
+  }
+
+  // Failed syncs only matter to the health check for the last hour
+  const { data: purgedFailures, error: failuresError } = await supabase
+    .from('bookshelf_sync_failures')
+    .delete()
+    .lt('failed_at', new Date(Date.now() - SYNC_FAILURE_RETENTION_MS).toISOString())
+    .select('id');
+
+  if (failuresError) {
+    throw new DatabaseError(failuresError, 'Sync failure purge');
+  }
+
+  // Sites only clear their own expired keys when they send a new one
+  const { data: purgedKeys, error: keysError } = await supabase
+    .from('bookshelf_idempotency_keys')
+    .delete()
+    .lt('created_at', new Date(Date.now() - IDEMPOTENCY_TTL_MS).toISOString())
+    .select('idempotency_key');
+
+  if (keysError) {
+    throw new DatabaseError(keysError, 'Idempotency key purge');
+  }
+
+  req.log.info('Purged soft-deleted books', {
+    books_purged: purgedBooks.length,
+    sync_failures_purged: purgedFailures.length,
+    idempotency_keys_purged: purgedKeys.length,
+    cutoff
+  });
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    books_purged: purgedBooks.length,
+    sync_failures_purged: purgedFailures.length,
+    idempotency_keys_purged: purgedKeys.length,
+    cutoff
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * POST /api/bookshelf/reconcile
+ *
+ * Reconciles the bookshelf catalog of a site with the books it currently publishes.
+ * Called by the plugin periodically and after the API was unreachable, so books
+ * whose /remove call was missed (e.g., trashed while the API was down) get pruned.
+ *
+ * Listed books whose book_post_id is not in the list are soft-deleted, like
+ * deregistered books (see /api/bookshelf/deregister): they are hidden at once,
+ * a later sync of the book restores them, and the purge job removes them after
+ * the grace period. Only books last synced before "generated_at" (when the
+ * plugin built the list) are pruned; newer ones are reported as "skipped".
+ * With "dry_run": true the report is computed but nothing is changed.
+ * An empty list would prune the whole catalog, so it is rejected with a 400
+ * unless the request also sets "allow_empty": true.
+ *
+ * Requires an X-Bookshelf-Signature header signed with the site's secret
+ * (see api/_lib/signature.js). Unsigned or stale requests get a 401.
+ * Accepts an optional Idempotency-Key header for safe retries (see api/_lib/idempotency.js).
+ *
+ * Request body:
+ * {
+ *   "site_url": "https://authorsite.com",
+ *   "book_post_ids": [42, 43, 57],
+ *   "generated_at": "2026-02-22T12:00:00Z",   // When the plugin built the list
+ *   "dry_run": false,
+ *   "allow_empty": false                      // Required to send an empty list
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "dry_run": false,
+ *   "report": {
+ *     "added": [57],                  // Published on the site but not on the bookshelf yet (sync these)
+ *     "kept": [42, 43],               // On both sides
+ *     "pruned": [ { "book_post_id": 12, "book_id": 456, "title": "..." } ],
+ *     "skipped": [61]                 // Not in the list, but synced after generated_at
+ *   },
+ *   "restorable_until": "2026-03-24T12:00:00.000Z",   // null for dry runs
+ *   "message": "Catalog reconciled successfully"
+ * }
+ */
+
+import { createHandler } from '../_lib/handler.js';
+import { SITE_URL, SOURCE_TIMESTAMP } from '../_lib/fields.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { validationError } from '../_lib/errors.js';
+import { applyIdempotencyKey } from '../_lib/idempotency.js';
+import { getRestoreDeadline, parseSourceTimestamp } from '../_lib/books.js';
+import { fetchListedBooks, getPruneCutoff, buildReconcileReport, pruneBooks } from '../_lib/reconcile.js';
+
+/**
+ * Maximum number of post IDs accepted in one reconcile request
+ */
+const MAX_POST_IDS = 5000;
+
+/**
+ * Request body schema (see api/_lib/validation.js)
+ */
+const REQUEST_SCHEMA = {
+  site_url: SITE_URL,
+  book_post_ids: {
+    type: 'array',
+    required: true,
+    maxItems: MAX_POST_IDS,
+    items: { type: 'integer', required: true, min: 0 }
+  },
+  generated_at: { ...SOURCE_TIMESTAMP, required: true },
+  dry_run: { type: 'boolean' },
+  allow_empty: { type: 'boolean' }
+};
+
+export default createHandler({
+  route: 'reconcile',
+  methods: ['POST'],
+  access: CORS_ACCESS.PRIVATE,
+  schema: REQUEST_SCHEMA,
+  signed: true
+}, async (req, res) => {
+  const payload = req.body;
+
+  const postIds = payload.book_post_ids.map(Number);
+
+  // An empty list prunes everything: only accept it when asked for explicitly
+  if (postIds.length === 0 && payload.allow_empty !== true) {
+    return res.status(400).json(validationError(null, {
+      book_post_ids: 'must not be empty unless "allow_empty" is true'
+    }));
+  }
+
+  // Replay the first response if this Idempotency-Key was already used
+  if (await applyIdempotencyKey(req, res, payload.site_url, 'reconcile')) {
+    return;
+  }
+
+  const { site_url } = payload;
+  const dryRun = payload.dry_run === true;
+  const cutoff = getPruneCutoff(parseSourceTimestamp(payload.generated_at));
+
+  // Compare what the bookshelf currently lists for this site
+  const books = await fetchListedBooks(site_url);
+  const report = buildReconcileReport(books, postIds, cutoff);
+
+  // Soft-delete stale books, dropping any synced again since they were loaded
+  const deletedAt = new Date().toISOString();
+  if (!dryRun && report.pruned.length > 0) {
+    const pruned = await pruneBooks(site_url, report.pruned.map(book => book.book_id), cutoff, deletedAt);
+    report.pruned = report.pruned.filter(book => pruned.has(book.book_id));
+  }
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    dry_run: dryRun,
+    report,
+    restorable_until: dryRun ? null : getRestoreDeadline(deletedAt),
+    message: dryRun
+      ? 'Dry run complete. No changes were made.'
+      : 'Catalog reconciled successfully'
+  });
+});
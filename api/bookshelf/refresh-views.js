@@ -0,0 +1,56 @@
+/**
+ * GET /api/bookshelf/refresh-views
+ *
+ * Refreshes the materialized views that /api/bookshelf/books reads view counts
+ * and catalog stats from (see api/_lib/views.js).
+ * Called hourly by Vercel cron (configured in vercel.json).
+ *
+ * Requires "Authorization: Bearer <CRON_SECRET>", which Vercel cron sends
+ * automatically when the CRON_SECRET environment variable is set.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "refreshed_at": {
+ *     "bookshelf_book_view_counts": "2026-03-01T12:00:00.812Z",
+ *     "bookshelf_stats": "2026-03-01T12:00:00.812Z"
+ *   },
+ *   "duration_ms": 812
+ * }
+ */
+
+import { createHandler } from '../_lib/handler.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { DatabaseError } from '../_lib/errors.js';
+import { refreshMaterializedViews, getViewRefreshTimes } from '../_lib/views.js';
+
+export default createHandler({
+  route: 'refresh-views',
+  methods: ['GET'],
+  access: CORS_ACCESS.PRIVATE,
+  cron: true
+}, async (req, res) => {
+  const startedAt = Date.now();
+
+  const { error } = await refreshMaterializedViews();
+
+  if (error) {
+    throw new DatabaseError(error, 'View refresh');
+  }
+
+  const durationMs = Date.now() - startedAt;
+  const { refreshedAt, error: timesError } = await getViewRefreshTimes();
+
+  if (timesError) {
+    throw new DatabaseError(timesError, 'View refresh lookup');
+  }
+
+  req.log.info('Refreshed materialized views', { duration_ms: durationMs });
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    refreshed_at: refreshedAt,
+    duration_ms: durationMs
+  });
+});
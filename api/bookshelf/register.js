@@ -4,88 +4,250 @@
  * Registers a WordPress site to the AuthorKit Bookshelf.
  * Called when an author enables the Bookshelf feature in their plugin settings.
  *
+ * Registering a site without an active signing secret is unauthenticated, so
+ * it only issues a pending secret ("signing_secret_status": "pending") and a
+ * verification challenge (see api/_lib/signature.js). The secret becomes
+ * active, and the site verified, when the plugin publishes the token and calls
+ * /api/bookshelf/verify signed with it. The plugin then signs every write
+ * request with it. A new site is created unverified; an existing one (e.g.
+ * registered before request signing, or by someone else) is left unchanged,
+ * and whoever publishes their token first gets the site.
+ *
+ * Re-registering a site that has an active secret requires a signed request.
+ * Accepts an optional Idempotency-Key header for safe retries (see
+ * api/_lib/idempotency.js).
+ *
+ * Re-registering a site that was deregistered within the grace period restores
+ * the books soft-deleted by the deregistration along with their view history.
+ * Only books deleted at the deregistration itself come back: books pruned by
+ * /api/bookshelf/reconcile or removed before or after it stay hidden.
+ *
+ * New sites start unverified: their books are stored but not listed until the
+ * author publishes the returned challenge token and calls /api/bookshelf/verify.
+ *
+ * The plugin reports its version, the WordPress version and the payload schemas
+ * it supports; the response "handshake" tells it the payload schema to send and
+ * the enabled features (see api/_lib/handshake.js). Plugins older than
+ * BOOKSHELF_MIN_PLUGIN_VERSION get a 426 UPGRADE_REQUIRED error.
+ *
  * Request body:
  * {
  *   "site_url": "https://authorsite.com",
- *   "site_name": "Jane's Author Site"
+ *   "site_name": "Jane's Author Site",
+ *   "plugin_version": "1.4.2",       // Optional for plugins released before the handshake
+ *   "wp_version": "6.5.2",           // Optional
+ *   "payload_schemas": [1]           // Optional, defaults to [1]
  * }
  *
  * Response:
  * {
  *   "success": true,
  *   "site_id": 123,
+ *   "books_restored": 0,
+ *   "signing_secret": "9f86d0...",   // Sites without an active secret only
+ *   "signing_secret_status": "pending",
+ *   "verification": {
+ *     "verified": false,
+ *     "token": "akb-3f2a...",
+ *     "well_known_url": "https://authorsite.com/.well-known/authorkit-bookshelf.txt",
+ *     "meta_tag": "<meta name=\"authorkit-bookshelf-verification\" content=\"akb-3f2a...\">"
+ *   },
+ *   "handshake": {
+ *     "min_plugin_version": "1.0.0",
+ *     "payload_schema": 1,
+ *     "supported_payload_schemas": [1],
+ *     "features": ["signed_requests", "idempotency_keys", "site_verification", ...]
+ *   },
  *   "message": "Site registered successfully"
  * }
  */
 
-import supabase, { formatSupabaseError, validatePayload } from '../_lib/supabase.js';
-import { setCorsHeaders, setSecurityHeaders } from '../_lib/security.js';
+import supabase from '../_lib/supabase.js';
+import { createHandler } from '../_lib/handler.js';
+import { SITE_URL, SITE_NAME } from '../_lib/fields.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { DatabaseError } from '../_lib/errors.js';
+import { applyIdempotencyKey } from '../_lib/idempotency.js';
+import { verifySignedRequest, siteHasSecret, createSecretClaim } from '../_lib/signature.js';
+import { generateVerificationToken, buildVerificationInstructions } from '../_lib/site-verification.js';
+import { getDeleteCutoff } from '../_lib/books.js';
+import { HANDSHAKE_FIELDS, readHandshake, negotiateHandshake } from '../_lib/handshake.js';
+import { seenNow } from '../_lib/site-health.js';
 
-export default async function handler(req, res) {
-  // Set CORS and security headers
-  setCorsHeaders(req, res);
-  setSecurityHeaders(res);
+/**
+ * Request body schema (see api/_lib/validation.js)
+ */
+const REQUEST_SCHEMA = {
+  site_url: SITE_URL,
+  site_name: SITE_NAME,
+  ...HANDSHAKE_FIELDS
+};
 
-  // Handle OPTIONS request for CORS preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+export default createHandler({
+  route: 'register',
+  methods: ['POST'],
+  access: CORS_ACCESS.PRIVATE,
+  schema: REQUEST_SCHEMA
+}, async (req, res) => {
+  const payload = req.body;
+  const { site_url, site_name } = payload;
 
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({
-      success: false,
-      error: 'Method not allowed. Use POST.'
-    });
+  // Reject plugins the API can no longer talk to
+  const plugin = readHandshake(payload);
+  const negotiation = negotiateHandshake(plugin);
+  if (!negotiation.compatible) {
+    return res.status(negotiation.status).json(negotiation.error);
   }
 
-  try {
-    const payload = req.body;
+  // Replay the first response if this Idempotency-Key was already used. This
+  // comes before the signature check, so a retry whose first response was lost
+  // gets that response back even if it could not pass the check now.
+  if (await applyIdempotencyKey(req, res, site_url, 'register')) {
+    return;
+  }
 
-    // Validate required fields
-    const validationError = validatePayload(payload, ['site_url', 'site_name']);
-    if (validationError) {
-      return res.status(400).json(validationError);
+  // Sites that already hold a secret must prove it before re-registering
+  const alreadyRegistered = await siteHasSecret(site_url);
+  if (alreadyRegistered) {
+    const auth = await verifySignedRequest(req, site_url);
+    if (!auth.valid) {
+      return res.status(401).json(auth.error);
     }
+  } else {
+    // The caller has not proven it owns the site, so the secret stays pending
+    // until /verify finds the token on the site
+    const { data: existing, error: lookupError } = await supabase
+      .from('bookshelf_sites')
+      .select('id')
+      .eq('site_url', site_url)
+      .maybeSingle();
 
-    const { site_url, site_name } = payload;
+    if (lookupError) {
+      throw new DatabaseError(lookupError, 'Site lookup');
+    }
 
-    // Upsert site registration (insert or update if exists)
-    const { data, error } = await supabase
-      .from('bookshelf_sites')
-      .upsert(
-        {
+    let siteId = existing?.id;
+    if (!existing) {
+      const { data: created, error: createError } = await supabase
+        .from('bookshelf_sites')
+        .insert({
           site_url: site_url,
           site_name: site_name,
-          active: true,
-          registered_at: new Date().toISOString()
-        },
-        {
-          onConflict: 'site_url',
-          returning: 'representation'
-        }
-      )
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Supabase error:', error);
-      return res.status(500).json(formatSupabaseError(error));
+          plugin_version: plugin.plugin_version,
+          wp_version: plugin.wp_version,
+          payload_schemas: plugin.payload_schemas,
+          payload_schema: negotiation.handshake.payload_schema,
+          handshake_at: new Date().toISOString(),
+          ...seenNow()
+        })
+        .select('id')
+        .single();
+
+      if (createError) {
+        throw new DatabaseError(createError, 'Site registration');
+      }
+      siteId = created.id;
     }
 
-    // Success response
+    const claim = await createSecretClaim(site_url, generateVerificationToken());
+    req.log.security('Secret claim issued', { new_site: !existing });
+
     return res.status(200).json({
       success: true,
-      site_id: data.id,
-      message: 'Site registered successfully'
+      site_id: siteId,
+      books_restored: 0,
+      signing_secret: claim.secret,
+      signing_secret_status: 'pending',
+      verification: buildVerificationInstructions(site_url, claim.verification_token),
+      handshake: negotiation.handshake,
+      message: 'Publish the verification token and call /api/bookshelf/verify, signed with this secret, to activate it'
     });
+  }
 
-  } catch (error) {
-    console.error('Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      message: error.message
-    });
+  // Remember the last deregistration before the upsert clears it
+  const { data: previous, error: previousError } = await supabase
+    .from('bookshelf_sites')
+    .select('deregistered_at')
+    .eq('site_url', site_url)
+    .maybeSingle();
+
+  if (previousError) {
+    throw new DatabaseError(previousError, 'Site lookup');
+  }
+
+  // Upsert site registration (insert or update if exists)
+  const { data, error } = await supabase
+    .from('bookshelf_sites')
+    .upsert(
+      {
+        site_url: site_url,
+        site_name: site_name,
+        active: true,
+        deregistered_at: null,
+        plugin_version: plugin.plugin_version,
+        wp_version: plugin.wp_version,
+        payload_schemas: plugin.payload_schemas,
+        payload_schema: negotiation.handshake.payload_schema,
+        handshake_at: new Date().toISOString(),
+        ...seenNow(),
+        registered_at: new Date().toISOString()
+      },
+      {
+        onConflict: 'site_url',
+        returning: 'representation'
+      }
+    )
+    .select()
+    .single();
+
+  if (error) {
+    throw new DatabaseError(error, 'Site registration');
+  }
+
+  // Issue an ownership challenge until the site is verified
+  let verificationToken = data.verification_token;
+  if (!data.verified && !verificationToken) {
+    verificationToken = generateVerificationToken();
+
+    const { error: tokenError } = await supabase
+      .from('bookshelf_sites')
+      .update({ verification_token: verificationToken })
+      .eq('site_url', site_url);
+
+    if (tokenError) {
+      throw new DatabaseError(tokenError, 'Verification token update');
+    }
+  }
+
+  // Restore books hidden by the deregistration if within the grace period.
+  // Deregistering stamps its books with deregistered_at exactly.
+  let restoredBooks = [];
+  const deregisteredAt = previous?.deregistered_at
+    ? new Date(previous.deregistered_at).toISOString()
+    : null;
+  if (deregisteredAt && deregisteredAt >= getDeleteCutoff()) {
+    const { data: restored, error: restoreError } = await supabase
+      .from('bookshelf_books')
+      .update({ deleted_at: null })
+      .eq('site_url', site_url)
+      .eq('deleted_at', deregisteredAt)
+      .select('id');
+
+    if (restoreError) {
+      throw new DatabaseError(restoreError, 'Book restore');
+    }
+    restoredBooks = restored;
   }
-}
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    site_id: data.id,
+    books_restored: restoredBooks.length,
+    verification: data.verified
+      ? { verified: true }
+      : buildVerificationInstructions(site_url, verificationToken),
+    handshake: negotiation.handshake,
+    message: 'Site registered successfully'
+  });
+});
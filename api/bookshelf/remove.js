@@ -4,10 +4,19 @@
  * Removes a single book from the AuthorKit Bookshelf.
  * Called when an author unchecks the "Include in Bookshelf" checkbox.
  *
+ * If the book was synced with a newer modified_at than this remove carries,
+ * it was re-added afterwards: nothing is deleted and a 409 with the stored
+ * version is returned.
+ *
+ * Requires an X-Bookshelf-Signature header signed with the site's secret
+ * (see api/_lib/signature.js). Unsigned or stale requests get a 401.
+ * Accepts an optional Idempotency-Key header for safe retries (see api/_lib/idempotency.js).
+ *
  * Request body:
  * {
  *   "site_url": "https://authorsite.com",
- *   "book_post_id": 42
+ *   "book_post_id": 42,
+ *   "modified_at": "2026-02-22T12:00:00Z"   // When the book was removed on the site (optional)
  * }
  *
  * Response:
@@ -17,63 +26,84 @@
  * }
  */
 
-import supabase, { formatSupabaseError, validatePayload } from '../_lib/supabase.js';
-import { setCorsHeaders, setSecurityHeaders } from '../_lib/security.js';
+import supabase from '../_lib/supabase.js';
+import { createHandler } from '../_lib/handler.js';
+import { SITE_URL, BOOK_POST_ID, SOURCE_TIMESTAMP } from '../_lib/fields.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { applyIdempotencyKey } from '../_lib/idempotency.js';
+import { parseSourceTimestamp } from '../_lib/books.js';
+import { staleUpdateError, DatabaseError } from '../_lib/errors.js';
 
-export default async function handler(req, res) {
-  // Set CORS and security headers
-  setCorsHeaders(req, res);
-  setSecurityHeaders(res);
+/**
+ * Request body schema (see api/_lib/validation.js)
+ */
+const REQUEST_SCHEMA = {
+  site_url: SITE_URL,
+  book_post_id: BOOK_POST_ID,
+  modified_at: SOURCE_TIMESTAMP
+};
 
-  // Handle OPTIONS request for CORS preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+export default createHandler({
+  route: 'remove',
+  methods: ['POST'],
+  access: CORS_ACCESS.PRIVATE,
+  schema: REQUEST_SCHEMA,
+  signed: true
+}, async (req, res) => {
+  const payload = req.body;
 
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({
-      success: false,
-      error: 'Method not allowed. Use POST.'
-    });
+  // Replay the first response if this Idempotency-Key was already used
+  if (await applyIdempotencyKey(req, res, payload.site_url, 'remove')) {
+    return;
   }
 
-  try {
-    const payload = req.body;
+  const { site_url, book_post_id } = payload;
+  const removedAt = parseSourceTimestamp(payload.modified_at);
 
-    // Validate required fields
-    const validationError = validatePayload(payload, ['site_url', 'book_post_id']);
-    if (validationError) {
-      return res.status(400).json(validationError);
-    }
+  // Delete the book record
+  // Genres will be automatically deleted due to ON DELETE CASCADE
+  let query = supabase
+    .from('bookshelf_books')
+    .delete()
+    .eq('site_url', site_url)
+    .eq('book_post_id', book_post_id);
 
-    const { site_url, book_post_id } = payload;
+  // Never delete a version that was synced after this remove was issued
+  if (removedAt) {
+    query = query.or(`source_modified_at.is.null,source_modified_at.lte."${removedAt}"`);
+  }
 
-    // Delete the book record
-    // Genres will be automatically deleted due to ON DELETE CASCADE
-    const { error } = await supabase
+  const { data: deleted, error } = await query.select('id');
+
+  if (error) {
+    throw new DatabaseError(error, 'Book removal');
+  }
+
+  // Nothing deleted: either already gone, or re-added after this remove
+  if (removedAt && deleted.length === 0) {
+    const { data: stored, error: storedError } = await supabase
       .from('bookshelf_books')
-      .delete()
+      .select('id, source_modified_at, synced_at')
       .eq('site_url', site_url)
-      .eq('book_post_id', book_post_id);
+      .eq('book_post_id', book_post_id)
+      .maybeSingle();
 
-    if (error) {
-      console.error('Supabase error:', error);
-      return res.status(500).json(formatSupabaseError(error));
+    if (storedError) {
+      throw new DatabaseError(storedError, 'Stored book lookup');
     }
 
-    // Success response
-    return res.status(200).json({
-      success: true,
-      message: 'Book removed successfully'
-    });
-
-  } catch (error) {
-    console.error('Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      message: error.message
-    });
+    if (stored) {
+      return res.status(409).json(staleUpdateError({
+        book_id: stored.id,
+        source_modified_at: stored.source_modified_at,
+        synced_at: stored.synced_at
+      }));
+    }
   }
-}
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    message: 'Book removed successfully'
+  });
+});
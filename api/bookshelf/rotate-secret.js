@@ -0,0 +1,84 @@
+/**
+ * POST /api/bookshelf/rotate-secret
+ *
+ * Rotates the signing secret of a registered site.
+ * Called by the plugin when an author resets their Bookshelf connection.
+ *
+ * The request must be signed with the current secret. The previous secret keeps
+ * working for a short grace period so requests already in flight still verify.
+ * Accepts an optional Idempotency-Key header for safe retries (see api/_lib/idempotency.js).
+ *
+ * Request body:
+ * {
+ *   "site_url": "https://authorsite.com"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "signing_secret": "4e07408...",
+ *   "message": "Signing secret rotated successfully"
+ * }
+ */
+
+import supabase from '../_lib/supabase.js';
+import { createHandler } from '../_lib/handler.js';
+import { SITE_URL } from '../_lib/fields.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { DatabaseError } from '../_lib/errors.js';
+import { applyIdempotencyKey } from '../_lib/idempotency.js';
+import { generateSigningSecret } from '../_lib/signature.js';
+
+/**
+ * Request body schema (see api/_lib/validation.js)
+ */
+const REQUEST_SCHEMA = {
+  site_url: SITE_URL
+};
+
+export default createHandler({
+  route: 'rotate-secret',
+  methods: ['POST'],
+  access: CORS_ACCESS.PRIVATE,
+  schema: REQUEST_SCHEMA,
+  signed: true
+}, async (req, res) => {
+  const payload = req.body;
+
+  // Replay the first response if this Idempotency-Key was already used
+  if (await applyIdempotencyKey(req, res, payload.site_url, 'rotate-secret')) {
+    return;
+  }
+
+  const { data: current, error: fetchError } = await supabase
+    .from('bookshelf_site_secrets')
+    .select('secret')
+    .eq('site_url', payload.site_url)
+    .single();
+
+  if (fetchError) {
+    throw new DatabaseError(fetchError, 'Secret lookup');
+  }
+
+  const signingSecret = generateSigningSecret();
+
+  const { error: updateError } = await supabase
+    .from('bookshelf_site_secrets')
+    .update({
+      secret: signingSecret,
+      previous_secret: current.secret,
+      rotated_at: new Date().toISOString()
+    })
+    .eq('site_url', payload.site_url);
+
+  if (updateError) {
+    throw new DatabaseError(updateError, 'Secret rotation');
+  }
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    signing_secret: signingSecret,
+    message: 'Signing secret rotated successfully'
+  });
+});
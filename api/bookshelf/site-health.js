@@ -0,0 +1,75 @@
+/**
+ * GET /api/bookshelf/site-health
+ *
+ * Flags sites that stopped contacting the API (plugin uninstalled, domain
+ * expired, site moved). Called daily by Vercel cron (configured in vercel.json).
+ *
+ * - Silent for BOOKSHELF_STALE_AFTER_DAYS (default 14): "stale", books are down-ranked
+ * - Silent for BOOKSHELF_DEAD_AFTER_DAYS (default 90): "dead", books are hidden
+ *
+ * A site becomes healthy again on its next heartbeat, registration or sync.
+ *
+ * Requires "Authorization: Bearer <CRON_SECRET>", which Vercel cron sends
+ * automatically when the CRON_SECRET environment variable is set.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "stale_sites": ["https://quietauthor.com"],
+ *   "dead_sites": ["https://expireddomain.com"],
+ *   "cutoffs": {
+ *     "stale": "2026-02-08T04:00:00.000Z",
+ *     "dead": "2025-11-24T04:00:00.000Z"
+ *   }
+ * }
+ */
+
+import supabase from '../_lib/supabase.js';
+import { createHandler } from '../_lib/handler.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { DatabaseError } from '../_lib/errors.js';
+import { SITE_HEALTH, getHealthCutoffs } from '../_lib/site-health.js';
+
+export default createHandler({
+  route: 'site-health',
+  methods: ['GET'],
+  access: CORS_ACCESS.PRIVATE,
+  cron: true
+}, async (req, res) => {
+  const cutoffs = getHealthCutoffs();
+
+  // Long-dead sites first, so they skip the stale step
+  const { data: deadSites, error: deadError } = await supabase
+    .from('bookshelf_sites')
+    .update({ health_status: SITE_HEALTH.DEAD })
+    .eq('active', true)
+    .neq('health_status', SITE_HEALTH.DEAD)
+    .lt('last_seen_at', cutoffs.dead)
+    .select('site_url');
+
+  if (deadError) {
+    throw new DatabaseError(deadError, 'Site health (dead)');
+  }
+
+  const { data: staleSites, error: staleError } = await supabase
+    .from('bookshelf_sites')
+    .update({ health_status: SITE_HEALTH.STALE })
+    .eq('active', true)
+    .eq('health_status', SITE_HEALTH.HEALTHY)
+    .lt('last_seen_at', cutoffs.stale)
+    .select('site_url');
+
+  if (staleError) {
+    throw new DatabaseError(staleError, 'Site health (stale)');
+  }
+
+  req.log.info('Site health updated', { stale_sites: staleSites.length, dead_sites: deadSites.length });
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    stale_sites: staleSites.map(site => site.site_url),
+    dead_sites: deadSites.map(site => site.site_url),
+    cutoffs
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * GET /api/bookshelf/stats
+ *
+ * Catalog stats for the bookshelf pages: totals, books per genre and books
+ * added per week and month. Totals and growth are read from materialized views
+ * refreshed hourly (see api/_lib/views.js), so they can be up to an hour old
+ * (refreshed_at). Books per genre are counted live, each genre with its
+ * subgenres, the same way /api/bookshelf/genres counts them; genres without
+ * listed books are left out.
+ *
+ * Responses can be cached: they carry Cache-Control and an ETag, and a request
+ * with a matching If-None-Match gets a 304 (see api/_lib/cache.js).
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "totals": {
+ *     "books": 120,
+ *     "authors": 35,
+ *     "sites": 33,
+ *     "genres": 14,
+ *     "views": 5210
+ *   },
+ *   "genres": [
+ *     { "slug": "fantasy", "book_count": 42 },
+ *     ...
+ *   ],
+ *   "growth": {
+ *     "weekly": [{ "period_start": "2026-02-23", "books_added": 4 }, ...],
+ *     "monthly": [{ "period_start": "2026-02-01", "books_added": 17 }, ...]
+ *   },
+ *   "refreshed_at": "2026-03-01T12:15:00.000Z"
+ * }
+ */
+
+import supabase from '../_lib/supabase.js';
+import { createHandler } from '../_lib/handler.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { DatabaseError } from '../_lib/errors.js';
+import { getViewRefreshTimes } from '../_lib/views.js';
+import { GENRE_SLUGS, countGenreBooks } from '../_lib/genres.js';
+import { sendCachedJson } from '../_lib/cache.js';
+
+export default createHandler({
+  route: 'stats',
+  methods: ['GET'],
+  access: CORS_ACCESS.PUBLIC
+}, async (req, res) => {
+  const [stats, genreCounts, growth, refreshes] = await Promise.all([
+    supabase
+      .from('bookshelf_stats')
+      .select('total_books, total_authors, total_sites, total_genres, total_views')
+      .maybeSingle(),
+    countGenreBooks(),
+    supabase
+      .from('bookshelf_book_growth')
+      .select('period, period_start, books_added')
+      .order('period_start', { ascending: true }),
+    getViewRefreshTimes()
+  ]);
+
+  if (stats.error) {
+    throw new DatabaseError(stats.error, 'Stats query');
+  }
+  if (genreCounts.error) {
+    throw new DatabaseError(genreCounts.error, 'Genre counts query');
+  }
+  if (growth.error) {
+    throw new DatabaseError(growth.error, 'Growth query');
+  }
+  if (refreshes.error) {
+    throw new DatabaseError(refreshes.error, 'View refresh lookup');
+  }
+
+  const growthFor = (period) => growth.data
+    .filter(row => row.period === period)
+    .map(row => ({ period_start: row.period_start, books_added: Number(row.books_added) }));
+
+  // Most books first, then by slug
+  const genres = GENRE_SLUGS
+    .filter(slug => genreCounts.counts.get(slug) > 0)
+    .map(slug => ({ slug, book_count: genreCounts.counts.get(slug) }))
+    .sort((a, b) => b.book_count - a.book_count || a.slug.localeCompare(b.slug));
+
+  // The oldest refresh bounds how stale the totals and growth can be
+  const refreshTimes = Object.values(refreshes.refreshedAt);
+  const refreshedAt = refreshTimes.includes(null) ? null : refreshTimes.sort()[0];
+
+  const body = {
+    success: true,
+    totals: {
+      books: Number(stats.data?.total_books ?? 0),
+      authors: Number(stats.data?.total_authors ?? 0),
+      sites: Number(stats.data?.total_sites ?? 0),
+      genres: Number(stats.data?.total_genres ?? 0),
+      views: Number(stats.data?.total_views ?? 0)
+    },
+    genres,
+    growth: {
+      weekly: growthFor('week'),
+      monthly: growthFor('month')
+    },
+    refreshed_at: refreshedAt
+  };
+
+  return sendCachedJson(req, res, body);
+});
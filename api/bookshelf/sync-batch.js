@@ -0,0 +1,191 @@
+/**
+ * POST /api/bookshelf/sync-batch
+ *
+ * Syncs many books from one WordPress site in a single request.
+ * Called by the plugin for full-catalog pushes instead of one /sync call per book.
+ *
+ * Each entry in "books" has the same shape as the /api/bookshelf/sync payload.
+ * site_url, site_name and schema_version may be omitted per book; they default
+ * to the top-level values, and a book that names a different site_url is
+ * rejected. Books are validated individually, so one bad book does not fail
+ * the whole push. All valid books are then written in a single transaction
+ * (bookshelf_sync_books); if it fails, each of them is reported with the
+ * error. Connection, timeout and lock failures are reported with
+ * "retryable": true, other failures (constraint violations, invalid data) with
+ * "retryable": false. Deprecated schema versions used in the batch are listed
+ * in "deprecations" (see api/_lib/payload-schemas.js). Books whose genres were
+ * inferred from their categories carry a "genre_suggestion" (see /api/bookshelf/sync).
+ *
+ * Requires an X-Bookshelf-Signature header signed with the site's secret
+ * (see api/_lib/signature.js). Unsigned or stale requests get a 401.
+ * Accepts an optional Idempotency-Key header for safe retries (see api/_lib/idempotency.js).
+ *
+ * Request body:
+ * {
+ *   "site_url": "https://authorsite.com",
+ *   "site_name": "Jane's Author Site",
+ *   "schema_version": 2,
+ *   "books": [ { "book_post_id": 42, "title": "...", ... }, ... ]
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "results": [
+ *     { "index": 0, "book_post_id": 42, "success": true, "book_id": 456 },
+ *     { "index": 1, "book_post_id": 43, "success": false, "error": "...", "code": "VALIDATION_ERROR" },
+ *     { "index": 2, "book_post_id": 44, "success": false, "code": "STALE_UPDATE", "stored": {...} }
+ *   ],
+ *   "summary": { "total": 2, "synced": 1, "failed": 1 },
+ *   "deprecations": []
+ * }
+ */
+
+import supabase from '../_lib/supabase.js';
+import { createHandler } from '../_lib/handler.js';
+import { SITE_URL, SITE_NAME } from '../_lib/fields.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { isDevelopment } from '../_lib/config.js';
+import { applyIdempotencyKey } from '../_lib/idempotency.js';
+import { recordSyncFailure } from '../_lib/health.js';
+import { buildSyncEntry, resolveBookGenres } from '../_lib/books.js';
+import { resolveBookPayload, getDeprecationNotice } from '../_lib/payload-schemas.js';
+import {
+  validationError,
+  syncFailedError,
+  staleUpdateError,
+  mapDatabaseError,
+  isRetryableDatabaseError
+} from '../_lib/errors.js';
+
+/**
+ * Maximum number of books accepted in one batch
+ */
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Request body schema (see api/_lib/validation.js)
+ * Each book is validated on its own against its payload schema version.
+ */
+const REQUEST_SCHEMA = {
+  site_url: SITE_URL,
+  site_name: SITE_NAME,
+  schema_version: { type: 'integer', min: 1 },
+  books: { type: 'array', required: true, minItems: 1, maxItems: MAX_BATCH_SIZE }
+};
+
+export default createHandler({
+  route: 'sync-batch',
+  methods: ['POST'],
+  access: CORS_ACCESS.PRIVATE,
+  schema: REQUEST_SCHEMA,
+  signed: true
+}, async (req, res) => {
+  const payload = req.body;
+
+  // Replay the first response if this Idempotency-Key was already used
+  if (await applyIdempotencyKey(req, res, payload.site_url, 'sync-batch')) {
+    return;
+  }
+
+  // Validate and sanitize each book on its own
+  const results = [];
+  const accepted = [];
+  const seenPostIds = new Set();
+  const deprecations = new Map();
+
+  payload.books.forEach((book, index) => {
+    const item = {
+      ...book,
+      site_url: book?.site_url || payload.site_url,
+      site_name: book?.site_name || payload.site_name,
+      schema_version: book?.schema_version ?? payload.schema_version
+    };
+
+    const result = { index, book_post_id: book?.book_post_id ?? null };
+    results.push(result);
+
+    const resolved = resolveBookPayload(item);
+    if (!resolved.valid) {
+      Object.assign(result, resolved.error);
+      return;
+    }
+
+    const notice = getDeprecationNotice(resolved.version);
+    if (notice) {
+      deprecations.set(resolved.version, notice);
+    }
+
+    if (item.site_url !== payload.site_url) {
+      Object.assign(result, validationError(null, { site_url: 'does not match the batch site_url' }));
+      return;
+    }
+
+    if (seenPostIds.has(String(item.book_post_id))) {
+      Object.assign(result, validationError(null, { book_post_id: 'is duplicated in the batch' }));
+      return;
+    }
+    seenPostIds.add(String(item.book_post_id));
+
+    accepted.push({
+      result,
+      item,
+      record: buildSyncEntry(resolved.book),
+      suggestion: resolveBookGenres(resolved.book).suggestion
+    });
+  });
+
+  if (accepted.length > 0) {
+    // Upsert the site, all valid books and their genres in one transaction
+    const { data: syncedRows, error: syncError } = await supabase.rpc('bookshelf_sync_books', {
+      p_site_url: payload.site_url,
+      p_site_name: payload.site_name,
+      p_books: accepted.map(entry => entry.record)
+    });
+
+    if (syncError) {
+      // The whole batch was rolled back; every valid book can be retried
+      // unless the error would happen again
+      req.log.error('Batch sync error', { error: syncError, books: accepted.length });
+      await recordSyncFailure(req, payload.site_url, 'sync-batch', syncError, accepted.length);
+      const errorResponse = isRetryableDatabaseError(syncError)
+        ? syncFailedError(isDevelopment(), syncError)
+        : { ...mapDatabaseError(syncError, isDevelopment()).response, retryable: false };
+      accepted.forEach(({ result }) => {
+        Object.assign(result, errorResponse);
+      });
+    } else {
+      const rowsByPostId = new Map(syncedRows.map(row => [String(row.book_post_id), row]));
+
+      accepted.forEach(({ result, item, suggestion }) => {
+        const row = rowsByPostId.get(String(item.book_post_id));
+
+        // Older than the stored version: reported, not saved
+        if (row.conflict) {
+          Object.assign(result, staleUpdateError(row.stored));
+          return;
+        }
+
+        Object.assign(result, {
+          success: true,
+          book_id: row.book_id,
+          ...(suggestion && { genre_suggestion: suggestion })
+        });
+      });
+    }
+  }
+
+  const synced = results.filter(result => result.success).length;
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    results,
+    summary: {
+      total: results.length,
+      synced,
+      failed: results.length - synced
+    },
+    deprecations: [...deprecations.values()]
+  });
+});
@@ -4,160 +4,160 @@
  * Syncs a book from a WordPress site to the AuthorKit Bookshelf.
  * Called when an author saves a book with the "Include in Bookshelf" checkbox enabled.
  *
- * Request body: Full book payload (22 fields per RFC)
+ * Requires an X-Bookshelf-Signature header signed with the site's secret
+ * (see api/_lib/signature.js). Unsigned or stale requests get a 401.
+ * Accepts an optional Idempotency-Key header for safe retries (see api/_lib/idempotency.js).
+ *
+ * The site, book and genre writes happen in a single database transaction
+ * (bookshelf_sync_books). If it fails nothing is saved. Connection, timeout and
+ * lock failures get a 503 with "retryable": true and a Retry-After header;
+ * other failures (constraint violations, invalid data) would fail again and get
+ * the matching 4xx or 500 without "retryable".
+ *
+ * Payloads should carry "modified_at", the WordPress post's modified time (GMT).
+ * A payload older than the stored version is rejected with a 409 that includes
+ * the stored version, so late retries cannot overwrite newer data.
+ *
+ * With "dry_run": true nothing is written. The response contains the book exactly
+ * as /api/bookshelf/books would serve it, plus warnings about the listing
+ * (missing cover, sanitized description, truncated title, aliased or inferred
+ * genres). Invalid purchase links and unknown genres, which a real sync rejects
+ * with a 400, are left out of the preview and reported as warnings too.
+ *
+ * Books synced without "bookshelf_genres" get genres inferred from their
+ * "local_categories" (see api/_lib/genre-inference.js). They are stored flagged
+ * as inferred, and the response carries a "genre_suggestion" the plugin can
+ * offer to the author.
+ *
+ * Invalid payloads get a 400 whose "errors" map lists every problem by field
+ * path, e.g. { "cover.medium": "must be an absolute http(s) URL" }.
+ *
+ * Request body: Full book payload. "schema_version" selects the payload schema
+ * (defaults to 1); older versions are upgraded to the current shape before
+ * sanitization (see api/_lib/payload-schemas.js). Payloads using a deprecated
+ * version are still synced, and the response carries a "deprecation" notice.
  *
  * Response:
  * {
  *   "success": true,
  *   "book_id": 456,
+ *   "schema_version": 1,
+ *   "deprecation": {                 // Only for deprecated schema versions
+ *     "schema_version": 1,
+ *     "current_schema_version": 2,
+ *     "message": "Payload schema 1 is deprecated. ..."
+ *   },
+ *   "genre_suggestion": {            // Only when genres were inferred
+ *     "genres": ["mystery-crime"],
+ *     "matches": [
+ *       { "category": "Detective Stories", "genre": "mystery-crime", "matched_by": "keyword", "keyword": "detective" }
+ *     ]
+ *   },
  *   "message": "Book synced successfully"
  * }
  */
 
-import supabase, { formatSupabaseError, validatePayload } from '../_lib/supabase.js';
-import { setCorsHeaders, setSecurityHeaders } from '../_lib/security.js';
-import { sanitizeHtml, sanitizeUrl, truncateText } from '../_lib/sanitize.js';
+import supabase from '../_lib/supabase.js';
+import { createHandler } from '../_lib/handler.js';
+import { SITE_URL, SITE_NAME } from '../_lib/fields.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { isDevelopment } from '../_lib/config.js';
+import { applyIdempotencyKey } from '../_lib/idempotency.js';
+import { recordSyncFailure } from '../_lib/health.js';
+import { buildSyncEntry, resolveBookGenres, previewListing } from '../_lib/books.js';
+import { resolveBookPayload, getDeprecationNotice } from '../_lib/payload-schemas.js';
+import {
+  syncFailedError,
+  staleUpdateError,
+  isRetryableDatabaseError,
+  DatabaseError
+} from '../_lib/errors.js';
 
-export default async function handler(req, res) {
-  // Set CORS and security headers
-  setCorsHeaders(req, res);
-  setSecurityHeaders(res);
-
-  // Handle OPTIONS request for CORS preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+/**
+ * Site fields of the request body (book fields are validated per schema version)
+ */
+const REQUEST_SCHEMA = {
+  site_url: SITE_URL,
+  site_name: SITE_NAME
+};
+
+export default createHandler({
+  route: 'sync',
+  methods: ['POST'],
+  access: CORS_ACCESS.PRIVATE,
+  schema: REQUEST_SCHEMA,
+  signed: true
+}, async (req, res) => {
+  const payload = req.body;
+
+  const dryRun = payload.dry_run === true;
+
+  // Validate the book against its schema version and upgrade it to the current shape
+  const resolved = resolveBookPayload(payload, { preview: dryRun });
+  if (!resolved.valid) {
+    return res.status(resolved.status).json(resolved.error);
   }
 
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({
-      success: false,
-      error: 'Method not allowed. Use POST.'
+  const { book, version } = resolved;
+  const deprecation = getDeprecationNotice(version);
+
+  // Preview mode: run the full pipeline and return the listing without writing
+  if (dryRun) {
+    const preview = previewListing(book, resolved.rejected);
+    return res.status(200).json({
+      success: true,
+      dry_run: true,
+      book: preview.book,
+      warnings: preview.warnings,
+      schema_version: version,
+      ...(deprecation && { deprecation }),
+      ...(preview.genreSuggestion && { genre_suggestion: preview.genreSuggestion }),
+      message: 'Dry run complete. Nothing was saved.'
     });
   }
 
-  try {
-    const payload = req.body;
-
-    // Validate required fields
-    const validationError = validatePayload(payload, [
-      'site_url',
-      'site_name',
-      'book_post_id',
-      'title'
-    ]);
-
-    if (validationError) {
-      return res.status(400).json(validationError);
-    }
-
-    // First, ensure the site is registered
-    const { error: siteError } = await supabase
-      .from('bookshelf_sites')
-      .upsert(
-        {
-          site_url: payload.site_url,
-          site_name: payload.site_name,
-          active: true
-        },
-        {
-          onConflict: 'site_url'
-        }
-      );
-
-    if (siteError) {
-      console.error('Site registration error:', siteError);
-      return res.status(500).json(formatSupabaseError(siteError));
-    }
-
-    // Prepare book data for database with sanitization
-    const bookData = {
-      site_url: payload.site_url,
-      book_post_id: payload.book_post_id,
-      title: truncateText(payload.title, 200),
-      slug: payload.slug || '',
-      description: sanitizeHtml(payload.description || ''),
-      cover_thumbnail: sanitizeUrl(payload.cover?.thumbnail || ''),
-      cover_medium: sanitizeUrl(payload.cover?.medium || ''),
-      cover_large: sanitizeUrl(payload.cover?.large || ''),
-      cover_full: sanitizeUrl(payload.cover?.full || ''),
-      author_name: truncateText(payload.author || '', 100),
-      author_bio: sanitizeHtml(payload.author_bio || ''),
-      author_website: sanitizeUrl(payload.author_website || ''),
-      author_twitter: sanitizeUrl(payload.author_twitter || ''),
-      author_instagram: sanitizeUrl(payload.author_instagram || ''),
-      purchase_amazon_in: sanitizeUrl(payload.purchase_links?.amazon_in || ''),
-      purchase_amazon_com: sanitizeUrl(payload.purchase_links?.amazon_com || ''),
-      purchase_other: sanitizeUrl(payload.purchase_links?.other || ''),
-      local_categories: JSON.stringify(payload.local_categories || []),
-      formats: JSON.stringify(payload.formats || []),
-      isbn: payload.isbn || '',
-      rating: payload.rating || null,
-      review_count: payload.review_count || null,
-      publication_date: payload.publication_date || null,
-      synced_at: new Date().toISOString()
-    };
-
-    // Upsert book record
-    const { data: bookRecord, error: bookError } = await supabase
-      .from('bookshelf_books')
-      .upsert(bookData, {
-        onConflict: 'site_url,book_post_id',
-        returning: 'representation'
-      })
-      .select()
-      .single();
-
-    if (bookError) {
-      console.error('Book upsert error:', bookError);
-      return res.status(500).json(formatSupabaseError(bookError));
-    }
-
-    const bookId = bookRecord.id;
-
-    // Handle genres: delete old ones, insert new ones
-    // First, delete existing genre associations
-    await supabase
-      .from('bookshelf_book_genres')
-      .delete()
-      .eq('book_id', bookId);
+  // Replay the first response if this Idempotency-Key was already used
+  if (await applyIdempotencyKey(req, res, payload.site_url, 'sync')) {
+    return;
+  }
 
-    // Insert new genre associations
-    if (payload.bookshelf_genres && payload.bookshelf_genres.length > 0) {
-      const genreRecords = payload.bookshelf_genres
-        .filter(genre => genre) // Filter out empty values
-        .slice(0, 2) // Max 2 genres
-        .map(genre => ({
-          book_id: bookId,
-          genre_slug: genre
-        }));
+  // Upsert the site, the book and its genres in one transaction
+  const { data: synced, error: syncError } = await supabase.rpc('bookshelf_sync_books', {
+    p_site_url: payload.site_url,
+    p_site_name: payload.site_name,
+    p_books: [buildSyncEntry(book)]
+  });
 
-      if (genreRecords.length > 0) {
-        const { error: genreError } = await supabase
-          .from('bookshelf_book_genres')
-          .insert(genreRecords);
+  if (syncError) {
+    await recordSyncFailure(req, payload.site_url, 'sync', syncError);
 
-        if (genreError) {
-          console.error('Genre insert error:', genreError);
-          // Don't fail the whole request if genre insert fails
-          // The book is already saved
-        }
-      }
+    // Retrying cannot fix the payload: map the error by its code
+    if (!isRetryableDatabaseError(syncError)) {
+      throw new DatabaseError(syncError, 'Book sync');
     }
 
-    // Success response
-    return res.status(200).json({
-      success: true,
-      book_id: bookId,
-      message: 'Book synced successfully'
-    });
+    // The transaction was rolled back, so the plugin can safely retry
+    req.log.error('Book sync error', syncError);
+    const errorResponse = syncFailedError(isDevelopment(), syncError);
+    res.setHeader('Retry-After', errorResponse.retryAfter);
+    return res.status(503).json(errorResponse);
+  }
 
-  } catch (error) {
-    console.error('Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      message: error.message
-    });
+  // A newer version of this book was synced before this payload arrived
+  if (synced[0].conflict) {
+    return res.status(409).json(staleUpdateError(synced[0].stored));
   }
-}
+
+  const bookId = synced[0].book_id;
+  const { suggestion } = resolveBookGenres(book);
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    book_id: bookId,
+    schema_version: version,
+    ...(deprecation && { deprecation }),
+    ...(suggestion && { genre_suggestion: suggestion }),
+    message: 'Book synced successfully'
+  });
+});
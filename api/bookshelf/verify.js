@@ -0,0 +1,160 @@
+/**
+ * POST /api/bookshelf/verify
+ *
+ * Verifies that the author controls the domain of a registered site.
+ * Called by the plugin after it has published the challenge token returned by
+ * /api/bookshelf/register, either at /.well-known/authorkit-bookshelf.txt or as
+ * a <meta name="authorkit-bookshelf-verification"> tag on the home page.
+ *
+ * Books from unverified sites are stored but excluded from /api/bookshelf/books.
+ *
+ * Requires an X-Bookshelf-Signature header signed with the site's secret
+ * (see api/_lib/signature.js). Unsigned or stale requests get a 401.
+ * Accepts an optional Idempotency-Key header for safe retries (see api/_lib/idempotency.js).
+ *
+ * Sites without an active secret (new, or registered before request signing)
+ * sign with the pending secret that /register issued them. Finding the token that came with that secret on the
+ * site activates it ("signing_secret_activated": true) and verifies the site.
+ *
+ * Request body:
+ * {
+ *   "site_url": "https://authorsite.com"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "verified": true,
+ *   "method": "well-known",
+ *   "signing_secret_activated": false,
+ *   "message": "Site verified successfully"
+ * }
+ */
+
+import supabase from '../_lib/supabase.js';
+import { createHandler } from '../_lib/handler.js';
+import { SITE_URL } from '../_lib/fields.js';
+import { CORS_ACCESS } from '../_lib/cors.js';
+import { applyIdempotencyKey } from '../_lib/idempotency.js';
+import { applyRateLimit } from '../_lib/rate-limit.js';
+import {
+  verifySignedRequest,
+  siteHasSecret,
+  getSecretClaims,
+  activateSecretClaim
+} from '../_lib/signature.js';
+import { checkSiteOwnership, buildVerificationInstructions } from '../_lib/site-verification.js';
+import { createErrorResponse, notFoundError, ERROR_CODES, HTTP_STATUS, DatabaseError } from '../_lib/errors.js';
+
+/**
+ * Request body schema (see api/_lib/validation.js)
+ */
+const REQUEST_SCHEMA = {
+  site_url: SITE_URL
+};
+
+export default createHandler({
+  route: 'verify',
+  methods: ['POST'],
+  access: CORS_ACCESS.PRIVATE,
+  schema: REQUEST_SCHEMA
+}, async (req, res) => {
+  const payload = req.body;
+
+  // Signed with the site's secret, or for a site without one, with the
+  // secret of one of its pending claims
+  const hasSecret = await siteHasSecret(payload.site_url);
+  const claims = hasSecret ? null : await getSecretClaims(payload.site_url);
+  const auth = await verifySignedRequest(req, payload.site_url, claims?.map(claim => claim.secret));
+  if (!auth.valid) {
+    req.log.security('Signature rejected', { code: auth.error.code });
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json(auth.error);
+  }
+
+  if (await applyRateLimit(req, res, 'verify', payload.site_url)) {
+    return;
+  }
+
+  const claim = claims?.find(({ secret }) => secret === auth.secret) || null;
+
+  // Replay the first response if this Idempotency-Key was already used
+  if (await applyIdempotencyKey(req, res, payload.site_url, 'verify')) {
+    return;
+  }
+
+  const { data: site, error: siteError } = await supabase
+    .from('bookshelf_sites')
+    .select('site_url, verified, verification_token')
+    .eq('site_url', payload.site_url)
+    .maybeSingle();
+
+  if (siteError) {
+    throw new DatabaseError(siteError, 'Site lookup');
+  }
+
+  if (!site) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(notFoundError('Site'));
+  }
+
+  if (site.verified && !claim) {
+    return res.status(200).json({
+      success: true,
+      verified: true,
+      message: 'Site is already verified'
+    });
+  }
+
+  const token = claim ? claim.verification_token : site.verification_token;
+
+  if (!token) {
+    return res.status(HTTP_STATUS.CONFLICT).json(createErrorResponse(
+      'No verification challenge issued. Call /api/bookshelf/register first.',
+      ERROR_CODES.VERIFICATION_FAILED
+    ));
+  }
+
+  // Look for the token on the author's site
+  const result = await checkSiteOwnership(site.site_url, token);
+
+  if (!result.verified) {
+    return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(createErrorResponse(
+      'Verification token not found on the site',
+      ERROR_CODES.VERIFICATION_FAILED,
+      null,
+      {
+        verification: buildVerificationInstructions(site.site_url, token)
+      }
+    ));
+  }
+
+  // The site proved it holds the claimed secret: make it the signing secret
+  if (claim && !await activateSecretClaim(site.site_url, claim.secret)) {
+    return res.status(HTTP_STATUS.CONFLICT).json(createErrorResponse(
+      'Site already has a signing secret',
+      ERROR_CODES.VERIFICATION_FAILED
+    ));
+  }
+
+  // Mark the site as verified; its books become visible on the next listing
+  const { error: updateError } = await supabase
+    .from('bookshelf_sites')
+    .update({
+      verified: true,
+      verified_at: new Date().toISOString(),
+      verification_token: token
+    })
+    .eq('site_url', site.site_url);
+
+  if (updateError) {
+    throw new DatabaseError(updateError, 'Verification update');
+  }
+
+  // Success response
+  return res.status(200).json({
+    success: true,
+    verified: true,
+    method: result.method,
+    signing_secret_activated: Boolean(claim),
+    message: 'Site verified successfully'
+  });
+});
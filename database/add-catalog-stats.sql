@@ -0,0 +1,127 @@
+-- ============================================================================
+-- MIGRATION: Catalog stats
+-- ============================================================================
+-- Run this SQL in Supabase SQL Editor after database/add-view-refresh.sql.
+-- Adds bookshelf_books.created_at and the materialized views behind
+-- /api/bookshelf/stats (per-genre counts, weekly and monthly growth), and adds
+-- site, author and view totals to bookshelf_stats.
+-- ============================================================================
+
+-- Step 1: When each book was first synced (synced_at changes on every sync)
+ALTER TABLE bookshelf_books ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ;
+
+-- Existing books: the last sync is the best estimate available
+UPDATE bookshelf_books SET created_at = synced_at WHERE created_at IS NULL;
+
+ALTER TABLE bookshelf_books ALTER COLUMN created_at SET DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_books_created_at ON bookshelf_books(created_at);
+
+-- Step 2: Rebuild bookshelf_stats on top of the listed books view
+DROP MATERIALIZED VIEW IF EXISTS bookshelf_stats;
+
+-- Step 3: Listed books and stats views
+
+-- View: Books listed on the bookshelf
+-- Books of verified sites that are not soft-deleted and whose site is not dead,
+-- as listed by /api/bookshelf/books. The stats views below count only these.
+CREATE OR REPLACE VIEW bookshelf_listed_books AS
+SELECT b.id, b.site_url, b.author_name, b.created_at
+FROM bookshelf_books b
+JOIN bookshelf_sites s ON s.site_url = b.site_url
+WHERE s.verified = true
+  AND s.health_status <> 'dead'
+  AND b.deleted_at IS NULL;
+
+-- Materialized view: Global statistics
+CREATE MATERIALIZED VIEW IF NOT EXISTS bookshelf_stats AS
+SELECT
+    1 as id,
+    (SELECT COUNT(*) FROM bookshelf_listed_books) as total_books,
+    (SELECT COUNT(DISTINCT LOWER(author_name)) FROM bookshelf_listed_books) as total_authors,
+    (SELECT COUNT(DISTINCT site_url) FROM bookshelf_listed_books) as total_sites,
+    (SELECT COUNT(DISTINCT g.genre_slug)
+       FROM bookshelf_book_genres g
+       JOIN bookshelf_listed_books lb ON lb.id = g.book_id) as total_genres,
+    (SELECT COUNT(*)
+       FROM bookshelf_book_views v
+       JOIN bookshelf_listed_books lb ON lb.id = v.book_id) as total_views;
+
+-- Unique index on the single stats row (required by REFRESH ... CONCURRENTLY)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookshelf_stats_id ON bookshelf_stats(id);
+
+-- Materialized view: Listed books per genre
+CREATE MATERIALIZED VIEW IF NOT EXISTS bookshelf_genre_counts AS
+SELECT
+    g.genre_slug,
+    COUNT(*) as book_count
+FROM bookshelf_book_genres g
+JOIN bookshelf_listed_books lb ON lb.id = g.book_id
+GROUP BY g.genre_slug;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_genre_counts_genre_slug
+ON bookshelf_genre_counts(genre_slug);
+
+-- Materialized view: Listed books added per week and per month
+-- The last 12 weeks and 12 months, including periods with no new books
+CREATE MATERIALIZED VIEW IF NOT EXISTS bookshelf_book_growth AS
+WITH periods AS (
+    SELECT 'week' as period, period_start, period_start + INTERVAL '1 week' as period_end
+    FROM generate_series(
+        date_trunc('week', NOW()) - INTERVAL '11 weeks',
+        date_trunc('week', NOW()),
+        INTERVAL '1 week'
+    ) AS period_start
+    UNION ALL
+    SELECT 'month', period_start, period_start + INTERVAL '1 month'
+    FROM generate_series(
+        date_trunc('month', NOW()) - INTERVAL '11 months',
+        date_trunc('month', NOW()),
+        INTERVAL '1 month'
+    ) AS period_start
+)
+SELECT
+    p.period,
+    p.period_start::date as period_start,
+    COUNT(lb.id) as books_added
+FROM periods p
+LEFT JOIN bookshelf_listed_books lb
+    ON lb.created_at >= p.period_start AND lb.created_at < p.period_end
+GROUP BY p.period, p.period_start;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_book_growth_period
+ON bookshelf_book_growth(period, period_start);
+
+GRANT SELECT ON bookshelf_stats TO anon, authenticated;
+GRANT SELECT ON bookshelf_genre_counts TO anon, authenticated;
+GRANT SELECT ON bookshelf_book_growth TO anon, authenticated;
+
+REVOKE ALL ON bookshelf_listed_books FROM anon, authenticated;
+
+-- Step 4: Refresh the new views too
+-- Function to refresh all materialized views
+-- Records each refresh in bookshelf_view_refreshes, so their age can be reported
+CREATE OR REPLACE FUNCTION refresh_bookshelf_views()
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_book_view_counts;
+    REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_stats;
+    REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_genre_counts;
+    REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_book_growth;
+
+    INSERT INTO bookshelf_view_refreshes (view_name, refreshed_at)
+    VALUES
+        ('bookshelf_book_view_counts', NOW()),
+        ('bookshelf_stats', NOW()),
+        ('bookshelf_genre_counts', NOW()),
+        ('bookshelf_book_growth', NOW())
+    ON CONFLICT (view_name) DO UPDATE SET refreshed_at = EXCLUDED.refreshed_at;
+END;
+$$;
+
+-- Step 5: First refresh
+SELECT refresh_bookshelf_views();
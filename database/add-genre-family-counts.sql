@@ -0,0 +1,56 @@
+-- ============================================================================
+-- MIGRATION: Genre counts by family
+-- ============================================================================
+-- Run this SQL in Supabase SQL Editor after database/add-catalog-stats.sql.
+-- /api/bookshelf/genres and /api/bookshelf/stats count each genre together
+-- with its subgenres, the way /api/bookshelf/books filters by it, and count
+-- live instead of reading the hourly bookshelf_genre_counts view, which this
+-- migration drops.
+-- ============================================================================
+
+-- Step 1: Function to count listed books per genre family
+-- p_families maps each genre slug to the slugs of its family (the genre and
+-- its subgenres, see api/_lib/genres.js). A book in several genres of one
+-- family is counted once.
+CREATE OR REPLACE FUNCTION bookshelf_genre_family_counts(p_families JSONB)
+RETURNS TABLE (genre_slug TEXT, book_count BIGINT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT family.key, COUNT(DISTINCT g.book_id)
+    FROM jsonb_each(p_families) AS family
+    CROSS JOIN LATERAL jsonb_array_elements_text(family.value) AS member(slug)
+    JOIN bookshelf_book_genres g ON g.genre_slug = member.slug
+    JOIN bookshelf_listed_books lb ON lb.id = g.book_id
+    GROUP BY family.key;
+$$;
+
+-- Only the API (service role) may count, from /api/bookshelf/genres and /stats
+REVOKE ALL ON FUNCTION bookshelf_genre_family_counts(JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION bookshelf_genre_family_counts(JSONB) TO service_role;
+
+-- Step 2: Stop refreshing the per-genre view and drop it
+CREATE OR REPLACE FUNCTION refresh_bookshelf_views()
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_book_view_counts;
+    REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_stats;
+    REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_book_growth;
+
+    INSERT INTO bookshelf_view_refreshes (view_name, refreshed_at)
+    VALUES
+        ('bookshelf_book_view_counts', NOW()),
+        ('bookshelf_stats', NOW()),
+        ('bookshelf_book_growth', NOW())
+    ON CONFLICT (view_name) DO UPDATE SET refreshed_at = EXCLUDED.refreshed_at;
+END;
+$$;
+
+DROP MATERIALIZED VIEW IF EXISTS bookshelf_genre_counts;
+DELETE FROM bookshelf_view_refreshes WHERE view_name = 'bookshelf_genre_counts';
@@ -0,0 +1,58 @@
+-- ============================================================================
+-- MIGRATION: Health check data
+-- ============================================================================
+-- Run this SQL in Supabase SQL Editor on databases created before
+-- /api/bookshelf/health was introduced. New installs get these tables from
+-- DATABASE-SCHEMA.sql.
+-- ============================================================================
+
+-- Step 1: Failed sync transactions, counted by the health check
+CREATE TABLE IF NOT EXISTS bookshelf_sync_failures (
+  id BIGSERIAL PRIMARY KEY,
+  site_url TEXT NOT NULL,
+  endpoint TEXT NOT NULL,
+  books_count INTEGER NOT NULL DEFAULT 1,
+  error_code TEXT,
+  failed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_failures_failed_at
+  ON bookshelf_sync_failures(failed_at);
+
+-- Step 2: Last refresh of each materialized view
+CREATE TABLE IF NOT EXISTS bookshelf_view_refreshes (
+  view_name TEXT PRIMARY KEY,
+  refreshed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Step 3: Service role only
+ALTER TABLE bookshelf_sync_failures ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bookshelf_view_refreshes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access sync failures" ON bookshelf_sync_failures;
+DROP POLICY IF EXISTS "Service role full access view refreshes" ON bookshelf_view_refreshes;
+
+CREATE POLICY "Service role full access sync failures"
+  ON bookshelf_sync_failures FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access view refreshes"
+  ON bookshelf_view_refreshes FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Step 4: Record refreshes when the views are refreshed
+CREATE OR REPLACE FUNCTION refresh_bookshelf_views()
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_book_view_counts;
+    REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_stats;
+
+    INSERT INTO bookshelf_view_refreshes (view_name, refreshed_at)
+    VALUES ('bookshelf_book_view_counts', NOW()), ('bookshelf_stats', NOW())
+    ON CONFLICT (view_name) DO UPDATE SET refreshed_at = EXCLUDED.refreshed_at;
+END;
+$$;
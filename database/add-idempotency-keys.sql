@@ -0,0 +1,30 @@
+-- ============================================================================
+-- MIGRATION: Idempotency keys for write endpoints
+-- ============================================================================
+-- Run this SQL in Supabase SQL Editor on databases created before idempotency
+-- keys were introduced. New installs get this table from DATABASE-SCHEMA.sql.
+-- ============================================================================
+
+-- Step 1: Stored first responses, keyed per site
+CREATE TABLE IF NOT EXISTS bookshelf_idempotency_keys (
+  site_url TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  endpoint TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  response_status INTEGER,   -- NULL while the first request is still running
+  response_body JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (site_url, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_site_created
+  ON bookshelf_idempotency_keys(site_url, created_at);
+
+-- Step 2: Service role only (stored responses can contain signing secret hashes)
+ALTER TABLE bookshelf_idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access idempotency keys" ON bookshelf_idempotency_keys;
+
+CREATE POLICY "Service role full access idempotency keys"
+  ON bookshelf_idempotency_keys FOR ALL
+  USING (auth.role() = 'service_role');
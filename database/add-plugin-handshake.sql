@@ -0,0 +1,22 @@
+-- ============================================================================
+-- MIGRATION: Plugin handshake
+-- ============================================================================
+-- Run this SQL in Supabase SQL Editor on databases created before the plugin
+-- handshake was introduced. New installs get these columns from
+-- DATABASE-SCHEMA.sql.
+-- ============================================================================
+
+-- Versions reported by the plugin on /register and /heartbeat
+ALTER TABLE bookshelf_sites ADD COLUMN IF NOT EXISTS plugin_version TEXT;
+ALTER TABLE bookshelf_sites ADD COLUMN IF NOT EXISTS wp_version TEXT;
+ALTER TABLE bookshelf_sites ADD COLUMN IF NOT EXISTS payload_schemas JSONB DEFAULT '[1]'::jsonb;
+ALTER TABLE bookshelf_sites ADD COLUMN IF NOT EXISTS payload_schema INTEGER DEFAULT 1;
+ALTER TABLE bookshelf_sites ADD COLUMN IF NOT EXISTS handshake_at TIMESTAMPTZ;
+
+-- ============================================================================
+-- Expected Results:
+-- ============================================================================
+-- 1. bookshelf_sites has plugin_version, wp_version, payload_schemas,
+--    payload_schema and handshake_at columns
+-- 2. Existing sites default to payload schema 1 until their next heartbeat
+-- ============================================================================
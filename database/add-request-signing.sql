@@ -0,0 +1,50 @@
+-- ============================================================================
+-- MIGRATION: Per-site signing secrets for write endpoints
+-- ============================================================================
+-- Run this SQL in Supabase SQL Editor on databases created before request
+-- signing was introduced. New installs get these tables from DATABASE-SCHEMA.sql.
+-- ============================================================================
+
+-- Step 1: Signing secrets, one per registered site
+CREATE TABLE IF NOT EXISTS bookshelf_site_secrets (
+  site_url TEXT PRIMARY KEY REFERENCES bookshelf_sites(site_url) ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  previous_secret TEXT,
+  rotated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Step 2: Recently accepted signatures (replay protection)
+CREATE TABLE IF NOT EXISTS bookshelf_request_signatures (
+  signature TEXT PRIMARY KEY,
+  site_url TEXT NOT NULL,
+  received_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_signatures_site_received
+  ON bookshelf_request_signatures(site_url, received_at);
+
+-- Step 3: Lock both tables down to the service role
+ALTER TABLE bookshelf_site_secrets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bookshelf_request_signatures ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access site secrets" ON bookshelf_site_secrets;
+DROP POLICY IF EXISTS "Service role full access request signatures" ON bookshelf_request_signatures;
+
+CREATE POLICY "Service role full access site secrets"
+  ON bookshelf_site_secrets FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access request signatures"
+  ON bookshelf_request_signatures FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- Notes:
+-- ============================================================================
+-- 1. Sites registered before this migration have no secret yet. Their next
+--    call to /api/bookshelf/register only gets a pending secret, activated by
+--    /api/bookshelf/verify once the site publishes its verification token
+--    (run database/add-secret-claims.sql for the claims table).
+-- 2. Until then, sync/remove/deregister calls from those sites return 401.
+-- ============================================================================
@@ -0,0 +1,37 @@
+-- ============================================================================
+-- MIGRATION: Secret claims for sites registered before request signing
+-- ============================================================================
+-- Run this SQL in Supabase SQL Editor after database/add-inferred-genres.sql.
+-- /api/bookshelf/register no longer hands an active signing secret to an
+-- existing site over an unauthenticated call. It issues a claim (a pending
+-- secret tied to a verification token) that /api/bookshelf/verify activates
+-- once the token is published on the site.
+-- ============================================================================
+
+-- Step 1: Pending secrets, one per claim
+CREATE TABLE IF NOT EXISTS bookshelf_secret_claims (
+  verification_token TEXT PRIMARY KEY,
+  site_url TEXT NOT NULL REFERENCES bookshelf_sites(site_url) ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_secret_claims_site_created
+  ON bookshelf_secret_claims(site_url, created_at);
+
+-- Step 2: Lock the table down to the service role
+ALTER TABLE bookshelf_secret_claims ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access secret claims" ON bookshelf_secret_claims;
+
+CREATE POLICY "Service role full access secret claims"
+  ON bookshelf_secret_claims FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- Expected Results:
+-- ============================================================================
+-- 1. bookshelf_secret_claims exists and is only readable by the service role
+-- 2. Registering an existing site without a secret returns
+--    "signing_secret_status": "pending"; the secret works after /verify
+-- ============================================================================
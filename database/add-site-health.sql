@@ -0,0 +1,157 @@
+-- ============================================================================
+-- MIGRATION: Site health tracking
+-- ============================================================================
+-- Run this SQL in Supabase SQL Editor after database/add-plugin-handshake.sql.
+-- Adds last_seen_at / health_status to bookshelf_sites, used by the
+-- /api/bookshelf/site-health cron and by /api/bookshelf/books.
+-- ============================================================================
+
+-- Step 1: Health columns
+ALTER TABLE bookshelf_sites ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE bookshelf_sites ADD COLUMN IF NOT EXISTS health_status TEXT DEFAULT 'healthy'
+  CHECK (health_status IN ('healthy', 'stale', 'dead'));
+
+CREATE INDEX IF NOT EXISTS idx_sites_last_seen_at ON bookshelf_sites(last_seen_at);
+
+-- Step 2: Backfill from the most recent sync of each site
+UPDATE bookshelf_sites s
+SET last_seen_at = GREATEST(
+  s.registered_at,
+  (SELECT MAX(b.synced_at) FROM bookshelf_books b WHERE b.site_url = s.site_url)
+);
+
+-- Step 3: Replace the sync function (a sync marks the site as seen)
+-- Function to sync books atomically
+-- Upserts the site, the books and their genre associations in one transaction,
+-- so a failure anywhere rolls everything back. Called by /api/bookshelf/sync and
+-- /api/bookshelf/sync-batch through supabase.rpc().
+--
+-- p_books is a JSON array of bookshelf_books rows (keys match column names) with
+-- an extra "genres" array of genre slugs. Returns [{ book_post_id, book_id }, ...].
+--
+-- A book whose source_modified_at is older than the stored one is left untouched
+-- and reported as { book_post_id, conflict: true, stored: {...} } instead.
+CREATE OR REPLACE FUNCTION bookshelf_sync_books(
+    p_site_url TEXT,
+    p_site_name TEXT,
+    p_books JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_book JSONB;
+    v_row bookshelf_books;
+    v_book_id BIGINT;
+    v_stored RECORD;
+    v_results JSONB := '[]'::jsonb;
+BEGIN
+    -- A sync counts as contact from the site (see /api/bookshelf/site-health)
+    INSERT INTO bookshelf_sites (site_url, site_name, active, last_seen_at, health_status)
+    VALUES (p_site_url, p_site_name, true, NOW(), 'healthy')
+    ON CONFLICT (site_url) DO UPDATE
+        SET site_name = EXCLUDED.site_name,
+            active = true,
+            last_seen_at = NOW(),
+            health_status = 'healthy';
+
+    FOR v_book IN SELECT * FROM jsonb_array_elements(p_books)
+    LOOP
+        -- Cast every field to its column type
+        v_row := jsonb_populate_record(NULL::bookshelf_books, v_book);
+
+        INSERT INTO bookshelf_books (
+            site_url, book_post_id, title, slug, description,
+            cover_thumbnail, cover_medium, cover_large, cover_full,
+            author_name, author_bio, author_website, author_twitter, author_instagram,
+            purchase_amazon_in, purchase_amazon_com, purchase_other,
+            local_categories, formats, isbn, rating, review_count, publication_date,
+            source_modified_at, synced_at
+        )
+        VALUES (
+            p_site_url, v_row.book_post_id, v_row.title, v_row.slug, v_row.description,
+            v_row.cover_thumbnail, v_row.cover_medium, v_row.cover_large, v_row.cover_full,
+            v_row.author_name, v_row.author_bio, v_row.author_website, v_row.author_twitter, v_row.author_instagram,
+            v_row.purchase_amazon_in, v_row.purchase_amazon_com, v_row.purchase_other,
+            v_row.local_categories, v_row.formats, v_row.isbn, v_row.rating, v_row.review_count, v_row.publication_date,
+            v_row.source_modified_at, COALESCE(v_row.synced_at, NOW())
+        )
+        ON CONFLICT (site_url, book_post_id) DO UPDATE SET
+            title = EXCLUDED.title,
+            slug = EXCLUDED.slug,
+            description = EXCLUDED.description,
+            cover_thumbnail = EXCLUDED.cover_thumbnail,
+            cover_medium = EXCLUDED.cover_medium,
+            cover_large = EXCLUDED.cover_large,
+            cover_full = EXCLUDED.cover_full,
+            author_name = EXCLUDED.author_name,
+            author_bio = EXCLUDED.author_bio,
+            author_website = EXCLUDED.author_website,
+            author_twitter = EXCLUDED.author_twitter,
+            author_instagram = EXCLUDED.author_instagram,
+            purchase_amazon_in = EXCLUDED.purchase_amazon_in,
+            purchase_amazon_com = EXCLUDED.purchase_amazon_com,
+            purchase_other = EXCLUDED.purchase_other,
+            local_categories = EXCLUDED.local_categories,
+            formats = EXCLUDED.formats,
+            isbn = EXCLUDED.isbn,
+            rating = EXCLUDED.rating,
+            review_count = EXCLUDED.review_count,
+            publication_date = EXCLUDED.publication_date,
+            source_modified_at = COALESCE(EXCLUDED.source_modified_at, bookshelf_books.source_modified_at),
+            synced_at = EXCLUDED.synced_at,
+            -- A synced book is live again, even if its site was deregistered
+            deleted_at = NULL
+        -- Skip payloads older than what is stored (out-of-order retries)
+        WHERE bookshelf_books.source_modified_at IS NULL
+            OR EXCLUDED.source_modified_at IS NULL
+            OR EXCLUDED.source_modified_at >= bookshelf_books.source_modified_at
+        RETURNING id INTO v_book_id;
+
+        IF v_book_id IS NULL THEN
+            SELECT id, source_modified_at, synced_at INTO v_stored
+            FROM bookshelf_books
+            WHERE site_url = p_site_url AND book_post_id = v_row.book_post_id;
+
+            v_results := v_results || jsonb_build_object(
+                'book_post_id', v_row.book_post_id,
+                'conflict', true,
+                'stored', jsonb_build_object(
+                    'book_id', v_stored.id,
+                    'source_modified_at', v_stored.source_modified_at,
+                    'synced_at', v_stored.synced_at
+                )
+            );
+            CONTINUE;
+        END IF;
+
+        -- Replace genre associations
+        DELETE FROM bookshelf_book_genres WHERE book_id = v_book_id;
+
+        INSERT INTO bookshelf_book_genres (book_id, genre_slug)
+        SELECT DISTINCT v_book_id, genre
+        FROM jsonb_array_elements_text(COALESCE(v_book->'genres', '[]'::jsonb)) AS genre
+        WHERE genre <> '';
+
+        v_results := v_results || jsonb_build_object(
+            'book_post_id', v_row.book_post_id,
+            'book_id', v_book_id
+        );
+    END LOOP;
+
+    RETURN v_results;
+END;
+$$;
+
+-- Only the API (service role) may sync books
+REVOKE ALL ON FUNCTION bookshelf_sync_books(TEXT, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION bookshelf_sync_books(TEXT, TEXT, JSONB) TO service_role;
+
+-- ============================================================================
+-- Expected Results:
+-- ============================================================================
+-- 1. bookshelf_sites has last_seen_at and health_status columns
+-- 2. Every site starts healthy; the next site-health cron run flags silent ones
+-- ============================================================================
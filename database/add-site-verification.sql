@@ -0,0 +1,45 @@
+-- ============================================================================
+-- MIGRATION: Site ownership verification
+-- ============================================================================
+-- Run this SQL in Supabase SQL Editor on databases created before site
+-- verification was introduced. New installs get these columns from
+-- DATABASE-SCHEMA.sql.
+-- ============================================================================
+
+-- Step 1: Verification state on bookshelf_sites
+ALTER TABLE bookshelf_sites ADD COLUMN IF NOT EXISTS verified BOOLEAN DEFAULT false;
+ALTER TABLE bookshelf_sites ADD COLUMN IF NOT EXISTS verification_token TEXT;
+ALTER TABLE bookshelf_sites ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_sites_verified ON bookshelf_sites(verified) WHERE verified = true;
+
+-- Step 2: Link books to their site so the API can filter on site state
+-- (PostgREST needs the foreign key to embed bookshelf_sites in book queries)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'bookshelf_books_site_url_fkey'
+  ) THEN
+    ALTER TABLE bookshelf_books
+      ADD CONSTRAINT bookshelf_books_site_url_fkey
+      FOREIGN KEY (site_url) REFERENCES bookshelf_sites(site_url) ON DELETE CASCADE;
+  END IF;
+END;
+$$;
+
+-- Step 3: Existing sites are not grandfathered
+-- None of them has proven ownership, so they stay unverified (and unlisted)
+-- until the plugin completes /api/bookshelf/register and /api/bookshelf/verify.
+UPDATE bookshelf_sites
+SET verified = false, verified_at = NULL
+WHERE verification_token IS NULL;
+
+-- ============================================================================
+-- Expected Results:
+-- ============================================================================
+-- 1. bookshelf_sites has verified, verification_token and verified_at columns
+-- 2. bookshelf_books.site_url references bookshelf_sites(site_url)
+-- 3. Existing sites are hidden from /api/bookshelf/books until they verify
+--    (databases that ran the earlier grandfathering step: run
+--    database/fix-grandfathered-verification.sql)
+-- ============================================================================
@@ -0,0 +1,45 @@
+-- ============================================================================
+-- MIGRATION: Materialized view refresh
+-- ============================================================================
+-- Run this SQL in Supabase SQL Editor after database/add-health-checks.sql.
+-- Rebuilds bookshelf_stats to count only listed books, adds the unique indexes
+-- REFRESH MATERIALIZED VIEW CONCURRENTLY needs, and limits refreshes to the
+-- API's /api/bookshelf/refresh-views cron.
+-- ============================================================================
+
+-- Step 1: Unique index on view counts (replaces the plain index)
+DROP INDEX IF EXISTS idx_book_view_counts_book_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_book_view_counts_book_id
+  ON bookshelf_book_view_counts(book_id);
+
+-- Step 2: Stats of listed books only (verified, not deleted, site not dead)
+DROP MATERIALIZED VIEW IF EXISTS bookshelf_stats;
+
+CREATE MATERIALIZED VIEW bookshelf_stats AS
+WITH listed_books AS (
+    SELECT b.id, b.site_url
+    FROM bookshelf_books b
+    JOIN bookshelf_sites s ON s.site_url = b.site_url
+    WHERE s.verified = true
+      AND s.health_status <> 'dead'
+      AND b.deleted_at IS NULL
+)
+SELECT
+    1 as id,
+    (SELECT COUNT(*) FROM listed_books) as total_books,
+    (SELECT COUNT(DISTINCT site_url) FROM listed_books) as total_authors,
+    (SELECT COUNT(DISTINCT g.genre_slug)
+       FROM bookshelf_book_genres g
+       JOIN listed_books lb ON lb.id = g.book_id) as total_genres;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookshelf_stats_id ON bookshelf_stats(id);
+
+GRANT SELECT ON bookshelf_stats TO anon, authenticated;
+
+-- Step 3: Only the API (service role) may refresh the views
+REVOKE ALL ON FUNCTION refresh_bookshelf_views() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION refresh_bookshelf_views() TO service_role;
+
+-- Step 4: First refresh, so the health check has an age to report
+SELECT refresh_bookshelf_views();
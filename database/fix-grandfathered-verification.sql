@@ -0,0 +1,29 @@
+-- ============================================================================
+-- FIX: Revoke grandfathered site verification
+-- ============================================================================
+-- Run this SQL in Supabase SQL Editor on databases that ran the original
+-- database/add-site-verification.sql, whose step 3 marked every existing site
+-- as verified without any ownership check.
+--
+-- Sites verified through /api/bookshelf/verify keep their verification_token;
+-- grandfathered sites never had one. They become unverified (their books are
+-- hidden) until the plugin completes the verification flow.
+-- ============================================================================
+
+-- Step 1: Clear verification that was never proven
+UPDATE bookshelf_sites
+SET verified = false, verified_at = NULL
+WHERE verified = true AND verification_token IS NULL;
+
+-- Step 2: Check the result (should return 0)
+SELECT COUNT(*) AS unproven_verified_sites
+FROM bookshelf_sites
+WHERE verified = true AND verification_token IS NULL;
+
+-- ============================================================================
+-- Expected Results:
+-- ============================================================================
+-- 1. Every verified site has a verification_token
+-- 2. Sites registered before verification get a challenge on their next
+--    /api/bookshelf/register call and are listed again after /verify
+-- ============================================================================
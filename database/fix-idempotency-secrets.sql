@@ -0,0 +1,35 @@
+-- ============================================================================
+-- FIX: Hash signing secrets stored in idempotency keys
+-- ============================================================================
+-- Run this SQL in Supabase SQL Editor on databases that ran
+-- database/add-idempotency-keys.sql before signing secrets were hashed.
+--
+-- Stored /register and /rotate-secret responses kept the signing secret in
+-- plain text. The API now stores only its SHA-256 ("signing_secret_sha256")
+-- and reads the secret back from the secret tables when it replays a response.
+-- ============================================================================
+
+-- Step 1: Replace stored secrets with their hash
+UPDATE bookshelf_idempotency_keys
+SET response_body = (response_body - 'signing_secret') || jsonb_build_object(
+  'signing_secret_sha256',
+  encode(sha256(convert_to(response_body->>'signing_secret', 'UTF8')), 'hex')
+)
+WHERE response_body ? 'signing_secret';
+
+-- Step 2: Drop expired keys (the purge cron keeps them cleared from now on)
+DELETE FROM bookshelf_idempotency_keys
+WHERE created_at < NOW() - INTERVAL '24 hours';
+
+-- Step 3: Check the result (should return 0)
+SELECT COUNT(*) AS plaintext_secrets
+FROM bookshelf_idempotency_keys
+WHERE response_body ? 'signing_secret';
+
+-- ============================================================================
+-- Expected Results:
+-- ============================================================================
+-- 1. No stored response contains a signing secret
+-- 2. Retries of /register and /rotate-secret still get their secret back
+--    while it is issued
+-- ============================================================================
@@ -4,7 +4,8 @@
  */
 
 let currentPage = 1;
-let currentGenre = null;
+let currentGenres = [];
+let currentGenreMatch = 'any';
 let currentSearch = '';
 let currentSort = 'latest';
 let totalPages = 1;
@@ -12,21 +13,28 @@ let totalPages = 1;
 /**
  * Initialize browse page
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    // Build genre filters (also loads genre names for the badges)
+    await renderGenreFilters();
+
     // Get initial filters from URL
-    currentGenre = getUrlParam('genre');
+    currentGenres = (getUrlParam('genre') || '').split(',').filter(genre => genre);
+    currentGenreMatch = getUrlParam('genre_match') === 'all' ? 'all' : 'any';
     currentSearch = getUrlParam('search') || '';
     currentSort = getUrlParam('sort') || 'latest';
     currentPage = parseInt(getUrlParam('page')) || 1;
 
     // Set initial filter states
-    if (currentGenre) {
-        const genreCheckbox = document.querySelector(`input[name="genre"][value="${currentGenre}"]`);
+    currentGenres.forEach(genre => {
+        const genreCheckbox = document.querySelector(`input[name="genre"][value="${CSS.escape(genre)}"]`);
         if (genreCheckbox) {
             genreCheckbox.checked = true;
             document.querySelector('input[name="genre"][value="all"]').checked = false;
         }
-    }
+    });
+
+    document.getElementById('genre-match').value = currentGenreMatch;
+    updateGenreMatchVisibility();
 
     if (currentSearch) {
         document.getElementById('search-input').value = currentSearch;
@@ -46,6 +54,40 @@ document.addEventListener('DOMContentLoaded', () => {
     loadBooks();
 });
 
+/**
+ * Render a checkbox for each genre from the genres API
+ * Subgenres are indented under their parent genre
+ */
+async function renderGenreFilters() {
+    const container = document.getElementById('genre-filters');
+    const genres = await loadGenres();
+
+    genres.forEach(genre => {
+        const label = document.createElement('label');
+        label.className = genre.parent ? 'genre-checkbox genre-checkbox-child' : 'genre-checkbox';
+        label.title = genre.description;
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.name = 'genre';
+        input.value = genre.slug;
+        label.appendChild(input);
+
+        const name = document.createElement('span');
+        name.textContent = genre.name;
+        label.appendChild(name);
+
+        if (genre.book_count !== null) {
+            const count = document.createElement('span');
+            count.className = 'genre-count';
+            count.textContent = genre.book_count;
+            label.appendChild(count);
+        }
+
+        container.appendChild(label);
+    });
+}
+
 /**
  * Set up event listeners for filters
  */
@@ -59,7 +101,7 @@ function setupEventListeners() {
         loadBooks();
     }, 500));
 
-    // Genre checkboxes
+    // Genre checkboxes (any number of genres can be selected)
     const genreCheckboxes = document.querySelectorAll('input[name="genre"]');
     genreCheckboxes.forEach(checkbox => {
         checkbox.addEventListener('change', (e) => {
@@ -68,32 +110,32 @@ function setupEventListeners() {
                 genreCheckboxes.forEach(cb => {
                     if (cb.value !== 'all') cb.checked = false;
                 });
-                currentGenre = null;
+                currentGenres = [];
             } else {
-                // Uncheck "All Genres"
-                document.querySelector('input[name="genre"][value="all"]').checked = false;
-
-                // Get selected genre (only one allowed)
-                const selectedGenres = Array.from(genreCheckboxes)
+                currentGenres = Array.from(genreCheckboxes)
                     .filter(cb => cb.checked && cb.value !== 'all')
                     .map(cb => cb.value);
-
-                // Uncheck all except the current one
-                genreCheckboxes.forEach(cb => {
-                    if (cb.value !== 'all' && cb.value !== e.target.value) {
-                        cb.checked = false;
-                    }
-                });
-
-                currentGenre = selectedGenres[0] || null;
             }
 
+            // "All Genres" is checked exactly when no genre is
+            document.querySelector('input[name="genre"][value="all"]').checked = currentGenres.length === 0;
+            updateGenreMatchVisibility();
+
             currentPage = 1;
-            updateUrlParams({ genre: currentGenre, page: currentPage });
+            updateUrlParams({ ...getGenreParams(), page: currentPage });
             loadBooks();
         });
     });
 
+    // Genre match mode ("any" or "all" of the selected genres)
+    const genreMatchSelect = document.getElementById('genre-match');
+    genreMatchSelect.addEventListener('change', (e) => {
+        currentGenreMatch = e.target.value;
+        currentPage = 1;
+        updateUrlParams({ ...getGenreParams(), page: currentPage });
+        loadBooks();
+    });
+
     // Sort select
     const sortSelect = document.getElementById('sort-select');
     sortSelect.addEventListener('change', (e) => {
@@ -107,7 +149,8 @@ function setupEventListeners() {
     const resetBtn = document.getElementById('reset-filters');
     resetBtn.addEventListener('click', () => {
         // Reset all filters
-        currentGenre = null;
+        currentGenres = [];
+        currentGenreMatch = 'any';
         currentSearch = '';
         currentSort = 'latest';
         currentPage = 1;
@@ -118,13 +161,35 @@ function setupEventListeners() {
         document.querySelectorAll('input[name="genre"]').forEach(cb => {
             cb.checked = cb.value === 'all';
         });
+        document.getElementById('genre-match').value = 'any';
+        updateGenreMatchVisibility();
 
         // Update URL and reload
-        updateUrlParams({ genre: null, search: null, sort: null, page: null });
+        updateUrlParams({ genre: null, genre_match: null, search: null, sort: null, page: null });
         loadBooks();
     });
 }
 
+/**
+ * Genre filter as query parameters, for the API and the page URL
+ * Selected genres are comma-separated; the match mode is only sent when it
+ * matters (more than one genre) and differs from the default "any".
+ * @returns {Object} { genre, genre_match } (null when not set)
+ */
+function getGenreParams() {
+    return {
+        genre: currentGenres.length > 0 ? currentGenres.join(',') : null,
+        genre_match: currentGenres.length > 1 && currentGenreMatch === 'all' ? 'all' : null
+    };
+}
+
+/**
+ * Show the match mode only when several genres are selected
+ */
+function updateGenreMatchVisibility() {
+    document.getElementById('genre-match').hidden = currentGenres.length < 2;
+}
+
 /**
  * Load books from API
  */
@@ -144,9 +209,9 @@ async function loadBooks() {
             sort: currentSort
         });
 
-        if (currentGenre) {
-            params.append('genre', currentGenre);
-        }
+        Object.entries(getGenreParams()).forEach(([key, value]) => {
+            if (value) params.append(key, value);
+        });
 
         if (currentSearch) {
             params.append('search', currentSearch);
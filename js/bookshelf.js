@@ -184,31 +184,60 @@ function createBookCard(book) {
     return card;
 }
 
+/**
+ * Genre display names by slug, filled from the genres API
+ */
+let genreNames = {};
+
+/**
+ * Pending genres API request (genres are fetched once per page)
+ */
+let genresRequest = null;
+
+/**
+ * Loads the genre taxonomy from the API
+ * Fills the display names used by formatGenreName
+ * @returns {Promise<Array>} Genres in display order (empty if the API fails)
+ */
+function loadGenres() {
+    if (!genresRequest) {
+        genresRequest = fetch('/api/bookshelf/genres')
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success) {
+                    throw new Error(data.error || 'Failed to load genres');
+                }
+
+                data.genres.forEach(genre => {
+                    genreNames[genre.slug] = genre.name;
+                });
+
+                return data.genres;
+            })
+            .catch(error => {
+                console.error('Failed to load genres:', error);
+                return [];
+            });
+    }
+
+    return genresRequest;
+}
+
 /**
  * Formats genre slug to readable name
+ * Uses the names from loadGenres, falling back to the title-cased slug
  * @param {string} slug - Genre slug (e.g., 'science-fiction')
  * @returns {string} Formatted genre name (e.g., 'Science Fiction')
  */
 function formatGenreName(slug) {
-    const genreMap = {
-        'action-adventure': 'Action & Adventure',
-        'childrens': "Children's Books",
-        'fantasy': 'Fantasy',
-        'historical-fiction': 'Historical Fiction',
-        'horror': 'Horror',
-        'literary-fiction': 'Literary Fiction',
-        'mystery-crime': 'Mystery & Crime',
-        'non-fiction': 'Non-Fiction',
-        'poetry': 'Poetry',
-        'romance': 'Romance',
-        'science-fiction': 'Science Fiction',
-        'self-help': 'Self-Help',
-        'thriller-suspense': 'Thriller & Suspense',
-        'young-adult': 'Young Adult',
-        'other': 'Other'
-    };
+    if (genreNames[slug]) {
+        return genreNames[slug];
+    }
 
-    return genreMap[slug] || slug;
+    return slug
+        .split('-')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
 }
 
 /**
@@ -0,0 +1,164 @@
+/**
+ * XSS regression corpus for sanitizeHtml()
+ *
+ * Runs every case through api/_lib/sanitize.js and checks both the exact
+ * output and a set of invariants that must hold for any output (only allowed
+ * tags and attributes, http(s) links with rel/target, no markup left in
+ * attribute values).
+ *
+ * Usage: npm run check:sanitizer
+ * Exits with code 1 if any case fails. Add a case here for every bypass found.
+ */
+
+import { sanitizeHtml } from '../api/_lib/sanitize.js';
+
+const LINK = 'rel="noopener noreferrer" target="_blank"';
+
+/**
+ * [description, input, expected output]
+ */
+const CORPUS = [
+  // Allowed markup survives
+  ['plain text', 'A quiet novel.', 'A quiet novel.'],
+  ['allowed formatting', '<p><strong>Bold</strong> and <em>italic</em></p>', '<p><strong>Bold</strong> and <em>italic</em></p>'],
+  ['lists', '<ul><li>One<li>Two</ul>', '<ul><li>One</li><li>Two</li></ul>'],
+  ['line breaks', 'Line<br>Line<br/>Line</br>', 'Line<br>Line<br>Line'],
+  ['safe link', '<a href="https://example.com/book">Buy</a>', `<a href="https://example.com/book" ${LINK}>Buy</a>`],
+  ['link with title', '<a href="http://example.com" title="The book">x</a>', `<a href="http://example.com/" title="The book" ${LINK}>x</a>`],
+
+  // Script and style content
+  ['script tag', '<script>alert(1)</script>Text', 'Text'],
+  ['script with attributes', '<script src="https://evil.example/x.js"></script>', ''],
+  ['uppercase script', '<SCRIPT>alert(1)</SCRIPT>', ''],
+  ['script containing markup', '<script>document.write("<p>x</p>")</script>ok', 'ok'],
+  ['unterminated script', 'before<script>alert(1)', 'before'],
+  ['style tag', '<style>body{display:none}</style>Text', 'Text'],
+  ['svg with script', '<svg><script>alert(1)</script><p>hidden</p></svg>after', 'after'],
+  ['math element', '<math><mi xlink:href="javascript:alert(1)">x</mi></math>y', 'y'],
+  ['template content', '<template><img src=x onerror=alert(1)></template>z', 'z'],
+  ['textarea breakout', '<textarea><p onclick="alert(1)">x</p></textarea>done', 'done'],
+  ['title breakout', '<title></title><img src=x onerror=alert(1)>', ''],
+
+  // Event handlers and unknown tags
+  ['img onerror', '<img src=x onerror=alert(1)>', ''],
+  ['quoted handler on allowed tag', '<p onclick="alert(1)">Hi</p>', '<p>Hi</p>'],
+  ['unquoted handler on allowed tag', '<p onmouseover=alert(1)>Hi</p>', '<p>Hi</p>'],
+  ['handler after slash', '<b/onclick=alert(1)>x</b>', '<b>x</b>'],
+  ['style attribute', '<p style="background:url(javascript:alert(1))">x</p>', '<p>x</p>'],
+  ['iframe', '<iframe src="https://evil.example"></iframe>', ''],
+  ['object', '<object data="javascript:alert(1)"><param name=x></object>ok', 'ok'],
+  ['unknown tag keeps text', '<div><span>Text</span></div>', 'Text'],
+  ['form and input', '<form action="https://evil.example"><input autofocus onfocus=alert(1)></form>', ''],
+
+  // Link rules
+  ['javascript link', '<a href="javascript:alert(1)">x</a>', '<a>x</a>'],
+  ['uppercase javascript link', '<a href="JAVASCRIPT:alert(1)">x</a>', '<a>x</a>'],
+  ['entity-encoded javascript link', '<a href="&#106;avascript:alert(1)">x</a>', '<a>x</a>'],
+  ['hex-encoded javascript link', '<a href="&#x6A;&#x61;vascript&#x3A;alert(1)">x</a>', '<a>x</a>'],
+  ['named colon entity', '<a href="javascript&colon;alert(1)">x</a>', '<a>x</a>'],
+  ['entity without semicolon', '<a href="&#106avascript:alert(1)">x</a>', '<a>x</a>'],
+  ['tab inside scheme', '<a href="java\tscript:alert(1)">x</a>', '<a>x</a>'],
+  ['newline inside scheme', '<a href="java&#10;script:alert(1)">x</a>', '<a>x</a>'],
+  ['leading whitespace', '<a href="  javascript:alert(1)">x</a>', '<a>x</a>'],
+  ['data link', '<a href="data:text/html,<script>alert(1)</script>">x</a>', '<a>x</a>'],
+  ['vbscript link', '<a href="vbscript:msgbox(1)">x</a>', '<a>x</a>'],
+  ['protocol-relative link', '<a href="//evil.example">x</a>', '<a>x</a>'],
+  ['relative link', '<a href="/books">x</a>', '<a>x</a>'],
+  ['unquoted href', '<a href=https://example.com>x</a>', `<a href="https://example.com/" ${LINK}>x</a>`],
+  ['unquoted javascript href', '<a href=javascript:alert(1)>x</a>', '<a>x</a>'],
+  ['duplicate href keeps first', '<a href="javascript:alert(1)" href="https://example.com">x</a>', '<a>x</a>'],
+  ['quote breakout in href', '<a href="https://example.com/&quot; onclick=&quot;alert(1)">x</a>', `<a href="https://example.com/%22%20onclick=%22alert(1)" ${LINK}>x</a>`],
+  ['quote in title', '<a href="https://example.com" title=\'a" onmouseover="alert(1)\'>x</a>', `<a href="https://example.com/" title="a&quot; onmouseover=&quot;alert(1)" ${LINK}>x</a>`],
+  ['markup in title', '<a href="https://example.com" title="<script>alert(1)</script>">x</a>', `<a href="https://example.com/" title="&lt;script&gt;alert(1)&lt;/script&gt;" ${LINK}>x</a>`],
+  ['author rel and target replaced', '<a href="https://example.com" rel="opener" target="_self">x</a>', `<a href="https://example.com/" ${LINK}>x</a>`],
+  ['nested links', '<a href="https://a.example">one<a href="https://b.example">two</a></a>', `<a href="https://a.example/" ${LINK}>one</a><a href="https://b.example/" ${LINK}>two</a>`],
+
+  // Malformed markup
+  ['unclosed tags are closed', '<p><strong>Bold', '<p><strong>Bold</strong></p>'],
+  ['unmatched end tags dropped', '</em>Text</p></ul>', 'Text'],
+  ['misnested tags', '<b><i>x</b>y</i>', '<b><i>x</i></b>y'],
+  ['unterminated tag at end', 'Text<img src=x onerror=alert(1)//', 'Text'],
+  ['unterminated attribute quote', '<p title="x>alert(1)', ''],
+  ['tag split by newline', '<scr\nipt>alert(1)</scr\nipt>', 'alert(1)'],
+  ['double open bracket', '<<script>alert(1)//<</script>', '&lt;'],
+  ['script in attribute-like text', '<p>1 < 2 and 3 > 2</p>', '<p>1 &lt; 2 and 3 &gt; 2</p>'],
+  ['comment hiding script', '<!--<script>alert(1)</script>-->ok', 'ok'],
+  ['short comment', '<!-->ok', 'ok'],
+  ['comment closed by --!>', '<!-- x --!><p>ok</p>', '<p>ok</p>'],
+  ['unterminated comment', 'ok<!--<script>alert(1)</script>', 'ok'],
+  ['conditional comment', '<!--[if IE]><script>alert(1)</script><![endif]-->ok', 'ok'],
+  ['cdata', '<![CDATA[<script>alert(1)</script>]]>', 'alert(1)]]&gt;'],
+  ['processing instruction', '<?xml version="1.0"?>ok', 'ok'],
+  ['doctype', '<!DOCTYPE html>ok', 'ok'],
+  ['end tag with attributes', '<p>x</p onclick="alert(1)">', '<p>x</p>'],
+  ['slash-space end tag', '</ script>ok', 'ok'],
+
+  // Entity normalization
+  ['bare ampersand', 'Tom & Jerry', 'Tom &amp; Jerry'],
+  ['encoded markup stays text', '&lt;script&gt;alert(1)&lt;/script&gt;', '&lt;script&gt;alert(1)&lt;/script&gt;'],
+  ['double-encoded markup stays text', '&amp;lt;script&amp;gt;', '&amp;lt;script&amp;gt;'],
+  ['numeric entities', '&#8220;Quoted&#8221; &#x2014; dash', '“Quoted” — dash'],
+  ['named entities', 'Caf&eacute; &hellip; &copy;', 'Café … ©'],
+  ['null character entity', 'a&#0;b', 'a�b'],
+  ['encoded quote in text', '&quot;x&quot;', '&quot;x&quot;']
+];
+
+/**
+ * Invariants that must hold for every sanitized output
+ */
+function checkInvariants(output) {
+  const problems = [];
+
+  for (const [, slash, name, attrs] of output.matchAll(/<(\/?)([a-z]+)([^>]*)>/g)) {
+    if (!['p', 'br', 'strong', 'b', 'em', 'i', 'u', 'ul', 'ol', 'li', 'a'].includes(name)) {
+      problems.push(`disallowed tag <${name}>`);
+    }
+
+    if (slash && attrs) {
+      problems.push(`attributes on end tag </${name}>`);
+    }
+
+    const names = [...attrs.matchAll(/\s([a-z]+)="[^"<>]*"/g)].map(match => match[1]);
+    if (attrs.replace(/\s[a-z]+="[^"<>]*"/g, '') !== '') {
+      problems.push(`malformed attributes on <${name}>`);
+    }
+
+    const allowed = name === 'a' ? ['href', 'title', 'rel', 'target'] : [];
+    names.filter(attr => !allowed.includes(attr)).forEach(attr => {
+      problems.push(`disallowed attribute ${attr} on <${name}>`);
+    });
+
+    const href = attrs.match(/\shref="([^"]*)"/);
+    if (href && !/^https?:\/\//.test(href[1])) {
+      problems.push(`unsafe href ${href[1]}`);
+    }
+    if (href && !attrs.includes(LINK)) {
+      problems.push('link without rel/target');
+    }
+  }
+
+  if (/<(?![a-z/])/.test(output.replace(/<\/?[a-z]+[^>]*>/g, ''))) {
+    problems.push('unescaped "<" in text');
+  }
+
+  return problems;
+}
+
+let failures = 0;
+
+for (const [description, input, expected] of CORPUS) {
+  const output = sanitizeHtml(input);
+  const problems = checkInvariants(output);
+
+  if (output !== expected) {
+    problems.unshift(`expected ${JSON.stringify(expected)}, got ${JSON.stringify(output)}`);
+  }
+
+  if (problems.length > 0) {
+    failures++;
+    console.error(`FAIL ${description}\n  input: ${JSON.stringify(input)}\n  ${problems.join('\n  ')}`);
+  }
+}
+
+console.log(`${CORPUS.length - failures}/${CORPUS.length} sanitizer cases passed`);
+process.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,13 @@
+/**
+ * Test environment
+ * Loaded before every test file (see the "test" script in package.json), so
+ * api/_lib/config.js validates against these settings instead of throwing.
+ * Nothing connects to SUPABASE_URL: tests stub the client (see supabase-stub.js).
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.SUPABASE_URL = 'http://127.0.0.1:1';
+process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+process.env.CRON_SECRET = 'test-cron-secret';
+process.env.BOOKSHELF_ADMIN_TOKEN = 'test-admin-token-0123456789abcdef0123';
+process.env.LOG_LEVEL = 'error';
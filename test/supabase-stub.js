@@ -0,0 +1,94 @@
+/**
+ * Supabase client stub for unit tests
+ * Replaces supabase.from() and supabase.rpc() for the duration of a test.
+ * Every query chain is recorded, and a responder decides what it resolves to.
+ *
+ * Usage:
+ *
+ *   const queries = stubSupabase(t, (query) => {
+ *     if (query.table === 'bookshelf_sites') return { data: { id: 1 } };
+ *     return {};
+ *   });
+ *   ...
+ *   assert.deepEqual(queries[0].args('eq'), ['site_url', 'https://a.com']);
+ */
+
+import supabase from '../api/_lib/supabase.js';
+
+/**
+ * A recorded query
+ */
+class StubQuery {
+  constructor(table, rpc = null, params = null) {
+    this.table = table;
+    this.rpc = rpc;
+    this.params = params;
+    this.calls = [];
+  }
+
+  /**
+   * Arguments of the first call to a builder method, or null if not called
+   * @param {string} method - e.g. "eq", "insert"
+   * @returns {Array|null}
+   */
+  args(method) {
+    const call = this.calls.find(([name]) => name === method);
+    return call ? call.slice(1) : null;
+  }
+
+  /**
+   * Check whether a builder method was called
+   * @param {string} method
+   * @returns {boolean}
+   */
+  has(method) {
+    return this.args(method) !== null;
+  }
+}
+
+/**
+ * Build a chainable, awaitable query builder
+ */
+function chain(query, respond) {
+  const builder = new Proxy({}, {
+    get(_, prop) {
+      if (prop === 'then') {
+        return (resolve, reject) => Promise.resolve()
+          .then(() => respond(query))
+          .then(result => ({ data: null, error: null, ...result }))
+          .then(resolve, reject);
+      }
+      return (...args) => {
+        query.calls.push([prop, ...args]);
+        return builder;
+      };
+    }
+  });
+  return builder;
+}
+
+/**
+ * Stub the Supabase client for one test
+ *
+ * @param {Object} t - node:test context (restores the client after the test)
+ * @param {function(StubQuery): Object} respond - Result ({ data, error, count })
+ *   for each query; may be async
+ * @returns {Array<StubQuery>} Queries in the order they were started
+ */
+export function stubSupabase(t, respond = () => ({})) {
+  const queries = [];
+
+  t.mock.method(supabase, 'from', (table) => {
+    const query = new StubQuery(table);
+    queries.push(query);
+    return chain(query, respond);
+  });
+
+  t.mock.method(supabase, 'rpc', (fn, params) => {
+    const query = new StubQuery(null, fn, params);
+    queries.push(query);
+    return chain(query, respond);
+  });
+
+  return queries;
+}